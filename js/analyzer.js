@@ -3,18 +3,26 @@
  * Handles file parsing, dependency analysis, and graph visualization
  */
 
-let parsedData = {
-    workbookName: '',
-    fields: [],
-    dependencies: [],
-    dataSources: []
-};
+let parsedData = createEmptyParsedData();
 
 let currentMode = 'tbexport';
-let sortOrder = { column: -1, ascending: true };
 let cy = null; // Cytoscape instance
 let currentLayout = 'dagre';
 
+const WORKBOOK_WORKER_URL = 'js/analyzer/workbook_worker.js';
+
+// Loading stages in order, with the message the loading overlay shows for each
+const WORKBOOK_LOAD_STAGES = {
+    unzip: 'Unzipping workbook...',
+    parse: 'Parsing XML...',
+    fields: 'Reading fields...',
+    dependencies: 'Analyzing dependencies...',
+    render: 'Rendering...'
+};
+
+let workbookLoad = null; // The load in progress: { cancelled, cancel }
+let workbookSource = null; // The loaded workbook as it was read (File or XML), for write-back
+
 // Initialize Cytoscape extensions when page loads
 document.addEventListener('DOMContentLoaded', function () {
     // Register dagre layout
@@ -44,15 +52,25 @@ if (dropzone) {
         dropzone.classList.remove('border-primary-500', 'bg-primary-50', 'dark:bg-primary-900/10');
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            handleFile(files[0]);
+            handleFiles(files);
         }
     });
 }
 
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        handleFile(file);
+    const files = event.target.files;
+    if (files.length > 0) {
+        handleFiles(files);
+    }
+}
+
+// One workbook opens in the analyzer; several, or a .zip of workbooks, build a portfolio
+function handleFiles(fileList) {
+    const files = Array.from(fileList);
+    if (files.length === 1 && !/\.zip$/i.test(files[0].name)) {
+        handleFile(files[0]);
+    } else {
+        handlePortfolioFiles(files);
     }
 }
 
@@ -65,27 +83,12 @@ async function handleFile(file) {
         return;
     }
 
-    parsedData.workbookName = fileName;
-    showLoading();
-
     try {
-        let xmlContent;
-
-        if (extension === 'twb') {
-            xmlContent = await file.text();
-        } else if (extension === 'twbx') {
-            const zip = await JSZip.loadAsync(file);
-            const twbFile = Object.keys(zip.files).find(f => f.endsWith('.twb'));
-            if (!twbFile) {
-                showToast('No .twb file found in the .twbx archive', 'error');
-                hideLoading();
-                return;
-            }
-            xmlContent = await zip.file(twbFile).async('text');
+        if (await loadWorkbook(file, fileName)) {
+            showToast(`Successfully parsed ${fileName}`, 'success');
+        } else {
+            showToast(`Stopped loading ${fileName}`, 'info');
         }
-
-        parseWorkbook(xmlContent);
-        showToast(`Successfully parsed ${fileName}`, 'success');
     } catch (error) {
         console.error('Error processing file:', error);
         showToast('Error processing file: ' + error.message, 'error');
@@ -94,207 +97,159 @@ async function handleFile(file) {
     }
 }
 
-function parseWorkbook(xmlContent) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlContent, 'text/xml');
+/**
+ * Loads a workbook into the analyzer, showing each stage in the loading overlay with a cancel button.
+ * Unzipping, parsing and analysis run in a Web Worker so the page stays responsive; where no worker
+ * can be started (e.g. the page was opened from file://) they run on the main thread instead.
+ * The loaded workbook stays in place until the new one is ready to render.
+ * @param {File|string} source - The selected file, or workbook XML that was already read
+ * @param {string} workbookName - File name
+ * @returns {Promise<boolean>} false when the user cancelled
+ */
+async function loadWorkbook(source, workbookName) {
+    const load = { cancelled: false, cancel: null };
+    workbookLoad = load;
+    const onStage = (stage, progress = 0) => {
+        if (load.cancelled) return;
+        const stages = Object.keys(WORKBOOK_LOAD_STAGES);
+        updateLoading(WORKBOOK_LOAD_STAGES[stage], (stages.indexOf(stage) + progress) / stages.length);
+    };
+    showLoading('', cancelWorkbookLoad);
+    onStage(typeof source !== 'string' && /\.twbx$/i.test(source.name) ? 'unzip' : 'parse');
 
-    // Check for parsing errors
-    const parserError = xmlDoc.querySelector('parsererror');
-    if (parserError) {
-        showToast('Error parsing XML: ' + parserError.textContent, 'error');
-        return;
+    try {
+        let model = await analyzeInWorker(source, workbookName, onStage, load);
+        if (model === undefined) {
+            model = await analyzeOnMainThread(source, workbookName, onStage, load);
+        }
+        if (load.cancelled) return false;
+
+        // Rendering cannot be interrupted, so the cancel button goes away
+        load.cancel = null;
+        showLoading();
+        onStage('render');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        parsedData = model;
+        workbookSource = source;
+        renderWorkbook();
+        return true;
+    } finally {
+        if (workbookLoad === load) workbookLoad = null;
     }
+}
 
-    // Extract fields from all datasources
-    const datasources = xmlDoc.querySelectorAll('datasource');
-    parsedData.fields = [];
-    parsedData.dataSources = [];
-    const tempFields = []; // Temporary array to store all fields before deduplication
-
-    // First pass: collect all fields
-    datasources.forEach(datasource => {
-        const dsName = datasource.getAttribute('name') || datasource.getAttribute('caption') || 'Unknown';
-        if (dsName !== 'Parameters' && !parsedData.dataSources.includes(dsName)) {
-            parsedData.dataSources.push(dsName);
-        }
+/**
+ * Runs readWorkbookFile(), parseXml() and analyzeWorkbook() in js/analyzer/workbook_worker.js
+ * @param {File|string} source - The selected file, or workbook XML
+ * @param {string} workbookName - File name
+ * @param {function(string, number): void} onStage - Progress callback
+ * @param {object} load - The load in progress; gets its cancel function
+ * @returns {Promise<object|null|undefined>} The analysis in the shape of parsedData, null when cancelled,
+ *   undefined when no worker could be started
+ */
+function analyzeInWorker(source, workbookName, onStage, load) {
+    let worker;
+    try {
+        worker = new Worker(WORKBOOK_WORKER_URL);
+    } catch (error) {
+        console.warn('Web Worker unavailable, loading on the main thread:', error);
+        return Promise.resolve(undefined);
+    }
 
-        const columns = datasource.querySelectorAll('column');
-        columns.forEach(column => {
-            const caption = column.getAttribute('caption');
-            const nameAttr = column.getAttribute('name') || '';
-            const displayName = caption || nameAttr;
-            const fieldId = nameAttr;
-            const datatype = column.getAttribute('datatype') || 'unknown';
-            const role = column.getAttribute('role') || '';
-
-            // Skip fields without proper role and caption (these are usually internal/duplicate definitions)
-            if (!role && !caption) {
-                return; // Skip this field
+    return new Promise((resolve, reject) => {
+        let started = false;
+        const finish = (settle, value) => {
+            worker.terminate();
+            settle(value);
+        };
+        load.cancel = () => finish(resolve, null);
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
+            if (message.type === 'stage') {
+                onStage(message.stage, message.progress);
+            } else if (message.type === 'result') {
+                finish(resolve, message.model);
+            } else {
+                finish(reject, new Error(message.message));
             }
-
-            // Check if it's a calculated field
-            const calculationNode = column.querySelector('calculation');
-            const isCalculated = calculationNode !== null;
-            const rawFormula = isCalculated ? calculationNode.getAttribute('formula') : '';
-
-            // Determine field type
-            let fieldType = role === 'dimension' ? 'Dimension' : role === 'measure' ? 'Measure' : 'Unknown';
-            if (isCalculated) {
-                fieldType = 'Calculated Field';
+        };
+        // A worker that fails before reporting anything could not load its scripts
+        worker.onerror = (event) => {
+            event.preventDefault();
+            if (started) {
+                finish(reject, new Error(event.message));
+            } else {
+                console.warn('Web Worker failed to start, loading on the main thread:', event.message);
+                finish(resolve, undefined);
             }
+        };
 
-            // Clean up display name - remove brackets if present
-            const cleanName = displayName.replace(/^\[|\]$/g, '');
-
-            tempFields.push({
-                name: cleanName,
-                dataType: datatype,
-                fieldType: fieldType,
-                dataSource: dsName,
-                rawFormula: rawFormula,
-                formula: '',
-                fieldId: fieldId,
-                isCalculated: isCalculated,
-                hasCaption: !!caption,
-                hasRole: !!role
-            });
-        });
-    });
-
-    // Deduplicate fields: prefer fields with caption and role over those without
-    const fieldMap = new Map();
-    tempFields.forEach(field => {
-        const key = field.name.toLowerCase();
-        const existing = fieldMap.get(key);
-
-        if (!existing) {
-            fieldMap.set(key, field);
-        } else {
-            // Prefer field with caption and valid role
-            if (field.hasCaption && field.fieldType !== 'Unknown') {
-                fieldMap.set(key, field);
-            } else if (!existing.hasCaption && field.hasCaption) {
-                fieldMap.set(key, field);
-            } else if (existing.fieldType === 'Unknown' && field.fieldType !== 'Unknown') {
-                fieldMap.set(key, field);
-            }
-        }
+        worker.postMessage({ source, workbookName, disabledLintRules: Array.from(lintState.disabledRules) });
     });
+}
 
-    // Convert map back to array and filter out Unknown types
-    parsedData.fields = Array.from(fieldMap.values()).filter(field => field.fieldType !== 'Unknown');
+// The same stages on the main thread, pausing between them so the overlay can repaint and take a cancel
+async function analyzeOnMainThread(source, workbookName, onStage, load) {
+    load.cancel = () => {};
 
-    // Clean up temporary properties
-    parsedData.fields.forEach(field => {
-        delete field.hasCaption;
-        delete field.hasRole;
-    });
+    let xmlContent = source;
+    if (typeof source !== 'string') {
+        if (/\.twbx$/i.test(source.name)) onStage('unzip');
+        xmlContent = await readWorkbookFile(source, progress => onStage('unzip', progress));
+    }
+    if (load.cancelled) return null;
 
-    // Second pass: replace field IDs in formulas with captions
-    replaceFormulaFieldIds();
+    onStage('parse');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (load.cancelled) return null;
+    return buildWorkbookModel(xmlContent, workbookName);
+}
 
-    // Analyze dependencies
-    analyzeDependencies();
+function cancelWorkbookLoad() {
+    if (!workbookLoad || !workbookLoad.cancel) return;
+    workbookLoad.cancelled = true;
+    workbookLoad.cancel();
+}
 
-    // Update UI
+// Renders every view of parsedData after a workbook was loaded
+function renderWorkbook() {
     renderTable();
+    renderIssues();
+    renderLint();
+    renderDuplicates();
+    renderParameters();
     renderGraph();
+    renderFacets();
+    resetWorkbookDiff();
     updateStats();
     enableExportButtons();
 }
 
-function replaceFormulaFieldIds() {
-    // Create a map of field ID to caption
-    const fieldIdToCaption = new Map();
-
-    parsedData.fields.forEach(field => {
-        if (field.fieldId) {
-            fieldIdToCaption.set(field.fieldId, field.name);
-            // Also store without brackets
-            const withoutBrackets = field.fieldId.replace(/^\[|\]$/g, '');
-            fieldIdToCaption.set(withoutBrackets, field.name);
-        }
-    });
-
-    // Replace field IDs in formulas
-    parsedData.fields.forEach(field => {
-        if (field.rawFormula) {
-            let formula = field.rawFormula;
-
-            // Decode HTML entities
-            formula = formula
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .replace(/&apos;/g, "'")
-                .replace(/&quot;/g, '"')
-                .replace(/&#10;/g, '\n');
-
-            // Find all field references [...]
-            const regex = /\[([^\]]+)\]/g;
-            formula = formula.replace(regex, (match, fieldRef) => {
-                // Try to find the caption for this field ID
-                const caption = fieldIdToCaption.get(`[${fieldRef}]`) || fieldIdToCaption.get(fieldRef);
-                if (caption) {
-                    return `[${caption}]`;
-                }
-                return match; // Keep original if not found
-            });
-
-            field.formula = formula;
-        }
-    });
-}
-
-function analyzeDependencies() {
-    parsedData.dependencies = [];
-    const fieldMap = new Map();
-
-    // Create a map of field names and IDs to fields
-    parsedData.fields.forEach(field => {
-        fieldMap.set(field.name, field);
-        if (field.fieldId) {
-            fieldMap.set(field.fieldId, field);
-        }
-    });
-
-    // Find dependencies in calculated fields
-    parsedData.fields.forEach(field => {
-        if (field.isCalculated && field.formula) {
-            // Extract field references from formula - they are in brackets [FieldName]
-            const regex = /\[([^\]]+)\]/g;
-            let match;
-            const dependencies = new Set();
-
-            while ((match = regex.exec(field.formula)) !== null) {
-                const refName = match[1];
-
-                // Try to find the referenced field
-                let refField = fieldMap.get(refName);
-
-                // If not found by exact match, try to find by caption
-                if (!refField) {
-                    refField = parsedData.fields.find(f =>
-                        f.name === refName ||
-                        f.fieldId === `[${refName}]` ||
-                        f.fieldId.includes(refName)
-                    );
-                }
-
-                if (refField && refField.name !== field.name) {
-                    dependencies.add(refField.name);
-                }
-            }
+/**
+ * Analyzes a workbook on the main thread without replacing the loaded workbook or touching the page,
+ * e.g. another version of the loaded one
+ * @param {string} xmlContent - Workbook XML
+ * @param {string} workbookName - File name
+ * @returns {object} Analysis in the shape of parsedData
+ */
+function buildWorkbookModel(xmlContent, workbookName) {
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    const parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+        throw new Error('Error parsing XML: ' + parserError.textContent);
+    }
 
-            // Add dependencies
-            dependencies.forEach(depName => {
-                parsedData.dependencies.push({
-                    from: depName,
-                    to: field.name
-                });
-            });
-        }
-    });
+    // The analysis steps fill the global parsedData; point it at a fresh model while they run
+    const loaded = parsedData;
+    parsedData = createEmptyParsedData(workbookName);
+    try {
+        analyzeWorkbook(xmlDoc);
+        return parsedData;
+    } finally {
+        parsedData = loaded;
+    }
 }
 
 // Update statistics display
@@ -304,66 +259,40 @@ function updateStats() {
 
     const totalFields = parsedData.fields.length;
     const calcFields = parsedData.fields.filter(f => f.isCalculated).length;
-    const dimensions = parsedData.fields.filter(f => f.role === 'dimension').length;
-    const measures = parsedData.fields.filter(f => f.role === 'measure').length;
+    // Calculated fields count by their role too; parameters are counted separately
+    const dimensions = parsedData.fields.filter(f => f.role === 'dimension' && f.fieldType !== 'Parameter').length;
+    const measures = parsedData.fields.filter(f => f.role === 'measure' && f.fieldType !== 'Parameter').length;
     const dependencies = parsedData.dependencies.length;
+    const unused = parsedData.fields.filter(f => f.usage === 'unused').length;
+    const parameters = parsedData.parameters.length;
+    const issues = parsedData.diagnostics.length;
 
-    stats.textContent = `${totalFields} fields (${calcFields} calculated, ${dimensions} dimensions, ${measures} measures) • ${dependencies} dependencies`;
+    stats.textContent = `${totalFields} fields (${calcFields} calculated, ${dimensions} dimensions, ${measures} measures) • ${parameters} parameters • ${dependencies} dependencies • ${unused} unused • ${issues} issues`;
     stats.classList.remove('hidden');
 }
 
-function renderTable() {
-    const tbody = document.getElementById('table-body');
-    tbody.innerHTML = '';
-
-    parsedData.fields.forEach(field => {
-        const row = document.createElement('tr');
-        row.className = 'hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors cursor-pointer';
-        row.setAttribute('data-field-name', field.name);
-        row.onclick = function () {
-            highlightFieldInGraph(field.name);
-        };
-
-        // Determine display field type
-        const isParameter = field.dataSource === 'Parameters';
-        const displayFieldType = isParameter ? 'Parameter' : field.fieldType;
-
-        row.innerHTML = `
-      <td class="whitespace-nowrap px-4 py-3 text-sm font-medium text-gray-900 dark:text-white">
-        ${escapeHtml(field.name)}
-      </td>
-      <td class="whitespace-nowrap px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
-        <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
-          ${escapeHtml(field.dataType)}
-        </span>
-      </td>
-      <td class="whitespace-nowrap px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
-        <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getFieldTypeColor(displayFieldType)}">
-          ${escapeHtml(displayFieldType)}
-        </span>
-      </td>
-      <td class="whitespace-nowrap px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
-        ${escapeHtml(field.dataSource)}
-      </td>
-      <td class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 max-w-xs truncate" title="${escapeHtml(field.formula)}">
-        ${field.formula ? escapeHtml(field.formula) : '-'}
-      </td>
-      <td class="px-4 py-3 text-xs text-gray-400 dark:text-gray-500 max-w-xs truncate font-mono" title="${escapeHtml(field.fieldId)}">
-        ${field.fieldId ? escapeHtml(field.fieldId) : '-'}
-      </td>
-    `;
-        tbody.appendChild(row);
-    });
-}
-
-function highlightFieldInGraph(fieldName) {
+/**
+ * Highlights a node and its direct connections in the graph.
+ * Works for field keys as well as datasource, worksheet and dashboard node IDs.
+ * @param {string} nodeId - Graph node ID (a field key for fields)
+ */
+function highlightFieldInGraph(nodeId) {
     if (!cy) return;
 
+    // Fields inside a collapsed group or outside the focused neighbourhood are drawn first
+    if (cy.getElementById(nodeId).length === 0 && revealGraphNode(nodeId)) {
+        drawGraphView().then(applied => {
+            if (applied) highlightFieldInGraph(nodeId);
+        });
+        return;
+    }
+
     // Find the node
-    const node = cy.getElementById(fieldName);
+    const node = cy.getElementById(nodeId);
     if (node.length === 0) {
         // Field not in graph (no dependencies)
-        showToast(`Field "${fieldName}" is not in the dependency graph`, 'info');
+        const field = parsedData.fields.find(f => f.key === nodeId);
+        showToast(`Field "${field ? field.name : nodeId}" is not in the dependency graph`, 'info');
         return;
     }
 
@@ -386,116 +315,180 @@ function highlightFieldInGraph(fieldName) {
     const elementsToFit = node.union(connectedEdges).union(connectedNodes);
     cy.fit(elementsToFit, 50);
 
+    showImpactPanel(nodeId);
+
     // Scroll to graph
-    document.getElementById('graph-container').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    document.getElementById('cy').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Builds the lineage graph from the parsed workbook:
+ * datasource -> field -> calculated field -> worksheet -> dashboard.
+ * Fields appear when they take part in a dependency or are used directly on a worksheet.
+ * @returns {{nodes: Map<string, object>, edges: Array<{source: string, target: string, kind: string}>}}
+ */
+function buildLineageModel() {
+    const nodes = new Map();
+    const edges = [];
+    const fieldMap = new Map(parsedData.fields.map(field => [field.key, field]));
+
+    const addFieldNode = (key) => {
+        const field = fieldMap.get(key);
+        if (field && !nodes.has(key)) {
+            nodes.set(key, { id: key, type: 'field', label: field.name, field });
+        }
+        return !!field;
+    };
+
+    parsedData.dependencies.forEach(dep => {
+        if (addFieldNode(dep.from) && addFieldNode(dep.to)) {
+            edges.push({ source: dep.from, target: dep.to, kind: 'dependency' });
+        }
+    });
+
+    // Fields with diagnostics stay visible even without resolvable dependencies
+    parsedData.diagnostics.forEach(diagnostic => addFieldNode(diagnostic.fieldKey));
+
+    parsedData.worksheets.forEach(sheet => {
+        if (sheet.fields.length === 0) return;
+        const sheetId = `worksheet:${sheet.name}`;
+        nodes.set(sheetId, { id: sheetId, type: 'worksheet', label: sheet.name, worksheet: sheet });
+        sheet.fields.forEach(key => {
+            if (addFieldNode(key)) {
+                edges.push({ source: key, target: sheetId, kind: 'usage' });
+            }
+        });
+    });
+
+    parsedData.dashboards.forEach(dashboard => {
+        const dashboardId = `dashboard:${dashboard.name}`;
+        const sheetIds = dashboard.worksheets
+            .map(name => `worksheet:${name}`)
+            .filter(id => nodes.has(id));
+        if (sheetIds.length === 0) return;
+        nodes.set(dashboardId, { id: dashboardId, type: 'dashboard', label: dashboard.name, dashboard });
+        sheetIds.forEach(sheetId => edges.push({ source: sheetId, target: dashboardId, kind: 'usage' }));
+    });
+
+    // Raw fields hang off the datasource they come from
+    parsedData.dataSources.forEach(ds => {
+        const dsId = `datasource:${ds.name}`;
+        const rawFields = Array.from(nodes.values())
+            .filter(node => node.type === 'field' && node.field.dataSource === ds.name && !node.field.isCalculated);
+        if (rawFields.length === 0) return;
+        nodes.set(dsId, { id: dsId, type: 'datasource', label: ds.caption, dataSource: ds });
+        rawFields.forEach(node => edges.push({ source: dsId, target: node.id, kind: 'lineage' }));
+    });
+
+    return { nodes, edges };
+}
+
+function getFieldNodeClass(field) {
+    if (field.fieldType === 'Parameter') return 'parameter';
+    if (field.fieldType === 'Dimension') return 'dimension';
+    if (field.fieldType === 'Measure') return 'measure';
+    if (field.fieldType === 'Calculated Field') return 'calculated-field';
+    return 'unknown';
+}
+
+/**
+ * Cytoscape node element for a lineage model node
+ * @param {object} node - Node from buildLineageModel()
+ * @returns {object}
+ */
+function buildGraphNodeElement(node) {
+    // Name the datasource on each node once the workbook has more than one
+    const showDataSource = parsedData.dataSources.length > 1;
+    const truncate = (name) => name.length > 25 ? name.substring(0, 22) + '...' : name;
+
+    if (node.type !== 'field') {
+        const typeLabels = { datasource: 'Data Source', worksheet: 'Worksheet', dashboard: 'Dashboard' };
+        let details = '';
+        if (node.type === 'worksheet') details = `${node.worksheet.fields.length} fields used directly`;
+        if (node.type === 'dashboard') details = `Sheets: ${node.dashboard.worksheets.join(', ')}`;
+        if (node.type === 'datasource') details = node.dataSource.name;
+
+        return {
+            data: {
+                id: node.id,
+                label: truncate(node.label),
+                fullName: node.label,
+                fieldType: typeLabels[node.type],
+                details: details
+            },
+            classes: node.type
+        };
+    }
+
+    const field = node.field;
+    const isParameter = field.fieldType === 'Parameter';
+    const shortName = truncate(field.name);
+    let label = showDataSource && !isParameter ? `${shortName}\n(${field.dataSourceCaption})` : shortName;
+
+    // Badge line for the calculations that most often cause performance and correctness surprises
+    if (field.calcClass && field.calcClass.type === 'table-calc') {
+        label += '\n« Table Calc »';
+    } else if (field.calcClass && field.calcClass.lods.length > 0) {
+        label += `\n« ${Array.from(new Set(field.calcClass.lods.map(lod => lod.lodType))).join(' / ')} LOD »`;
+    }
+
+    return {
+        data: {
+            id: node.id,
+            label: label,
+            fullName: field.name,
+            fieldType: field.fieldType,
+            dataType: field.dataType,
+            dataSource: field.dataSourceCaption,
+            usage: getUsageLabel(field.usage) + (field.worksheets.length ? ` (${field.worksheets.join(', ')})` : ''),
+            issues: (field.issues || []).map(issue => issue.message).join('\n'),
+            description: field.description,
+            calcClass: field.calcClass
+                ? [CALC_CLASS_LABELS[field.calcClass.type], describeCalcClass(field), ...describeTableCalcSettings(field)].filter(Boolean).join('\n')
+                : '',
+            formula: field.formula
+        },
+        classes: getFieldNodeClass(field) + (field.issues && field.issues.length > 0 ? ' has-issue' : '')
+    };
 }
 
 function renderGraph() {
     // Hide placeholder
     const placeholder = document.getElementById('graph-placeholder');
+    const model = buildLineageModel();
 
-    if (parsedData.dependencies.length === 0) {
+    if (model.nodes.size === 0) {
         placeholder.innerHTML = `
       <div class="text-center text-gray-400 dark:text-gray-500">
         <span class="material-symbols-outlined text-5xl">account_tree</span>
         <p class="mt-2 font-medium">No dependencies found</p>
-        <p class="text-sm">This workbook has no calculated fields with dependencies.</p>
+        <p class="text-sm">This workbook has no calculated fields with dependencies or fields used on worksheets.</p>
       </div>
     `;
         placeholder.style.display = 'flex';
+        if (cy) {
+            cy.destroy();
+            cy = null;
+        }
+        resetGraphView(model);
+        scheduleGraphMinimapDraw(true);
         return;
     }
 
     placeholder.style.display = 'none';
 
-    // Build Cytoscape elements
-    const elements = [];
-    const nodesInGraph = new Set();
-
-    // Collect all nodes involved in dependencies
-    parsedData.dependencies.forEach(dep => {
-        nodesInGraph.add(dep.from);
-        nodesInGraph.add(dep.to);
-    });
-
-    // Create node elements
-    const fieldMap = new Map();
-    parsedData.fields.forEach(field => {
-        fieldMap.set(field.name, field);
-    });
-
-    nodesInGraph.forEach(nodeName => {
-        const field = fieldMap.get(nodeName);
-        if (field) {
-            let nodeShape = 'roundrectangle';
-            let nodeColor = '#94A3B8'; // default gray
-            let borderColor = '#64748B';
-            let fieldTypeClass = 'unknown';
-
-            // Determine if it's a parameter (from Parameters datasource)
-            const isParameter = field.dataSource === 'Parameters';
-
-            if (isParameter) {
-                // Purple for Parameters
-                nodeColor = '#A855F7';
-                borderColor = '#9333EA';
-                fieldTypeClass = 'parameter';
-            } else if (field.fieldType === 'Dimension') {
-                // Blue for Dimensions
-                nodeColor = '#3B82F6';
-                borderColor = '#2563EB';
-                fieldTypeClass = 'dimension';
-            } else if (field.fieldType === 'Measure') {
-                // Green for Measures
-                nodeColor = '#10B981';
-                borderColor = '#059669';
-                fieldTypeClass = 'measure';
-            } else if (field.fieldType === 'Calculated Field') {
-                // Orange for Calculated Fields (now roundrectangle, not diamond)
-                nodeColor = '#F59E0B';
-                borderColor = '#D97706';
-                fieldTypeClass = 'calculated-field';
-            }
-
-            elements.push({
-                data: {
-                    id: nodeName,
-                    label: nodeName.length > 25 ? nodeName.substring(0, 22) + '...' : nodeName,
-                    fullName: nodeName,
-                    fieldType: isParameter ? 'Parameter' : field.fieldType,
-                    dataType: field.dataType,
-                    dataSource: field.dataSource,
-                    formula: field.formula
-                },
-                classes: fieldTypeClass,
-                style: {
-                    'background-color': nodeColor,
-                    'border-color': borderColor,
-                    'shape': nodeShape
-                }
-            });
-        }
-    });
-
-    // Create edge elements
-    parsedData.dependencies.forEach(dep => {
-        elements.push({
-            data: {
-                id: `${dep.from}-${dep.to}`,
-                source: dep.from,
-                target: dep.to
-            }
-        });
-    });
-
     // Initialize or update Cytoscape
     if (cy) {
         cy.destroy();
     }
 
-    cy = cytoscape({
+    // Large graphs drop edges and labels while panning and zooming, and draw at a lower resolution
+    const largeGraphOptions = model.nodes.size > GRAPH_LARGE_THRESHOLD
+        ? { textureOnViewport: true, hideEdgesOnViewport: true, pixelRatio: 1 }
+        : {};
+
+    cy = cytoscape(Object.assign({
         container: document.getElementById('cy'),
-        elements: elements,
         style: [
             {
                 selector: 'node',
@@ -515,6 +508,7 @@ function renderGraph() {
                     'border-opacity': 1,
                     'min-width': '60px',
                     'min-height': '40px',
+                    'min-zoomed-font-size': 6,
                     'shape': 'roundrectangle'
                 }
             },
@@ -543,7 +537,32 @@ function renderGraph() {
                 selector: 'node.parameter',
                 style: {
                     'background-color': '#A855F7',
-                    'border-color': '#9333EA'
+                    'border-color': '#9333EA',
+                    'shape': 'hexagon'
+                }
+            },
+            {
+                selector: 'node.datasource',
+                style: {
+                    'background-color': '#475569',
+                    'border-color': '#334155',
+                    'shape': 'barrel'
+                }
+            },
+            {
+                selector: 'node.worksheet',
+                style: {
+                    'background-color': '#0EA5E9',
+                    'border-color': '#0284C7',
+                    'shape': 'rectangle'
+                }
+            },
+            {
+                selector: 'node.dashboard',
+                style: {
+                    'background-color': '#F43F5E',
+                    'border-color': '#E11D48',
+                    'shape': 'octagon'
                 }
             },
             {
@@ -557,6 +576,108 @@ function renderGraph() {
                     'arrow-scale': 1.2
                 }
             },
+            {
+                selector: 'edge.usage, edge.lineage',
+                style: {
+                    'line-style': 'dashed',
+                    'line-color': '#CBD5E1',
+                    'target-arrow-color': '#CBD5E1'
+                }
+            },
+            {
+                selector: 'node.group-collapsed',
+                style: {
+                    'background-color': '#64748B',
+                    'border-color': '#475569',
+                    'border-width': '3px',
+                    'border-style': 'double',
+                    'shape': 'round-rectangle',
+                    'padding': '18px'
+                }
+            },
+            {
+                selector: 'node.group-expanded',
+                style: {
+                    'background-color': '#E2E8F0',
+                    'background-opacity': 0.5,
+                    'border-color': '#94A3B8',
+                    'border-style': 'dashed',
+                    'color': '#334155',
+                    'text-valign': 'top',
+                    'text-halign': 'center',
+                    'text-margin-y': -4,
+                    'padding': '24px'
+                }
+            },
+            {
+                selector: 'edge.aggregate',
+                style: {
+                    'label': 'data(label)',
+                    'width': 'mapData(count, 1, 50, 2, 8)',
+                    'font-size': '11px',
+                    'color': '#475569',
+                    'text-background-color': '#F8FAFC',
+                    'text-background-opacity': 1,
+                    'text-background-padding': '2px'
+                }
+            },
+            {
+                selector: 'node.has-issue',
+                style: {
+                    'border-color': '#DC2626',
+                    'border-style': 'dashed',
+                    'border-width': '4px'
+                }
+            },
+            {
+                selector: 'node.diff-added',
+                style: {
+                    'border-color': '#16A34A',
+                    'border-style': 'solid',
+                    'border-width': '5px'
+                }
+            },
+            {
+                selector: 'node.diff-modified',
+                style: {
+                    'border-color': '#EA580C',
+                    'border-style': 'solid',
+                    'border-width': '5px'
+                }
+            },
+            {
+                selector: 'node.diff-renamed',
+                style: {
+                    'border-color': '#2563EB',
+                    'border-style': 'solid',
+                    'border-width': '5px'
+                }
+            },
+            {
+                selector: 'node.diff-removed',
+                style: {
+                    'background-color': '#F1F5F9',
+                    'border-color': '#DC2626',
+                    'border-style': 'dashed',
+                    'border-width': '3px',
+                    'color': '#64748B',
+                    'opacity': 0.8
+                }
+            },
+            {
+                selector: 'edge.diff-removed',
+                style: {
+                    'line-style': 'dashed',
+                    'line-color': '#FCA5A5',
+                    'target-arrow-color': '#FCA5A5'
+                }
+            },
+            {
+                selector: 'node.filtered-out',
+                style: {
+                    'display': 'none'
+                }
+            },
             {
                 selector: 'node:selected',
                 style: {
@@ -593,16 +714,8 @@ function renderGraph() {
                     'opacity': 0.15
                 }
             }
-        ],
-        layout: {
-            name: currentLayout,
-            rankDir: 'TB', // Top to Bottom for dagre
-            nodeSep: 100,
-            rankSep: 150,
-            animate: true,
-            animationDuration: 500
-        }
-    });
+        ]
+    }, largeGraphOptions));
 
     // Add tooltip on hover
     cy.on('mouseover', 'node', function (evt) {
@@ -612,11 +725,16 @@ function renderGraph() {
         // Create tooltip
         let tooltipContent = `
       <div style="position: absolute; background: rgba(0,0,0,0.9); color: white; padding: 12px; border-radius: 8px; font-size: 12px; pointer-events: none; z-index: 1000; max-width: 300px;">
-        <div style="font-weight: bold; margin-bottom: 8px; font-size: 14px;">${data.fullName}</div>
+        <div style="font-weight: bold; margin-bottom: 8px; font-size: 14px;">${escapeHtml(data.fullName)}</div>
         <div style="margin-bottom: 4px;"><strong>Type:</strong> ${data.fieldType}</div>
-        <div style="margin-bottom: 4px;"><strong>Data Type:</strong> ${data.dataType}</div>
-        <div style="margin-bottom: 4px;"><strong>Source:</strong> ${data.dataSource}</div>
-        ${data.formula ? `<div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);"><strong>Formula:</strong><br><code style="font-size: 11px; display: block; margin-top: 4px; white-space: pre-wrap; word-break: break-all;">${data.formula.substring(0, 200)}${data.formula.length > 200 ? '...' : ''}</code></div>` : ''}
+        ${data.dataType ? `<div style="margin-bottom: 4px;"><strong>Data Type:</strong> ${data.dataType}</div>` : ''}
+        ${data.dataSource ? `<div style="margin-bottom: 4px;"><strong>Source:</strong> ${escapeHtml(data.dataSource)}</div>` : ''}
+        ${data.usage ? `<div style="margin-bottom: 4px;"><strong>Usage:</strong> ${escapeHtml(data.usage)}</div>` : ''}
+        ${data.details ? `<div style="margin-bottom: 4px;">${escapeHtml(data.details)}</div>` : ''}
+        ${data.issues ? `<div style="margin-bottom: 4px; color: #FCA5A5; white-space: pre-wrap;"><strong>Issues:</strong> ${escapeHtml(data.issues)}</div>` : ''}
+        ${data.calcClass ? `<div style="margin-bottom: 4px; white-space: pre-wrap;"><strong>Calculation:</strong> ${escapeHtml(data.calcClass)}</div>` : ''}
+        ${data.description ? `<div style="margin-top: 8px; font-style: italic; white-space: pre-wrap;">${escapeHtml(data.description)}</div>` : ''}
+        ${data.formula ? `<div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);"><strong>Formula:</strong><br><code style="font-size: 11px; display: block; margin-top: 4px; white-space: pre-wrap; word-break: break-all;">${escapeHtml(data.formula.substring(0, 200))}${data.formula.length > 200 ? '...' : ''}</code></div>` : ''}
       </div>
     `;
 
@@ -651,6 +769,8 @@ function renderGraph() {
     // Highlight dependencies on click
     cy.on('tap', 'node', function (evt) {
         const node = evt.target;
+        // Groups expand and collapse instead (see bindGraphViewEvents)
+        if (node.hasClass('group')) return;
 
         // Reset all
         cy.elements().removeClass('highlighted dimmed');
@@ -666,6 +786,10 @@ function renderGraph() {
         node.removeClass('dimmed').addClass('highlighted');
         connected.removeClass('dimmed').addClass('highlighted');
         connectedNodes.removeClass('dimmed').addClass('highlighted');
+
+        // Show the full upstream/downstream chain
+        showImpactPanel(node.id());
+        focusGraphOn(node.id());
     });
 
     // Click on background to reset
@@ -679,39 +803,17 @@ function renderGraph() {
     cy.userPanningEnabled(true);
     cy.userZoomingEnabled(true);
     cy.boxSelectionEnabled(false);
+
+    bindGraphViewEvents();
+    resetGraphView(model);
+    drawGraphView();
 }
 
 function changeLayout(layoutName) {
     if (!cy) return;
 
     currentLayout = layoutName;
-
-    let layoutOptions = {
-        name: layoutName,
-        animate: true,
-        animationDuration: 500
-    };
-
-    // Specific options for different layouts
-    if (layoutName === 'dagre') {
-        layoutOptions.rankDir = 'TB'; // Top to Bottom
-        layoutOptions.nodeSep = 100;
-        layoutOptions.rankSep = 150;
-    } else if (layoutName === 'cose') {
-        // Optimized Cose parameters for better spacing
-        layoutOptions.nodeRepulsion = 20000; // Increased from 8000
-        layoutOptions.idealEdgeLength = 150; // Increased from 100
-        layoutOptions.edgeElasticity = 100;
-        layoutOptions.numIter = 2000; // More iterations for stability
-        layoutOptions.gravity = 1;
-        layoutOptions.nodeOverlap = 20;
-    } else if (layoutName === 'breadthfirst') {
-        layoutOptions.directed = true;
-        layoutOptions.spacingFactor = 1.5;
-    }
-
-    const layout = cy.layout(layoutOptions);
-    layout.run();
+    runGraphLayout();
 }
 
 function searchGraph(searchTerm) {
@@ -722,8 +824,10 @@ function searchGraph(searchTerm) {
     if (!searchTerm) return;
 
     const term = searchTerm.toLowerCase();
+    // Collapsed groups match by the names of their members
     const matchedNodes = cy.nodes().filter(node => {
-        return node.data('fullName').toLowerCase().includes(term);
+        return node.data('fullName').toLowerCase().includes(term) ||
+            (node.hasClass('group-collapsed') && node.data('memberNames').includes(term));
     });
 
     if (matchedNodes.length > 0) {
@@ -750,6 +854,7 @@ function resetGraph() {
     cy.elements().removeClass('highlighted dimmed');
     cy.fit();
     document.getElementById('graph-search').value = '';
+    clearGraphFocus();
 }
 
 function fitGraph() {
@@ -772,6 +877,32 @@ function getFieldTypeColor(fieldType) {
     }
 }
 
+function getUsageColor(usage) {
+    switch (usage) {
+        case 'direct':
+            return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+        case 'indirect':
+            return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
+        case 'unused':
+            return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+        default:
+            return 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-200';
+    }
+}
+
+function getUsageLabel(usage) {
+    switch (usage) {
+        case 'direct':
+            return 'Used';
+        case 'indirect':
+            return 'Via Calcs';
+        case 'unused':
+            return 'Unused';
+        default:
+            return '-';
+    }
+}
+
 function exportToPNG(scale) {
     if (!cy) {
         showToast('No graph to export', 'info');
@@ -798,92 +929,38 @@ function exportToPNG(scale) {
     });
 }
 
-function exportToSVG() {
-    if (!cy) {
-        showToast('No graph to export', 'info');
-        return;
-    }
-
-    // Use html2canvas as fallback for SVG-like export
-    // Since cytoscape doesn't have native SVG export without additional plugin
-    const container = document.getElementById('cy');
-
-    html2canvas(container, {
-        backgroundColor: '#f9fafb',
-        scale: 2
-    }).then(canvas => {
-        // Convert to SVG-wrapped image
-        const imgData = canvas.toDataURL('image/png');
-        const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"
-     width="${canvas.width}" height="${canvas.height}" viewBox="0 0 ${canvas.width} ${canvas.height}">
-  <image width="${canvas.width}" height="${canvas.height}" xlink:href="${imgData}"/>
-</svg>`;
-
-        const blob = new Blob([svgContent], { type: 'image/svg+xml;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = parsedData.workbookName.replace(/\.(twb|twbx)$/, '_graph.svg');
-        a.click();
-        URL.revokeObjectURL(url);
+// Tabs in the fields card
+function switchTab(tabName) {
+    document.querySelectorAll('.tab-button[data-tab]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-tab') === tabName);
     });
-}
-
-// Table Filtering
-function filterTable() {
-    const searchTerm = document.getElementById('search-input').value.toLowerCase();
-    const tbody = document.getElementById('table-body');
-    const rows = tbody.getElementsByTagName('tr');
-
-    for (let row of rows) {
-        const text = row.textContent.toLowerCase();
-        row.style.display = text.includes(searchTerm) ? '' : 'none';
-    }
-}
-
-// Table Sorting
-function sortTable(columnIndex) {
-    const tbody = document.getElementById('table-body');
-    const rows = Array.from(tbody.getElementsByTagName('tr'));
-
-    const isAscending = sortOrder.column === columnIndex ? !sortOrder.ascending : true;
-    sortOrder.column = columnIndex;
-    sortOrder.ascending = isAscending;
-
-    rows.sort((a, b) => {
-        const aText = a.cells[columnIndex].textContent.trim();
-        const bText = b.cells[columnIndex].textContent.trim();
-
-        if (aText < bText) return isAscending ? -1 : 1;
-        if (aText > bText) return isAscending ? 1 : -1;
-        return 0;
+    document.querySelectorAll('[data-tab-panel]').forEach(panel => {
+        panel.classList.toggle('hidden', panel.getAttribute('data-tab-panel') !== tabName);
     });
 
-    rows.forEach(row => tbody.appendChild(row));
+    // Search only applies to the fields table
+    const search = document.getElementById('fields-search');
+    if (search) search.classList.toggle('hidden', tabName !== 'fields');
+}
 
-    // Update header indicators
-    const headers = document.querySelectorAll('.sortable');
-    headers.forEach((header, idx) => {
-        const text = header.textContent.replace(' ▼', '').replace(' ▲', '');
-        if (idx === columnIndex) {
-            header.textContent = text + (isAscending ? ' ▼' : ' ▲');
-        } else {
-            header.textContent = text;
-        }
-    });
+// Table Filtering: the text search combines with the facet sidebar
+function filterTable() {
+    applyFieldFilters();
 }
 
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; escape them so the result is safe inside attributes too
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Enable export buttons after file is loaded
 function enableExportButtons() {
     const btnExportFields = document.getElementById('btn-export-fields');
     const btnExportGraph = document.getElementById('btn-export-graph');
+    const btnCompare = document.getElementById('btn-compare');
+    const btnEditWorkbook = document.getElementById('btn-edit-workbook');
 
     if (btnExportFields) {
         btnExportFields.disabled = false;
@@ -891,44 +968,48 @@ function enableExportButtons() {
     if (btnExportGraph) {
         btnExportGraph.disabled = false;
     }
+    if (btnCompare) {
+        btnCompare.disabled = false;
+    }
+    if (btnEditWorkbook) {
+        btnEditWorkbook.disabled = false;
+    }
 }
 
-// Export fields to Excel
-function exportFields() {
-    if (parsedData.fields.length === 0) {
-        showToast('No fields to export', 'info');
+// Export graph as image
+function exportGraph(format) {
+    closeExportGraphMenu();
+
+    // Interchange formats are built from parsedData and do not need the rendered graph
+    if (GRAPH_INTERCHANGE_FORMATS[format]) {
+        exportGraphInterchange(format);
         return;
     }
 
-    // Prepare data for export
-    const exportData = parsedData.fields.map(field => ({
-        'Name': field.name,
-        'Type': field.fieldType,
-        'Role': field.role || '-',
-        'Data Source': field.dataSource,
-        'Formula': field.formula || '-',
-        'ID': field.fieldId || '-'
-    }));
-
-    // Create worksheet
-    const ws = XLSX.utils.json_to_sheet(exportData);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, 'Fields');
-
-    // Export
-    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, '_fields.xlsx');
-    XLSX.writeFile(wb, fileName);
-    showToast(`Exported ${parsedData.fields.length} fields to ${fileName}`, 'success');
-}
-
-// Export graph as image
-function exportGraph() {
-    if (!cy || parsedData.dependencies.length === 0) {
+    if (!cy || cy.nodes().length === 0) {
         showToast('No graph to export', 'info');
         return;
     }
 
-    // Export as PNG by default
+    if (format === 'svg') {
+        exportToSVG();
+        showToast('Graph exported as SVG', 'success');
+        return;
+    }
+
     exportToPNG(2);
     showToast('Graph exported as PNG', 'success');
 }
+
+function toggleExportGraphMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('export-graph-menu');
+    if (menu) menu.classList.toggle('hidden');
+}
+
+function closeExportGraphMenu() {
+    const menu = document.getElementById('export-graph-menu');
+    if (menu) menu.classList.add('hidden');
+}
+
+document.addEventListener('click', closeExportGraphMenu);
@@ -0,0 +1,258 @@
+/**
+ * Calculation Classes
+ * Classifies calculated fields as row-level, aggregate, LOD or table calculation from their syntax tree,
+ * and reads the compute-using (addressing) settings that worksheets store for table calculations
+ */
+
+const CALC_CLASS_LABELS = {
+    'row-level': 'Row-level',
+    aggregate: 'Aggregate',
+    lod: 'LOD',
+    'table-calc': 'Table Calc'
+};
+
+const TABLE_CALC_FUNCTIONS = new Set([
+    'INDEX', 'FIRST', 'LAST', 'SIZE', 'LOOKUP', 'PREVIOUS_VALUE', 'TOTAL',
+    'RANK', 'RANK_DENSE', 'RANK_MODIFIED', 'RANK_PERCENTILE', 'RANK_UNIQUE'
+]);
+const TABLE_CALC_PREFIXES = ['WINDOW_', 'RUNNING_'];
+
+const AGGREGATE_FUNCTIONS = new Set([
+    'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNTD', 'MEDIAN', 'ATTR', 'PERCENTILE',
+    'STDEV', 'STDEVP', 'VAR', 'VARP', 'COLLECT', 'CORR', 'COVAR', 'COVARP'
+]);
+
+// Friendlier names for <table-calc ordering-type>; other values are shown as stored
+const TABLE_CALC_ORDERING_LABELS = {
+    Field: 'Specific dimensions',
+    CellInPane: 'Cell'
+};
+
+function isTableCalcFunction(name) {
+    return TABLE_CALC_FUNCTIONS.has(name) || TABLE_CALC_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Sets `calcClass` on every calculated field:
+ * {type, lods: [{lodType, dimensions}], tableCalcFunctions, aggregateFunctions, inheritedFrom}.
+ * A calculation that uses a table calculation or an aggregate calculation outside an LOD
+ * expression takes that class too (inheritedFrom names the field it came from).
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function classifyCalculations(fieldIndex) {
+    const syntax = new Map();
+    parsedData.fields.forEach(field => {
+        field.calcClass = null;
+        if (field.isCalculated && field.parsedFormula) syntax.set(field.key, readCalcSyntax(field, fieldIndex));
+    });
+
+    const resolving = new Set();
+    const classify = (field) => {
+        if (field.calcClass) return field.calcClass;
+        const own = syntax.get(field.key);
+        if (!own || resolving.has(field.key)) return null;
+        resolving.add(field.key);
+
+        let type = 'row-level';
+        let inheritedFrom = '';
+        if (own.tableCalcFunctions.length > 0) {
+            type = 'table-calc';
+        } else if (own.aggregateFunctions.length > 0) {
+            type = 'aggregate';
+        } else if (own.lods.length > 0) {
+            type = 'lod';
+        }
+
+        // Referenced calculations (outside LOD expressions) pass on table-calc and aggregate
+        own.inputs.forEach(input => {
+            const inputClass = classify(input);
+            if (!inputClass) return;
+            if (inputClass.type === 'table-calc' && type !== 'table-calc') {
+                type = 'table-calc';
+                inheritedFrom = input.name;
+            } else if (inputClass.type === 'aggregate' && (type === 'row-level' || type === 'lod')) {
+                type = 'aggregate';
+                inheritedFrom = input.name;
+            }
+        });
+
+        resolving.delete(field.key);
+        field.calcClass = {
+            type,
+            lods: own.lods,
+            tableCalcFunctions: own.tableCalcFunctions,
+            aggregateFunctions: own.aggregateFunctions,
+            inheritedFrom
+        };
+        return field.calcClass;
+    };
+
+    parsedData.fields.forEach(field => {
+        if (syntax.has(field.key)) classify(field);
+    });
+}
+
+// Functions, LOD expressions and referenced calculations of one formula
+function readCalcSyntax(field, fieldIndex) {
+    const tableCalcFunctions = new Set();
+    const aggregateFunctions = new Set();
+    const lods = [];
+    const inputs = new Set();
+    const parsed = field.parsedFormula;
+
+    const nameOf = (node) => {
+        if (node.type === 'FieldRef') {
+            const ref = resolveFieldRef(node, field, fieldIndex);
+            return ref ? ref.name : node.name;
+        }
+        return parsed.source.slice(node.start, node.end);
+    };
+
+    const visit = (node, insideLod) => {
+        if (!node) return;
+        if (node.type === 'LodExpr') {
+            lods.push({ lodType: node.lodType || 'FIXED', dimensions: node.dimensions.map(nameOf) });
+            calcAstChildren(node).forEach(child => visit(child, true));
+            return;
+        }
+        if (node.type === 'FunctionCall') {
+            if (isTableCalcFunction(node.name)) {
+                tableCalcFunctions.add(node.name);
+            } else if (!insideLod && AGGREGATE_FUNCTIONS.has(node.name)) {
+                aggregateFunctions.add(node.name);
+            }
+        }
+        if (node.type === 'FieldRef' && !insideLod) {
+            const input = resolveFieldRef(node, field, fieldIndex);
+            if (input && input !== field && input.isCalculated) inputs.add(input);
+        }
+        calcAstChildren(node).forEach(child => visit(child, insideLod));
+    };
+
+    if (parsed.ast) {
+        visit(parsed.ast, false);
+    } else {
+        // Unparseable formulas: scan the tokens for function calls and LOD keywords
+        parsed.tokens.forEach((token, i) => {
+            const next = parsed.tokens[i + 1];
+            if (token.type === 'keyword' && CALC_LOD_KEYWORDS.has(token.value)) {
+                lods.push({ lodType: token.value, dimensions: [] });
+            } else if (token.type === 'identifier' && next && next.type === 'lparen') {
+                if (isTableCalcFunction(token.value)) tableCalcFunctions.add(token.value);
+                else if (AGGREGATE_FUNCTIONS.has(token.value)) aggregateFunctions.add(token.value);
+            }
+        });
+    }
+
+    return {
+        tableCalcFunctions: Array.from(tableCalcFunctions),
+        aggregateFunctions: Array.from(aggregateFunctions),
+        lods,
+        inputs: Array.from(inputs)
+    };
+}
+
+/**
+ * Reads <table-calc> settings from each worksheet's column instances and stores them on the
+ * field as `tableCalcSettings`: [{worksheet, orderingType, orderFields, calcType}]
+ * @param {Document} xmlDoc - The parsed workbook
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function analyzeTableCalcSettings(xmlDoc, fieldIndex) {
+    parsedData.fields.forEach(field => {
+        field.tableCalcSettings = [];
+    });
+
+    Array.from(xmlDoc.getElementsByTagName('worksheet')).forEach(worksheet => {
+        const sheetName = worksheet.getAttribute('name') || 'Untitled';
+        const instanceColumns = new Map();
+        const tableCalcs = [];
+
+        Array.from(worksheet.getElementsByTagName('datasource-dependencies')).forEach(deps => {
+            const dsName = deps.getAttribute('datasource');
+            if (!dsName) return;
+            Array.from(deps.children).forEach(child => {
+                if (child.tagName !== 'column-instance') return;
+                instanceColumns.set(makeFieldKey(dsName, child.getAttribute('name') || ''), makeFieldKey(dsName, child.getAttribute('column') || ''));
+                Array.from(child.children)
+                    .filter(node => node.tagName === 'table-calc')
+                    .forEach(tableCalc => tableCalcs.push({ dsName, instance: child, tableCalc }));
+            });
+        });
+
+        // Order fields are qualified column instances, e.g. [federated.0abc].[none:Region:nk]
+        const resolveOrderField = (text) => {
+            const token = tokenizeCalc(text).tokens.find(t => t.type === 'field');
+            if (!token) return text;
+            const field = token.datasource
+                ? resolveColumnInstance(token.datasource, token.name, instanceColumns, fieldIndex)
+                : null;
+            return field ? field.name : token.name;
+        };
+
+        tableCalcs.forEach(({ dsName, instance, tableCalc }) => {
+            const field = resolveColumnInstance(dsName, unbracketFieldId(instance.getAttribute('name') || ''), instanceColumns, fieldIndex);
+            if (!field) return;
+
+            const orderFields = Array.from(tableCalc.getElementsByTagName('order'))
+                .map(order => order.getAttribute('field'))
+                .concat(tableCalc.getAttribute('ordering-field') || [])
+                .filter(Boolean)
+                .map(resolveOrderField);
+
+            field.tableCalcSettings.push({
+                worksheet: sheetName,
+                orderingType: tableCalc.getAttribute('ordering-type') || '',
+                orderFields: Array.from(new Set(orderFields)),
+                calcType: tableCalc.getAttribute('type') || ''
+            });
+        });
+    });
+}
+
+/**
+ * Short description of a field's calculation class, e.g. "FIXED [Region]" or "RUNNING_SUM"
+ * @param {object} field - A parsed field
+ * @returns {string}
+ */
+function describeCalcClass(field) {
+    const calcClass = field.calcClass;
+    if (!calcClass) return '';
+
+    const lods = calcClass.lods
+        .map(lod => `${lod.lodType}${lod.dimensions.length ? ' ' + lod.dimensions.map(d => `[${d}]`).join(', ') : ''}`)
+        .join('; ');
+    const parts = [];
+    if (calcClass.type === 'table-calc') parts.push(calcClass.tableCalcFunctions.join(', '));
+    if (calcClass.type === 'aggregate') parts.push(calcClass.aggregateFunctions.join(', '));
+    if (lods) parts.push(lods);
+    if (calcClass.inheritedFrom) parts.push(`via ${calcClass.inheritedFrom}`);
+    return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Compute-using settings per worksheet, e.g. "Sales by Region: Specific dimensions (Region)"
+ * @param {object} field - A parsed field
+ * @returns {Array<string>}
+ */
+function describeTableCalcSettings(field) {
+    return (field.tableCalcSettings || []).map(setting => {
+        const ordering = TABLE_CALC_ORDERING_LABELS[setting.orderingType] || setting.orderingType || 'Default';
+        const fields = setting.orderFields.length ? ` (${setting.orderFields.join(', ')})` : '';
+        const calcType = setting.calcType ? `${setting.calcType}, ` : '';
+        return `${setting.worksheet}: ${calcType}${ordering}${fields}`;
+    });
+}
+
+function getCalcClassColor(type) {
+    switch (type) {
+        case 'lod':
+            return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200';
+        case 'table-calc':
+            return 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-200';
+        case 'aggregate':
+            return 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200';
+        default:
+            return 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300';
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * Formula Diagnostics
+ * Reports broken references, unparseable formulas and circular dependencies between calculated fields
+ */
+
+const DIAGNOSTIC_LABELS = {
+    'missing-field': 'Missing Field',
+    'missing-parameter': 'Missing Parameter',
+    'unknown-datasource': 'Unknown Data Source',
+    'parse-error': 'Parse Error',
+    'circular-dependency': 'Circular Dependency'
+};
+
+/**
+ * Builds parsedData.diagnostics from the unresolved references recorded by analyzeDependencies(),
+ * the parser errors of each formula, and cycles in parsedData.dependencies.
+ * Each affected field also gets an `issues` array.
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function analyzeDiagnostics(fieldIndex) {
+    parsedData.diagnostics = [];
+    const knownDataSources = new Set(['Parameters', ...parsedData.dataSources.map(ds => ds.name)]);
+
+    const report = (field, type, message, details = {}) => {
+        parsedData.diagnostics.push(Object.assign({
+            type,
+            label: DIAGNOSTIC_LABELS[type],
+            severity: type === 'parse-error' ? 'warning' : 'error',
+            fieldKey: field.key,
+            fieldName: field.name,
+            dataSource: field.dataSourceCaption,
+            formula: field.rawFormula,
+            reference: '',
+            start: null,
+            end: null,
+            message
+        }, details));
+    };
+
+    parsedData.fields.forEach(field => {
+        if (!field.parsedFormula) return;
+
+        field.parsedFormula.errors.forEach(error => {
+            report(field, 'parse-error', `Formula cannot be parsed: ${error.message}`, {
+                reference: field.rawFormula.slice(error.start, error.end),
+                start: error.start,
+                end: error.end
+            });
+        });
+
+        (field.unresolvedRefs || []).forEach(ref => {
+            const details = { reference: ref.raw, start: ref.start, end: ref.end };
+            if (ref.datasource === 'Parameters') {
+                report(field, 'missing-parameter', `References parameter ${ref.raw}, which does not exist (deleted parameter)`, details);
+            } else if (ref.datasource && !knownDataSources.has(ref.datasource)) {
+                report(field, 'unknown-datasource', `References ${ref.raw} in a datasource that is not part of this workbook`, details);
+            } else {
+                const dsName = ref.datasource || field.dataSource;
+                const ds = parsedData.dataSources.find(d => d.name === dsName);
+                const dsCaption = ds ? ds.caption : dsName;
+                report(field, 'missing-field', `References ${ref.raw}, which does not exist in ${dsCaption} (deleted or renamed field)`, details);
+            }
+        });
+    });
+
+    findDependencyCycles(fieldIndex).forEach(cycle => {
+        const nameOf = key => fieldIndex.byKey.get(key).name;
+        const path = [...cycle.path, cycle.path[0]].map(nameOf).join(' → ');
+        const others = cycle.members.filter(key => !cycle.path.includes(key)).map(nameOf);
+        const message = `Circular dependency: ${path}` + (others.length === 0 ? ''
+            : ` (also involves ${others.length === 1 ? others[0] : `${others.slice(0, -1).join(', ')} and ${others[others.length - 1]}`})`);
+        cycle.members.forEach(key => {
+            report(fieldIndex.byKey.get(key), 'circular-dependency', message, { reference: path });
+        });
+    });
+
+    const issuesByField = new Map();
+    parsedData.diagnostics.forEach(diagnostic => {
+        if (!issuesByField.has(diagnostic.fieldKey)) issuesByField.set(diagnostic.fieldKey, []);
+        issuesByField.get(diagnostic.fieldKey).push(diagnostic);
+    });
+    parsedData.fields.forEach(field => {
+        field.issues = issuesByField.get(field.key) || [];
+    });
+}
+
+/**
+ * Finds dependency cycles (strongly connected components, Tarjan's algorithm), including fields
+ * that reference themselves. The walk keeps its own stack, so long calculation chains cannot
+ * overflow the call stack.
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {Array<{members: Array<string>, path: Array<string>}>} The field keys of each component, and
+ *   one actual loop through its first member in dependency order (each key is an input of the next)
+ */
+function findDependencyCycles(fieldIndex) {
+    const outputsOf = new Map();
+    parsedData.dependencies.forEach(dep => {
+        if (!outputsOf.has(dep.from)) outputsOf.set(dep.from, []);
+        outputsOf.get(dep.from).push(dep.to);
+    });
+
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (key) => {
+        index.set(key, counter);
+        lowLink.set(key, counter);
+        counter++;
+        stack.push(key);
+        onStack.add(key);
+        return { key, outputs: outputsOf.get(key) || [], next: 0 };
+    };
+
+    const connect = (root) => {
+        const work = [visit(root)];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const { key } = frame;
+            if (frame.next < frame.outputs.length) {
+                const next = frame.outputs[frame.next++];
+                if (!index.has(next)) {
+                    work.push(visit(next));
+                } else if (onStack.has(next)) {
+                    lowLink.set(key, Math.min(lowLink.get(key), index.get(next)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].key;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(key)));
+            }
+            if (lowLink.get(key) === index.get(key)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== key);
+
+                if (component.length > 1) {
+                    const members = component.reverse();
+                    cycles.push({ members, path: findCyclePath(members[0], new Set(members), outputsOf) });
+                }
+            }
+        }
+    };
+
+    outputsOf.forEach((_, key) => {
+        if (!index.has(key)) connect(key);
+    });
+
+    // A field whose formula names itself is a cycle of one
+    parsedData.fields.forEach(field => {
+        if (!field.parsedFormula) return;
+        const selfReference = getCalcFieldRefs(field.parsedFormula)
+            .some(ref => resolveFieldRef(ref, field, fieldIndex) === field);
+        if (selfReference) cycles.push({ members: [field.key], path: [field.key] });
+    });
+
+    return cycles;
+}
+
+// Shortest loop from a field back to itself through the members of its component (breadth first)
+function findCyclePath(start, members, outputsOf) {
+    const previous = new Map();
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        const key = queue[i];
+        for (const next of outputsOf.get(key) || []) {
+            if (next === start) {
+                const path = [key];
+                while (path[0] !== start) path.unshift(previous.get(path[0]));
+                return path;
+            }
+            if (members.has(next) && !previous.has(next)) {
+                previous.set(next, key);
+                queue.push(next);
+            }
+        }
+    }
+    return [start];
+}
+
+function renderIssues() {
+    const list = document.getElementById('issues-list');
+    const count = document.getElementById('issues-count');
+    if (!list) return;
+
+    const diagnostics = parsedData.diagnostics;
+    if (count) {
+        count.textContent = diagnostics.length;
+        count.classList.toggle('hidden', diagnostics.length === 0);
+    }
+
+    if (diagnostics.length === 0) {
+        list.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50 text-green-500">task_alt</span>
+        <p>No broken references or circular dependencies found</p>
+      </div>
+    `;
+        return;
+    }
+
+    list.innerHTML = diagnostics.map((diagnostic, i) => `
+      <div data-issue-index="${i}" class="px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
+        <div class="flex items-center gap-2 flex-wrap">
+          <span class="material-symbols-outlined text-lg ${diagnostic.severity === 'error' ? 'text-red-500' : 'text-primary-500'}">${diagnostic.severity === 'error' ? 'error' : 'warning'}</span>
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${diagnostic.severity === 'error' ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'}">
+            ${diagnostic.label}
+          </span>
+          <span class="text-sm font-bold text-gray-900 dark:text-white">${escapeHtml(diagnostic.fieldName)}</span>
+          <span class="text-xs text-gray-400">${escapeHtml(diagnostic.dataSource)}</span>
+        </div>
+        <p class="mt-1 text-sm text-gray-600 dark:text-gray-300">${escapeHtml(diagnostic.message)}</p>
+        ${diagnostic.formula ? `<pre class="mt-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${highlightFormulaRange(diagnostic.formula, diagnostic.start, diagnostic.end)}</pre>` : ''}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-issue-index]').forEach(item => {
+        item.onclick = () => highlightFieldInGraph(diagnostics[parseInt(item.getAttribute('data-issue-index'), 10)].fieldKey);
+    });
+}
+
+// Escapes a formula for display and marks the [start, end) range
+function highlightFormulaRange(formula, start, end) {
+    if (start === null || end === null) return escapeHtml(formula);
+    const marked = formula.slice(start, end) || ' ';
+    return escapeHtml(formula.slice(0, start)) +
+        `<mark class="bg-red-200 text-red-900 rounded px-0.5">${escapeHtml(marked)}</mark>` +
+        escapeHtml(formula.slice(end));
+}
@@ -0,0 +1,303 @@
+/**
+ * Duplicate Calculations
+ * Finds calculated fields with the same formula once whitespace, case, comments and caption-vs-ID
+ * references are normalised away, and fields that are nearly the same (for example differing
+ * only in a literal). Each group suggests a canonical field and lists what would need repointing.
+ */
+
+// Token similarity (0-1) from which two formulas count as near duplicates
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.85;
+
+// Formulas shorter than this (e.g. a bare [Sales] or 1) are too generic to call near duplicates
+const DUPLICATE_MIN_TOKENS = 4;
+
+const DUPLICATE_KIND_LABELS = {
+    exact: 'Identical',
+    near: 'Similar'
+};
+
+const DUPLICATE_LITERAL_TYPES = new Set(['string', 'number', 'date']);
+
+/**
+ * Builds parsedData.duplicates from the formulas parsed by replaceFormulaFieldIds().
+ * Only fields of the same datasource are compared; each field belongs to at most one group, and
+ * members of a group get a `duplicate` entry pointing at the suggested canonical field.
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function analyzeDuplicates(fieldIndex) {
+    parsedData.duplicates = [];
+    parsedData.fields.forEach(field => {
+        field.duplicate = null;
+    });
+
+    // Calculations with the same normalised formula, per datasource
+    const formulas = new Map();
+    parsedData.fields.forEach(field => {
+        if (!field.isCalculated || !field.parsedFormula) return;
+        const tokens = normalizeDuplicateTokens(field, fieldIndex);
+        if (tokens.length === 0) return;
+
+        const id = `${field.dataSource}\n${tokens.map(token => token.text).join(' ')}`;
+        if (!formulas.has(id)) {
+            formulas.set(id, {
+                dataSource: field.dataSource,
+                tokens: tokens.map(token => token.text),
+                shape: tokens.map(token => token.literal ? `<${token.type}>` : token.text).join(' '),
+                fields: []
+            });
+        }
+        formulas.get(id).fields.push(field);
+    });
+
+    // Link distinct formulas that are near duplicates of each other
+    const entries = Array.from(formulas.values()).sort((a, b) => a.tokens.length - b.tokens.length);
+    const parent = entries.map((_, i) => i);
+    const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+
+    for (let i = 0; i < entries.length; i++) {
+        const a = entries[i];
+        if (a.tokens.length < DUPLICATE_MIN_TOKENS) continue;
+        for (let j = i + 1; j < entries.length; j++) {
+            const b = entries[j];
+            // Sorted by length, so no later formula can reach the threshold either
+            if (2 * a.tokens.length / (a.tokens.length + b.tokens.length) < DUPLICATE_SIMILARITY_THRESHOLD) break;
+            if (a.dataSource !== b.dataSource || find(i) === find(j)) continue;
+            if (a.shape === b.shape || getTokenSimilarity(a.tokens, b.tokens) >= DUPLICATE_SIMILARITY_THRESHOLD) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    entries.forEach((entry, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(entry);
+    });
+
+    clusters.forEach(cluster => {
+        const fields = cluster.flatMap(entry => entry.fields);
+        if (fields.length < 2) return;
+
+        const canonical = chooseCanonicalField(fields);
+        const canonicalEntry = cluster.find(entry => entry.fields.includes(canonical));
+        const group = {
+            kind: cluster.length === 1 ? 'exact' : 'near',
+            label: DUPLICATE_KIND_LABELS[cluster.length === 1 ? 'exact' : 'near'],
+            canonicalKey: canonical.key,
+            dataSource: canonical.dataSourceCaption,
+            members: []
+        };
+
+        cluster.forEach(entry => {
+            const similarity = entry === canonicalEntry ? 1 : getTokenSimilarity(canonicalEntry.tokens, entry.tokens);
+            entry.fields.forEach(field => {
+                group.members.push({
+                    key: field.key,
+                    name: field.name,
+                    formula: field.formula,
+                    similarity: Math.round(similarity * 100),
+                    onlyLiterals: entry !== canonicalEntry && entry.shape === canonicalEntry.shape,
+                    dependents: field === canonical ? [] : parsedData.dependencies
+                        .filter(dep => dep.from === field.key)
+                        .map(dep => dep.to),
+                    worksheets: field === canonical ? [] : field.worksheets
+                });
+            });
+        });
+
+        // Canonical first, then the closest matches
+        group.members.sort((a, b) => (b.key === group.canonicalKey) - (a.key === group.canonicalKey) ||
+            b.similarity - a.similarity ||
+            a.name.localeCompare(b.name));
+        parsedData.duplicates.push(group);
+    });
+
+    parsedData.duplicates.sort((a, b) => (a.kind === 'exact' ? 0 : 1) - (b.kind === 'exact' ? 0 : 1) ||
+        b.members.length - a.members.length);
+    parsedData.duplicates.forEach((group, index) => {
+        group.members.forEach(member => {
+            fieldIndex.byKey.get(member.key).duplicate = {
+                group: index,
+                kind: group.kind,
+                canonicalKey: group.canonicalKey,
+                similarity: member.similarity
+            };
+        });
+    });
+}
+
+/**
+ * Normalises a formula into comparable tokens: comments dropped, functions and keywords in upper case,
+ * references replaced by the key of the field they resolve to (so [Calculation_123] and [Profit Ratio]
+ * match), literals by their value and equivalent operators unified
+ * @param {object} field - Calculated field with parsedFormula
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {Array<{type: string, text: string, literal: boolean}>}
+ */
+function normalizeDuplicateTokens(field, fieldIndex) {
+    const operators = { '==': '=', '<>': '!=' };
+
+    return field.parsedFormula.tokens
+        .filter(token => token.type !== 'comment')
+        .map(token => {
+            let text;
+            if (token.type === 'field') {
+                const refField = resolveFieldRef(token, field, fieldIndex);
+                text = refField ? refField.key : formatCalcFieldRef(token.name.toUpperCase(), token.datasource);
+            } else if (token.type === 'string') {
+                text = JSON.stringify(token.value);
+            } else if (token.type === 'date') {
+                text = `#${token.value.trim()}#`;
+            } else if (token.type === 'number') {
+                text = String(token.value);
+            } else if (token.type === 'operator') {
+                text = operators[token.value] || token.value;
+            } else {
+                text = String(token.value);
+            }
+            return { type: token.type, text, literal: DUPLICATE_LITERAL_TYPES.has(token.type) };
+        });
+}
+
+/**
+ * Similarity of two token lists: twice the longest common subsequence over the total length
+ * @param {Array<string>} a - Tokens
+ * @param {Array<string>} b - Tokens
+ * @returns {number} 0-1
+ */
+function getTokenSimilarity(a, b) {
+    if (a.length === 0 && b.length === 0) return 1;
+    // Shared tokens regardless of order are an upper bound: skip the full comparison when they already
+    // fall short, and settle for them on very long formulas
+    const countSimilarity = getTokenCountSimilarity(a, b);
+    if (countSimilarity < DUPLICATE_SIMILARITY_THRESHOLD || a.length * b.length > 250000) return countSimilarity;
+
+    let previous = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const row = new Array(b.length + 1).fill(0);
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], row[j - 1]);
+        }
+        previous = row;
+    }
+    return 2 * previous[b.length] / (a.length + b.length);
+}
+
+function getTokenCountSimilarity(a, b) {
+    const counts = new Map();
+    a.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    let shared = 0;
+    b.forEach(token => {
+        const count = counts.get(token) || 0;
+        if (count > 0) {
+            shared++;
+            counts.set(token, count - 1);
+        }
+    });
+    return 2 * shared / (a.length + b.length);
+}
+
+/**
+ * Picks the field the others should be replaced with: the most used one, preferring visible,
+ * documented fields over "(copy)" names
+ * @param {Array<object>} fields - Group members
+ * @returns {object}
+ */
+function chooseCanonicalField(fields) {
+    const dependentCounts = new Map();
+    parsedData.dependencies.forEach(dep => dependentCounts.set(dep.from, (dependentCounts.get(dep.from) || 0) + 1));
+
+    const rank = (field) => [
+        (dependentCounts.get(field.key) || 0) + field.worksheets.length,
+        field.usage === 'unused' ? 0 : 1,
+        field.hidden ? 0 : 1,
+        field.description ? 1 : 0,
+        /\(copy( \d+)?\)$/i.test(field.name) ? 0 : 1
+    ];
+
+    return fields.reduce((best, field) => {
+        const a = rank(field);
+        const b = rank(best);
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] > b[i] ? field : best;
+        }
+        return best;
+    });
+}
+
+function renderDuplicates() {
+    const list = document.getElementById('duplicates-list');
+    const count = document.getElementById('duplicates-count');
+    if (!list) return;
+
+    const groups = parsedData.duplicates || [];
+    if (count) {
+        count.textContent = groups.length;
+        count.classList.toggle('hidden', groups.length === 0);
+    }
+
+    if (parsedData.fields.length === 0) {
+        list.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50">content_copy</span>
+        <p>Upload a file to find duplicate calculations</p>
+      </div>
+    `;
+        return;
+    }
+    if (groups.length === 0) {
+        list.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50 text-green-500">task_alt</span>
+        <p>No duplicate or near-duplicate calculations found</p>
+      </div>
+    `;
+        return;
+    }
+
+    const fieldMap = new Map(parsedData.fields.map(field => [field.key, field]));
+    const fieldName = (key) => fieldMap.has(key) ? fieldMap.get(key).name : key;
+
+    list.innerHTML = groups.map(group => {
+        const canonical = group.members[0];
+        return `
+      <div class="px-4 py-3">
+        <div class="flex items-center gap-2 flex-wrap">
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${group.kind === 'exact' ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'}">
+            ${group.label}
+          </span>
+          <span class="text-sm text-gray-600 dark:text-gray-300">${group.members.length} calculations</span>
+          <span class="text-xs text-gray-400">${escapeHtml(group.dataSource)}</span>
+          <span class="ml-auto text-sm text-gray-600 dark:text-gray-300">Keep <span class="font-bold text-gray-900 dark:text-white">${escapeHtml(canonical.name)}</span></span>
+        </div>
+        <div class="mt-2 space-y-2">
+          ${group.members.map(member => {
+            const isCanonical = member.key === group.canonicalKey;
+            const repoint = [
+                ...member.dependents.map(key => escapeHtml(fieldName(key))),
+                ...member.worksheets.map(sheet => `${escapeHtml(sheet)} <span class="text-gray-400">(sheet)</span>`)
+            ];
+            return `
+            <div class="rounded-lg border border-gray-200 dark:border-gray-700 p-2">
+              <div class="flex items-center gap-2 flex-wrap">
+                <button data-duplicate-field="${escapeHtml(member.key)}" class="text-sm font-bold text-gray-900 hover:text-primary-600 dark:text-white">${escapeHtml(member.name)}</button>
+                ${isCanonical
+                    ? '<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Canonical</span>'
+                    : `<span class="text-xs font-bold text-gray-500">${member.similarity}%</span>`}
+                ${member.onlyLiterals ? '<span class="text-xs text-orange-600 dark:text-orange-400">Differs only in literals</span>' : ''}
+              </div>
+              <pre class="mt-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${isCanonical || member.similarity === 100 ? escapeHtml(member.formula) : renderFormulaDiff(canonical.formula, member.formula)}</pre>
+              ${isCanonical ? '' : `<p class="mt-1 text-xs text-gray-500 dark:text-gray-400">${repoint.length > 0 ? `Repoint: ${repoint.join(', ')}` : 'Nothing to repoint'}</p>`}
+            </div>
+          `;
+        }).join('')}
+        </div>
+      </div>
+    `;
+    }).join('');
+
+    list.querySelectorAll('[data-duplicate-field]').forEach(button => {
+        button.onclick = () => showFieldDetails(button.getAttribute('data-duplicate-field'));
+    });
+}
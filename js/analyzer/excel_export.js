@@ -0,0 +1,165 @@
+/**
+ * Excel Export
+ * Writes the analysis as one workbook with a sheet per entity. Sheets reference each other by ID:
+ * Field ID is the qualified field key ([datasource].[field]), Datasource ID the datasource's
+ * internal name and Worksheet ID the worksheet name.
+ */
+
+/**
+ * Builds the rows of every sheet in the export workbook
+ * @returns {Object<string, Array<object>>} Rows keyed by sheet name, in sheet order
+ */
+function buildAnalysisSheets() {
+    const fieldMap = new Map(parsedData.fields.map(field => [field.key, field]));
+    const fieldName = (key) => fieldMap.has(key) ? fieldMap.get(key).name : key;
+    const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+
+    const fields = parsedData.fields.map(field => ({
+        'Field ID': field.key,
+        'Name': field.name,
+        'Internal Name': field.fieldId,
+        'Datasource ID': field.dataSource,
+        'Data Source': field.dataSourceCaption,
+        'Field Type': field.fieldType,
+        'Role': capitalize(field.role),
+        'Data Type': field.dataType,
+        'Default Aggregation': field.defaultAggregation,
+        'Hidden': field.hidden,
+        'Description': field.description,
+        'Alias': field.alias,
+        'Value Aliases': field.aliases.map(alias => `${alias.value} = ${alias.alias}`).join('\n'),
+        'Semantic Role': formatSemanticRole(field.semanticRole),
+        'Usage': getUsageLabel(field.usage),
+        'Worksheet Count': field.worksheets.length,
+        'Calculation Class': field.calcClass ? CALC_CLASS_LABELS[field.calcClass.type] : '',
+        'Calculation Details': describeCalcClass(field),
+        'Compute Using': describeTableCalcSettings(field).join('\n'),
+        'Lint Score': field.lint ? field.lint.score : '',
+        'Formula': field.formula,
+        'Issues': (field.issues || []).map(issue => issue.message).join('\n')
+    }));
+
+    const dependencies = parsedData.dependencies.map(dep => ({
+        'From Field ID': dep.from,
+        'From Name': fieldName(dep.from),
+        'To Field ID': dep.to,
+        'To Name': fieldName(dep.to)
+    }));
+
+    // One row per underlying connection; federated datasources can combine several
+    const dataSources = [];
+    parsedData.dataSources.forEach(ds => {
+        const base = {
+            'Datasource ID': ds.name,
+            'Caption': ds.caption,
+            'Connection Class': ds.connectionClass,
+            'Extract': ds.hasExtract,
+            'Tables': ds.tables.join(', '),
+            'Field Count': parsedData.fields.filter(field => field.dataSource === ds.name).length
+        };
+        const connections = ds.connections.length > 0 ? ds.connections : [null];
+        connections.forEach(conn => {
+            dataSources.push(Object.assign({}, base, {
+                'Connection Name': conn ? conn.caption || conn.name : '',
+                'Source Type': conn ? conn.connectionClass : '',
+                'Server': conn ? conn.server : '',
+                'Port': conn ? conn.port : '',
+                'Database': conn ? conn.database : '',
+                'Schema': conn ? conn.schema : '',
+                'File': conn ? conn.filename : '',
+                'Username': conn ? conn.username : '',
+                'Authentication': conn ? conn.authentication : ''
+            }));
+        });
+    });
+
+    const parameters = parsedData.parameters.map(param => ({
+        'Field ID': param.key,
+        'Name': param.name,
+        'Data Type': param.dataType,
+        'Domain': PARAMETER_DOMAIN_LABELS[param.domainType] || param.domainType,
+        'Allowed Values': describeParameterDomain(param),
+        'Current Value': param.currentValue,
+        'Referenced By (Field IDs)': param.referencedBy.join('\n')
+    }));
+
+    const worksheets = parsedData.worksheets.map(sheet => ({
+        'Worksheet ID': sheet.name,
+        'Datasource IDs': sheet.dataSources.join('\n'),
+        'Fields Used': sheet.fields.length,
+        'Dashboards': parsedData.dashboards
+            .filter(dashboard => dashboard.worksheets.includes(sheet.name))
+            .map(dashboard => dashboard.name)
+            .join('\n')
+    }));
+
+    // Direct placements first, then the fields each worksheet only reaches through calculations
+    const fieldUsage = [];
+    const inputsOf = buildDependencyInputs();
+    parsedData.worksheets.forEach(sheet => {
+        const direct = new Set(sheet.fields);
+        const addRow = (key, usage) => {
+            const field = fieldMap.get(key);
+            if (!field) return;
+            fieldUsage.push({
+                'Worksheet ID': sheet.name,
+                'Field ID': key,
+                'Field Name': field.name,
+                'Datasource ID': field.dataSource,
+                'Usage': usage
+            });
+        };
+        direct.forEach(key => addRow(key, 'Direct'));
+        collectUpstreamKeys(direct, inputsOf).forEach(key => {
+            if (!direct.has(key)) addRow(key, 'Via Calcs');
+        });
+    });
+
+    // One row per group member; Field ID of the suggested canonical field links the group
+    const duplicates = [];
+    parsedData.duplicates.forEach((group, index) => {
+        group.members.forEach(member => {
+            duplicates.push({
+                'Group': index + 1,
+                'Match': group.label,
+                'Field ID': member.key,
+                'Name': member.name,
+                'Canonical Field ID': group.canonicalKey,
+                'Similarity %': member.similarity,
+                'Only Literals Differ': member.onlyLiterals,
+                'Repoint Field IDs': member.dependents.join('\n'),
+                'Repoint Worksheet IDs': member.worksheets.join('\n'),
+                'Formula': member.formula
+            });
+        });
+    });
+
+    return {
+        'Fields': fields,
+        'Dependencies': dependencies,
+        'Datasources': dataSources,
+        'Parameters': parameters,
+        'Worksheets': worksheets,
+        'Field Usage': fieldUsage,
+        'Duplicates': duplicates
+    };
+}
+
+// Export the full analysis to Excel
+function exportFields() {
+    if (parsedData.fields.length === 0) {
+        showToast('No fields to export', 'info');
+        return;
+    }
+
+    const wb = XLSX.utils.book_new();
+    Object.entries(buildAnalysisSheets()).forEach(([sheetName, rows]) => {
+        // Empty sheets keep their place in the workbook with a note
+        const ws = rows.length > 0 ? XLSX.utils.json_to_sheet(rows) : XLSX.utils.aoa_to_sheet([[`No ${sheetName.toLowerCase()} in this workbook`]]);
+        XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    });
+
+    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, '_analysis.xlsx');
+    XLSX.writeFile(wb, fileName);
+    showToast(`Exported ${parsedData.fields.length} fields with dependencies, datasources, parameters and usage to ${fileName}`, 'success');
+}
@@ -0,0 +1,221 @@
+/**
+ * Field Facets
+ * Sidebar filters for the field table with live counts. Facets combine with the text search,
+ * and the graph shows the same subset of fields.
+ */
+
+const FIELD_FACETS = [
+    { id: 'dataSource', label: 'Data Source', value: field => field.dataSourceCaption },
+    { id: 'fieldType', label: 'Field Type', value: field => field.fieldType },
+    { id: 'dataType', label: 'Data Type', value: field => field.dataType },
+    {
+        id: 'origin',
+        label: 'Calculated vs Raw',
+        value: field => field.isCalculated ? 'Calculated' : field.fieldType === 'Parameter' ? 'Parameter' : 'Raw'
+    },
+    {
+        id: 'calcClass',
+        label: 'Calculation Class',
+        value: field => field.calcClass ? CALC_CLASS_LABELS[field.calcClass.type] : 'Not calculated'
+    },
+    { id: 'hidden', label: 'Visibility', value: field => field.hidden ? 'Hidden' : 'Visible' },
+    { id: 'usage', label: 'Usage', value: field => getUsageLabel(field.usage) },
+    { id: 'description', label: 'Description', value: field => field.description ? 'Has description' : 'No description' }
+];
+
+// Selected values per facet ID; a facet with no selection does not filter
+let facetState = {};
+
+function getSearchTerm() {
+    const input = document.getElementById('search-input');
+    return input ? input.value.trim().toLowerCase() : '';
+}
+
+function fieldMatchesSearch(field, searchTerm) {
+    if (!searchTerm) return true;
+    const text = [
+        field.name,
+        field.dataType,
+        field.fieldType,
+        field.dataSourceCaption,
+        getUsageLabel(field.usage),
+        field.defaultAggregation,
+        field.description,
+        field.formula,
+        field.fieldId
+    ].join(' ').toLowerCase();
+    return text.includes(searchTerm);
+}
+
+/**
+ * Tests a field against the search term and every selected facet except `ignoreFacetId`
+ * (values within a facet are OR-ed, facets are AND-ed)
+ */
+function fieldMatchesFilters(field, searchTerm, ignoreFacetId) {
+    if (!fieldMatchesSearch(field, searchTerm)) return false;
+    return FIELD_FACETS.every(facet => {
+        const selected = facetState[facet.id];
+        if (facet.id === ignoreFacetId || !selected || selected.size === 0) return true;
+        return selected.has(facet.value(field));
+    });
+}
+
+/**
+ * Fields that pass the current facets and text search
+ * @returns {Array<object>}
+ */
+function getFilteredFields() {
+    const searchTerm = getSearchTerm();
+    return parsedData.fields.filter(field => fieldMatchesFilters(field, searchTerm));
+}
+
+function hasActiveFieldFilters() {
+    return !!getSearchTerm() || Object.values(facetState).some(selected => selected.size > 0);
+}
+
+// Called once per workbook: clears the selection and draws the sidebar
+function renderFacets() {
+    facetState = {};
+    applyFieldFilters();
+}
+
+function toggleFacetValue(facetId, value) {
+    if (!facetState[facetId]) facetState[facetId] = new Set();
+    const selected = facetState[facetId];
+    if (selected.has(value)) {
+        selected.delete(value);
+    } else {
+        selected.add(value);
+    }
+    applyFieldFilters();
+}
+
+function clearFacets() {
+    facetState = {};
+    const input = document.getElementById('search-input');
+    if (input) input.value = '';
+    applyFieldFilters();
+}
+
+/**
+ * Applies facets and search to the table rows, the facet counts and the graph
+ */
+function applyFieldFilters() {
+    const filtered = getFilteredFields();
+    const visibleKeys = new Set(filtered.map(field => field.key));
+
+    setFieldTableRows(filtered);
+
+    renderFacetPanel(visibleKeys.size);
+    filterGraphToFields(hasActiveFieldFilters() ? visibleKeys : null);
+}
+
+function renderFacetPanel(visibleCount) {
+    const panel = document.getElementById('facet-panel');
+    if (!panel) return;
+
+    if (parsedData.fields.length === 0) {
+        panel.innerHTML = '<p class="text-sm text-gray-400">Upload a file to filter fields</p>';
+        return;
+    }
+
+    const searchTerm = getSearchTerm();
+    const groups = FIELD_FACETS.map(facet => {
+        const selected = facetState[facet.id] || new Set();
+
+        // Counts reflect every other active filter, so each option shows what selecting it would give
+        const counts = new Map();
+        parsedData.fields.forEach(field => {
+            const value = facet.value(field);
+            if (!counts.has(value)) counts.set(value, 0);
+            if (fieldMatchesFilters(field, searchTerm, facet.id)) counts.set(value, counts.get(value) + 1);
+        });
+
+        const options = Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+            .map(([value, count]) => `
+              <label class="flex items-center gap-2 py-0.5 text-sm cursor-pointer ${count === 0 && !selected.has(value) ? 'opacity-40' : ''}">
+                <input type="checkbox" data-facet-id="${facet.id}" data-facet-value="${escapeHtml(value)}" ${selected.has(value) ? 'checked' : ''}
+                  class="rounded border-gray-300 text-primary-500 focus:ring-primary-500" />
+                <span class="flex-grow truncate text-gray-700 dark:text-gray-200" title="${escapeHtml(value)}">${escapeHtml(value)}</span>
+                <span class="text-xs font-bold text-gray-400">${count}</span>
+              </label>
+            `).join('');
+
+        return `
+          <div>
+            <h4 class="mb-1 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${facet.label}</h4>
+            ${options}
+          </div>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+      <div class="flex items-center justify-between">
+        <span class="text-xs font-bold text-gray-500 dark:text-gray-400">${visibleCount} of ${parsedData.fields.length} fields</span>
+        ${hasActiveFieldFilters() ? '<button data-clear-facets class="text-xs font-bold text-primary-600 hover:underline">Clear all</button>' : ''}
+      </div>
+      ${groups}
+    `;
+
+    panel.querySelectorAll('[data-facet-id]').forEach(input => {
+        input.onchange = () => toggleFacetValue(input.getAttribute('data-facet-id'), input.getAttribute('data-facet-value'));
+    });
+    const clearButton = panel.querySelector('[data-clear-facets]');
+    if (clearButton) clearButton.onclick = clearFacets;
+}
+
+/**
+ * Hides graph nodes outside the filtered subset. Worksheets, dashboards and datasources stay
+ * visible while they still connect to a visible field, and groups while they hold one.
+ * @param {Set<string>|null} visibleKeys - Field keys to keep, or null to show everything
+ */
+function filterGraphToFields(visibleKeys) {
+    if (!cy) return;
+
+    const wasFiltered = cy.nodes('.filtered-out').length > 0;
+    cy.batch(() => {
+        cy.nodes().removeClass('filtered-out');
+        if (!visibleKeys) return;
+
+        // A collapsed group stands in for its members
+        const isVisibleField = node => visibleKeys.has(node.id()) ||
+            (node.hasClass('group-collapsed') && node.data('members').some(id => visibleKeys.has(id)));
+
+        const hidden = cy.nodes().filter(node => {
+            if (node.hasClass('group')) return false;
+            if (node.hasClass('worksheet') || node.hasClass('datasource')) {
+                return node.neighborhood('node').filter(isVisibleField).length === 0;
+            }
+            if (node.hasClass('dashboard')) return false;
+            return !visibleKeys.has(node.id());
+        });
+        hidden.addClass('filtered-out');
+
+        cy.nodes('.group-collapsed').forEach(group => {
+            if (group.data('hasFields') && !isVisibleField(group)) group.addClass('filtered-out');
+        });
+        // The worksheets group connects to fields; the dashboards group to worksheets, so it goes last
+        ['group:worksheets', 'group:dashboards'].forEach(id => {
+            const group = cy.getElementById(id);
+            if (group.hasClass('group-collapsed') && group.neighborhood('node').not('.filtered-out').length === 0) {
+                group.addClass('filtered-out');
+            }
+        });
+
+        // Dashboards go once none of their worksheets are left
+        cy.nodes('.dashboard').forEach(dashboard => {
+            const sheets = dashboard.incomers('node');
+            if (sheets.length === sheets.filter('.filtered-out').length) dashboard.addClass('filtered-out');
+        });
+
+        // Expanded groups go with their last member
+        cy.nodes('.group-expanded').forEach(group => {
+            if (group.children().not('.filtered-out').length === 0) group.addClass('filtered-out');
+        });
+    });
+
+    const shown = cy.nodes().not('.filtered-out');
+    if ((visibleKeys || wasFiltered) && shown.length > 0) cy.fit(shown, 50);
+    scheduleGraphMinimapDraw(true);
+}
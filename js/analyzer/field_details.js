@@ -0,0 +1,164 @@
+/**
+ * Field Details Drawer
+ * Shows the full metadata of one field: description, aliases, default aggregation, hidden state,
+ * semantic role, formula, inputs, dependents and the worksheets that use it
+ */
+
+// [Country].[ISO3166_2] -> Country.ISO3166_2
+function formatSemanticRole(semanticRole) {
+    return (semanticRole || '').replace(/[[\]]/g, '');
+}
+
+/**
+ * Opens the drawer for a field
+ * @param {string} fieldKey - Field key
+ */
+function showFieldDetails(fieldKey) {
+    const drawer = document.getElementById('field-drawer');
+    const field = parsedData.fields.find(f => f.key === fieldKey);
+    if (!drawer || !field) return;
+
+    const fieldMap = new Map(parsedData.fields.map(f => [f.key, f]));
+    const inputs = parsedData.dependencies.filter(dep => dep.to === field.key).map(dep => dep.from);
+    const dependents = parsedData.dependencies.filter(dep => dep.from === field.key).map(dep => dep.to);
+
+    const section = (title, content) => `
+      <section>
+        <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${title}</h4>
+        ${content}
+      </section>
+    `;
+    const badge = (text, colorClass) =>
+        `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${colorClass}">${escapeHtml(text)}</span>`;
+    const emptyText = (text) => `<p class="text-sm text-gray-400">${text}</p>`;
+    const fieldLinks = (keys, emptyMessage) => keys.length === 0 ? emptyText(emptyMessage) : `
+      <div class="flex flex-wrap gap-2">
+        ${keys.map(key => `<button data-field-link="${escapeHtml(key)}" class="rounded-lg border border-gray-200 px-2 py-1 text-sm text-gray-700 hover:border-primary-500 hover:text-primary-600 dark:border-gray-700 dark:text-gray-200">${escapeHtml(fieldMap.has(key) ? fieldMap.get(key).name : key)}</button>`).join('')}
+      </div>
+    `;
+
+    const properties = [
+        ['Data Source', field.dataSourceCaption],
+        ['Folder', field.folder],
+        ['Role', field.role ? field.role.charAt(0).toUpperCase() + field.role.slice(1) : ''],
+        ['Default Aggregation', field.defaultAggregation],
+        ['Semantic Role', formatSemanticRole(field.semanticRole)],
+        ['Alias', field.alias],
+        ['Hidden', field.hidden ? 'Yes' : 'No']
+    ];
+
+    document.getElementById('field-drawer-title').textContent = field.name;
+    document.getElementById('field-drawer-subtitle').textContent = field.key;
+    document.getElementById('field-drawer-body').innerHTML = `
+      <div class="flex flex-wrap items-center gap-2">
+        ${badge(field.fieldType, getFieldTypeColor(field.fieldType))}
+        ${badge(field.dataType, 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200')}
+        ${badge(getUsageLabel(field.usage), getUsageColor(field.usage))}
+        ${field.hidden ? badge('Hidden', 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300') : ''}
+      </div>
+
+      ${section('Description', field.description
+        ? `<p class="text-sm text-gray-700 dark:text-gray-200 whitespace-pre-wrap">${escapeHtml(field.description)}</p>`
+        : emptyText('No description'))}
+
+      ${section('Properties', `
+        <dl class="grid grid-cols-3 gap-x-4 gap-y-2 text-sm">
+          ${properties.map(([label, value]) => `
+            <dt class="text-gray-500 dark:text-gray-400">${label}</dt>
+            <dd class="col-span-2 text-gray-900 dark:text-white break-words">${value ? escapeHtml(value) : '-'}</dd>
+          `).join('')}
+        </dl>
+      `)}
+
+      ${field.aliases.length > 0 ? section('Value Aliases', `
+        <table class="min-w-full text-sm">
+          <tbody class="divide-y divide-gray-100 dark:divide-gray-800">
+            ${field.aliases.map(alias => `
+              <tr>
+                <td class="py-1 pr-4 font-mono text-gray-600 dark:text-gray-300">${escapeHtml(alias.value)}</td>
+                <td class="py-1 text-gray-900 dark:text-white">${escapeHtml(alias.alias)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `) : ''}
+
+      ${field.calcClass || (field.tableCalcSettings || []).length > 0 ? section('Calculation', `
+        ${field.calcClass ? `<p class="text-sm text-gray-700 dark:text-gray-200">
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getCalcClassColor(field.calcClass.type)}">${CALC_CLASS_LABELS[field.calcClass.type]}</span>
+          ${escapeHtml(describeCalcClass(field))}
+        </p>` : ''}
+        ${describeTableCalcSettings(field).map(setting => `<p class="mt-1 text-sm text-gray-600 dark:text-gray-300">Compute using — ${escapeHtml(setting)}</p>`).join('')}
+      `) : ''}
+
+      ${field.lint ? section('Lint', `
+        <p class="text-sm text-gray-700 dark:text-gray-200">
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold ${getLintScoreColor(field.lint.score)}">${field.lint.score}</span>
+          Nesting ${field.lint.metrics.nestingDepth} · ${field.lint.metrics.referencedFields} fields · chain ${field.lint.metrics.chainDepth}
+        </p>
+        ${field.lint.findings.length > 0 ? `<ul class="mt-2 list-disc pl-5 text-sm text-gray-600 dark:text-gray-300">
+          ${field.lint.findings.map(finding => `<li><span class="font-medium">${finding.label}:</span> ${escapeHtml(finding.message)}</li>`).join('')}
+        </ul>` : ''}
+      `) : ''}
+
+      ${field.duplicate ? section('Duplicates', `
+        <p class="mb-2 text-sm text-gray-700 dark:text-gray-200">
+          ${field.duplicate.canonicalKey === field.key
+            ? `Suggested canonical field of a group of ${field.duplicate.kind === 'exact' ? 'identical' : 'similar'} calculations`
+            : `${field.duplicate.similarity === 100 ? 'Identical to' : `${field.duplicate.similarity}% similar to`} the suggested canonical field`}
+        </p>
+        ${fieldLinks(parsedData.duplicates[field.duplicate.group].members.map(member => member.key).filter(key => key !== field.key), '')}
+      `) : ''}
+
+      ${field.formula ? section('Formula', `
+        <pre class="p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${escapeHtml(field.formula)}</pre>
+      `) : ''}
+
+      ${section('Inputs', fieldLinks(inputs, 'No inputs'))}
+      ${section('Used By', fieldLinks(dependents, 'No calculations use this field'))}
+      ${section('Worksheets', field.worksheets.length > 0
+        ? `<p class="text-sm text-gray-700 dark:text-gray-200">${field.worksheets.map(escapeHtml).join(', ')}</p>`
+        : emptyText('Not placed on any worksheet'))}
+
+      ${(field.issues || []).length > 0 ? section('Issues', `
+        <ul class="list-disc pl-5 text-sm text-red-600 dark:text-red-400">
+          ${field.issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+        </ul>
+      `) : ''}
+
+      <div class="flex flex-wrap gap-2">
+        <button data-show-in-graph
+          class="flex h-9 w-fit items-center justify-center gap-2 rounded-lg bg-white border border-gray-200 px-3 text-sm font-bold text-gray-700 shadow-sm transition-all hover:bg-gray-50 hover:text-primary-600 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-200 dark:hover:bg-gray-700">
+          <span class="material-symbols-outlined text-lg">account_tree</span>
+          Show in Graph
+        </button>
+        ${canRenameField(field) ? `<button data-rename-field
+          class="flex h-9 w-fit items-center justify-center gap-2 rounded-lg bg-white border border-gray-200 px-3 text-sm font-bold text-gray-700 shadow-sm transition-all hover:bg-gray-50 hover:text-primary-600 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-200 dark:hover:bg-gray-700">
+          <span class="material-symbols-outlined text-lg">edit</span>
+          Rename
+        </button>` : ''}
+      </div>
+    `;
+
+    drawer.querySelectorAll('[data-field-link]').forEach(button => {
+        button.onclick = () => showFieldDetails(button.getAttribute('data-field-link'));
+    });
+    drawer.querySelector('[data-show-in-graph]').onclick = () => {
+        closeFieldDetails();
+        highlightFieldInGraph(field.key);
+    };
+
+    const renameButton = drawer.querySelector('[data-rename-field]');
+    if (renameButton) renameButton.onclick = () => openRenameField(field.key);
+
+    drawer.classList.remove('hidden');
+}
+
+function closeFieldDetails() {
+    const drawer = document.getElementById('field-drawer');
+    if (drawer) drawer.classList.add('hidden');
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeFieldDetails();
+});
@@ -0,0 +1,335 @@
+/**
+ * Field Captions & Descriptions
+ * Exports the captions and descriptions of every field as an Excel template, and imports the edited
+ * template back into the workbook. Imported rows are checked against the loaded workbook and previewed
+ * before the new captions and <desc> nodes are written; fields Tableau only knows from the connection's
+ * metadata get a <column> definition of their own.
+ */
+
+// Template headers; Internal Name and Datasource ID identify the field, Caption and Description are edited
+const FIELD_METADATA_HEADERS = {
+    fieldId: 'Internal Name',
+    dataSource: 'Datasource ID',
+    caption: 'Caption',
+    description: 'Description'
+};
+
+const FIELD_METADATA_INSTRUCTIONS = [
+    ['Edit Caption and Description on the Fields sheet, then import the file in the analyzer (Edit Workbook → Import captions & descriptions).'],
+    ['Internal Name and Datasource ID identify each field; do not change them. Other columns are for reference only.'],
+    ['Leave Caption empty to keep the current name. Clear Description to remove the description.'],
+    ['Rows can be deleted; fields without a row are left as they are.']
+];
+
+let fieldMetadataState = null; // { workbook, changes, problems }
+
+function exportFieldMetadataTemplate() {
+    closeEditWorkbookMenu();
+    if (parsedData.fields.length === 0) {
+        showToast('No fields to export', 'info');
+        return;
+    }
+
+    const rows = parsedData.fields.map(field => ({
+        [FIELD_METADATA_HEADERS.fieldId]: field.fieldId,
+        [FIELD_METADATA_HEADERS.dataSource]: field.dataSource,
+        'Data Source': field.dataSourceCaption,
+        'Field Type': field.fieldType,
+        [FIELD_METADATA_HEADERS.caption]: field.name,
+        [FIELD_METADATA_HEADERS.description]: field.description,
+        'Formula': field.formula
+    }));
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(rows);
+    ws['!cols'] = [{ wch: 28 }, { wch: 24 }, { wch: 20 }, { wch: 16 }, { wch: 30 }, { wch: 60 }, { wch: 60 }];
+    XLSX.utils.book_append_sheet(wb, ws, 'Fields');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(FIELD_METADATA_INSTRUCTIONS), 'Instructions');
+
+    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, '_captions.xlsx');
+    XLSX.writeFile(wb, fileName);
+    showToast(`Exported captions and descriptions of ${rows.length} fields to ${fileName}`, 'success');
+}
+
+function handleFieldMetadataFileSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) importFieldMetadata(file);
+}
+
+/**
+ * Reads an edited template and opens the change preview
+ * @param {File} file - .xlsx, .xls or .csv with the template's columns
+ */
+async function importFieldMetadata(file) {
+    closeEditWorkbookMenu();
+    if (parsedData.fields.length === 0) {
+        showToast('Load a workbook first, then import its captions and descriptions', 'info');
+        return;
+    }
+
+    let rows;
+    try {
+        const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        const ws = wb.Sheets.Fields || wb.Sheets[wb.SheetNames[0]];
+        rows = XLSX.utils.sheet_to_json(ws, { defval: '' });
+    } catch (error) {
+        showToast(`Error reading ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const missing = [FIELD_METADATA_HEADERS.fieldId, FIELD_METADATA_HEADERS.dataSource].filter(header => !headers.includes(header));
+    if (missing.length > 0 || (!headers.includes(FIELD_METADATA_HEADERS.caption) && !headers.includes(FIELD_METADATA_HEADERS.description))) {
+        showToast(`${file.name} is not a captions template: it needs the columns ${Object.values(FIELD_METADATA_HEADERS).join(', ')}`, 'error');
+        return;
+    }
+
+    fieldMetadataState = null;
+    openEditDialog('Import captions & descriptions', file.name, 'Download updated workbook');
+    let workbook;
+    try {
+        workbook = await readWorkbookForEditing();
+    } catch (error) {
+        closeEditDialog();
+        showToast('Error reading workbook: ' + error.message, 'error');
+        return;
+    }
+    if (!isEditDialogOpen()) return;
+
+    fieldMetadataState = Object.assign({ workbook }, validateFieldMetadataRows(rows));
+    renderFieldMetadataPreview();
+}
+
+/**
+ * Matches template rows to fields and works out what changes
+ * @param {Array<object>} rows - Template rows keyed by header
+ * @returns {{changes: Array<object>, problems: Array<{row: number, message: string}>}}
+ *   A change is { field, caption?, description? } with only the properties that differ
+ */
+function validateFieldMetadataRows(rows) {
+    const fieldIndex = buildFieldIndex();
+    const changes = [];
+    const problems = [];
+    const listedIn = new Map(); // field key -> row number
+    // Parameters are not in parsedData.dataSources, so take the datasources from the fields
+    const dataSources = new Map(parsedData.fields.map(field => [field.dataSource, field.dataSourceCaption]));
+    const cellText = (row, header) => row[header] === undefined ? undefined : String(row[header]).replace(/\r\n?/g, '\n').trim();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Header is row 1
+        const fieldId = cellText(row, FIELD_METADATA_HEADERS.fieldId);
+        const dsValue = cellText(row, FIELD_METADATA_HEADERS.dataSource);
+        if (!fieldId && !dsValue) return;
+        if (!fieldId) {
+            problems.push({ row: rowNumber, message: `${FIELD_METADATA_HEADERS.fieldId} is empty` });
+            return;
+        }
+
+        // Datasource by internal name, or by caption for hand-written rows
+        const dsName = dataSources.has(dsValue) ? dsValue : Array.from(dataSources.keys()).find(name => dataSources.get(name) === dsValue);
+        const field = dsName ? fieldIndex.byKey.get(makeFieldKey(dsName, fieldId)) : null;
+        if (!dsName) {
+            problems.push({ row: rowNumber, message: `Data source "${dsValue}" is not in this workbook` });
+            return;
+        }
+        if (!field) {
+            problems.push({ row: rowNumber, message: `${fieldId} is not a field of ${dataSources.get(dsName)}` });
+            return;
+        }
+        if (listedIn.has(field.key)) {
+            problems.push({ row: rowNumber, message: `${field.name} is already listed in row ${listedIn.get(field.key)}` });
+            return;
+        }
+        listedIn.set(field.key, rowNumber);
+
+        const change = { field, row: rowNumber };
+        const caption = cellText(row, FIELD_METADATA_HEADERS.caption);
+        const description = cellText(row, FIELD_METADATA_HEADERS.description);
+        if (caption && caption !== field.name) change.caption = caption;
+        if (description !== undefined && description !== field.description) change.description = description;
+        if (change.caption !== undefined || change.description !== undefined) changes.push(change);
+    });
+
+    // Tableau matches field names without regard to case, so captions must stay unique per datasource
+    const finalName = new Map(parsedData.fields.map(field => [field.key, field.name]));
+    changes.forEach(change => {
+        if (change.caption !== undefined) finalName.set(change.field.key, change.caption);
+    });
+    changes.forEach(change => {
+        if (change.caption === undefined) return;
+        const clash = parsedData.fields.find(other => other !== change.field && other.dataSource === change.field.dataSource &&
+            finalName.get(other.key).toLowerCase() === change.caption.toLowerCase());
+        if (clash) {
+            problems.push({ row: change.row, message: `Caption "${change.caption}" is also the name of ${clash.fieldType} ${clash.fieldId}; the caption is not changed` });
+            delete change.caption;
+        }
+    });
+
+    return {
+        changes: changes.filter(change => change.caption !== undefined || change.description !== undefined),
+        problems: problems.sort((a, b) => a.row - b.row)
+    };
+}
+
+function renderFieldMetadataPreview() {
+    const { changes, problems } = fieldMetadataState;
+    const captions = changes.filter(change => change.caption !== undefined);
+    const descriptions = changes.filter(change => change.description !== undefined);
+
+    const section = (title, count, content) => `
+      <section>
+        <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${title} (${count})</h4>
+        ${content}
+      </section>
+    `;
+    const emptyText = (text) => `<p class="text-sm text-gray-400">${text}</p>`;
+    const code = (text, colorClass) =>
+        `<pre class="p-2 rounded-lg ${colorClass} text-xs whitespace-pre-wrap break-all font-mono">${escapeHtml(text)}</pre>`;
+    const fieldLabel = (field) => `${escapeHtml(field.name)} <span class="text-xs font-normal text-gray-400">${escapeHtml(field.dataSourceCaption)}</span>`;
+
+    document.getElementById('edit-dialog-body').innerHTML = `
+      ${problems.length === 0 ? '' : section('Problems', problems.length, `
+        <ul class="flex flex-col gap-1 text-sm text-amber-700 dark:text-amber-400">
+          ${problems.map(problem => `<li>Row ${problem.row}: ${escapeHtml(problem.message)}</li>`).join('')}
+        </ul>
+      `)}
+      ${section('Captions', captions.length, captions.length === 0 ? emptyText('No caption changes') : `
+        <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+          ${captions.map(change => `<li>${fieldLabel(change.field)} → <span class="font-medium text-gray-900 dark:text-white">${escapeHtml(change.caption)}</span></li>`).join('')}
+        </ul>
+      `)}
+      ${section('Descriptions', descriptions.length, descriptions.length === 0 ? emptyText('No description changes') : descriptions.map(change => `
+        <div class="flex flex-col gap-1">
+          <p class="text-sm font-medium text-gray-900 dark:text-white">${fieldLabel(change.field)}</p>
+          ${change.field.description ? code(change.field.description, 'bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-200') : ''}
+          ${change.description ? code(change.description, 'bg-green-50 text-green-800 dark:bg-green-900/20 dark:text-green-200') : emptyText('Description removed')}
+        </div>
+      `).join(''))}
+    `;
+
+    const parts = [];
+    if (captions.length > 0) parts.push(`${captions.length} caption${captions.length === 1 ? '' : 's'}`);
+    if (descriptions.length > 0) parts.push(`${descriptions.length} description${descriptions.length === 1 ? '' : 's'}`);
+    setEditDialogAction(changes.length > 0 ? applyFieldMetadata : null,
+        changes.length > 0 ? `${parts.join(' and ')} will change` : 'Nothing to change');
+}
+
+// <desc><formatted-text><run>...</run></formatted-text></desc>, indented the way Tableau writes it
+function formatDescriptionXml(text, indent) {
+    return [
+        '<desc>',
+        '  <formatted-text>',
+        `    <run>${encodeXmlText(text)}</run>`,
+        '  </formatted-text>',
+        '</desc>'
+    ].map((line, i) => (i === 0 ? '' : indent) + line).join('\n');
+}
+
+/**
+ * Edits that set the description of a <column>, replacing or removing its <desc>
+ * @param {XmlElement} column - A <column> element
+ * @param {string} text - New description; empty removes it
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function setColumnDescription(column, text) {
+    const desc = column.children.find(child => child.tagName === 'desc');
+    if (desc) {
+        return [text ? { start: desc.start, end: desc.end, text: formatDescriptionXml(text, getXmlIndent(desc)) } : removeXmlElement(desc)];
+    }
+    if (!text) return [];
+
+    const source = column.ownerDocument.source;
+    const indent = getXmlIndent(column);
+    const childIndent = indent + '  ';
+    const descXml = formatDescriptionXml(text, childIndent);
+    if (column.contentStart === null) {
+        // <column ... /> becomes <column ...> with the description inside
+        const selfClose = /\s*\/>$/.exec(source.slice(column.start, column.end))[0];
+        return [{ start: column.end - selfClose.length, end: column.end, text: `>\n${childIndent}${descXml}\n${indent}</column>` }];
+    }
+
+    // After the other children, on a line of its own when the closing tag has one
+    const closeLineStart = source.lastIndexOf('\n', column.contentEnd - 1) + 1;
+    if (/^[ \t]*$/.test(source.slice(closeLineStart, column.contentEnd))) {
+        return [{ start: closeLineStart, end: closeLineStart, text: `${childIndent}${descXml}\n` }];
+    }
+    return [{ start: column.contentEnd, end: column.contentEnd, text: descXml }];
+}
+
+/**
+ * An edit that adds a <column> definition for a field only the connection's metadata describes
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {object} change - { field, caption?, description? }
+ * @returns {{start: number, end: number, text: string}|null} null when the datasource is not found
+ */
+function insertFieldColumn(doc, change) {
+    const { field } = change;
+    const datasource = findDataSourceElement(doc, field.dataSource);
+    if (!datasource || datasource.contentStart === null) return null;
+
+    const attributes = {
+        caption: change.caption,
+        datatype: field.dataType,
+        name: field.fieldId,
+        role: field.role,
+        type: field.role === 'measure' ? 'quantitative' : /^date/.test(field.dataType) ? 'ordinal' : 'nominal'
+    };
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value)
+        .map(([name, value]) => ` ${name}='${encodeXmlAttribute(value)}'`)
+        .join('');
+
+    const source = doc.source;
+    const columns = datasource.children.filter(child => child.tagName === 'column');
+    // Next to the other column definitions; before layout, folders and the like when there are none
+    const anchor = columns.length > 0 ? null : datasource.children.find(child =>
+        ['column-instance', 'group', 'drill-paths', 'folder', 'layout', 'semantic-values', 'date-options', 'default-sorts'].includes(child.tagName));
+    const indent = columns.length > 0 ? getXmlIndent(columns[0]) : anchor ? getXmlIndent(anchor) : getXmlIndent(datasource) + '  ';
+    const columnXml = change.description
+        ? `<column${attributeText}>\n${indent}  ${formatDescriptionXml(change.description, indent + '  ')}\n${indent}</column>`
+        : `<column${attributeText} />`;
+
+    if (columns.length > 0) {
+        const last = columns[columns.length - 1];
+        return { start: last.end, end: last.end, text: `\n${indent}${columnXml}` };
+    }
+    if (anchor && getXmlIndent(anchor)) {
+        const lineStart = source.lastIndexOf('\n', anchor.start - 1) + 1;
+        return { start: lineStart, end: lineStart, text: `${indent}${columnXml}\n` };
+    }
+    const at = anchor ? anchor.start : datasource.contentEnd;
+    return { start: at, end: at, text: columnXml };
+}
+
+/**
+ * Edits that write imported captions and descriptions, into the datasource definition and every
+ * worksheet copy of each field
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {Array<object>} changes - From validateFieldMetadataRows()
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function buildFieldMetadataEdits(doc, changes) {
+    const edits = [];
+    changes.forEach(change => {
+        const columns = findFieldColumns(doc, change.field);
+        if (!columns.some(column => column.parentNode.tagName === 'datasource')) {
+            const edit = insertFieldColumn(doc, change);
+            if (!edit) throw new Error(`Data source ${change.field.dataSourceCaption} was not found in the workbook XML`);
+            edits.push(edit);
+        }
+        columns.forEach(column => {
+            if (change.caption !== undefined) edits.push(setXmlAttribute(column, 'caption', change.caption));
+            if (change.description !== undefined) edits.push(...setColumnDescription(column, change.description));
+        });
+    });
+    return edits;
+}
+
+async function applyFieldMetadata() {
+    const { workbook, changes } = fieldMetadataState;
+    const xml = applyXmlEdits(workbook.xml, buildFieldMetadataEdits(workbook.doc, changes));
+    fieldMetadataState = null;
+    const file = await saveEditedWorkbook(workbook, xml);
+    showToast(`Updated ${changes.length} field${changes.length === 1 ? '' : 's'} and downloaded ${file.name}`, 'success');
+}
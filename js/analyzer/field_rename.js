@@ -0,0 +1,181 @@
+/**
+ * Rename Field
+ * Renames a calculated field or parameter in the workbook itself: the caption of its definition and
+ * of every copy worksheets and dashboards keep, hidden sheets included. Formulas refer to fields by
+ * internal name, so they keep working; the preview lists the formulas, worksheets and dashboards
+ * that will show the new name.
+ */
+
+let renameState = null; // { field, workbook, columns, hiddenSheets }; only { field } while the workbook is read
+
+function canRenameField(field) {
+    return !!field && (field.isCalculated || field.fieldType === 'Parameter');
+}
+
+/**
+ * Opens the rename dialog for a field
+ * @param {string} fieldKey - Field key
+ */
+async function openRenameField(fieldKey) {
+    const field = parsedData.fields.find(f => f.key === fieldKey);
+    if (!canRenameField(field)) {
+        showToast('Only calculated fields and parameters can be renamed', 'info');
+        return;
+    }
+
+    closeFieldDetails();
+    renameState = { field };
+    openEditDialog(`Rename ${field.name}`, field.key, 'Download renamed workbook');
+
+    let workbook;
+    try {
+        workbook = await readWorkbookForEditing();
+    } catch (error) {
+        closeEditDialog();
+        showToast('Error reading workbook: ' + error.message, 'error');
+        return;
+    }
+    // The dialog may have been closed, or opened for another field, while the workbook was read
+    if (!isEditDialogOpen() || !renameState || renameState.field !== field) return;
+
+    renameState = {
+        field,
+        workbook,
+        columns: findFieldColumns(workbook.doc, field),
+        hiddenSheets: getHiddenSheetNames(workbook.doc)
+    };
+
+    document.getElementById('edit-dialog-body').innerHTML = `
+      <label class="flex flex-col gap-1 text-sm font-medium text-gray-700 dark:text-gray-200">
+        New name
+        <input type="text" id="rename-field-input" value="${escapeHtml(field.name)}"
+          class="rounded-lg border border-gray-200 bg-gray-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-white" />
+      </label>
+      <div id="rename-field-preview" class="flex flex-col gap-6"></div>
+    `;
+    const input = document.getElementById('rename-field-input');
+    input.oninput = updateRenamePreview;
+    input.onkeydown = (event) => {
+        if (event.key === 'Enter') confirmEditDialog();
+    };
+    input.focus();
+    input.select();
+    updateRenamePreview();
+}
+
+/**
+ * Why a field cannot take a name, if it cannot
+ * @param {object} field - The field to rename
+ * @param {string} newName - Proposed name, trimmed
+ * @returns {string} Empty when the name can be used
+ */
+function validateFieldRename(field, newName) {
+    if (!newName) return 'Enter a name';
+    if (newName === field.name) return 'Enter a new name';
+    // Tableau matches field names without regard to case
+    const clash = parsedData.fields.find(other => other !== field &&
+        other.dataSource === field.dataSource && other.name.toLowerCase() === newName.toLowerCase());
+    if (clash) return `${clash.fieldType} "${clash.name}" in ${field.dataSourceCaption} already has this name`;
+    return '';
+}
+
+function updateRenamePreview() {
+    if (!renameState) return;
+    const { field, columns, hiddenSheets } = renameState;
+    const newName = document.getElementById('rename-field-input').value.trim();
+    const shownName = newName || field.name;
+
+    const fieldIndex = buildFieldIndex();
+    const dependents = parsedData.dependencies
+        .filter(dep => dep.from === field.key)
+        .map(dep => fieldIndex.byKey.get(dep.to))
+        .filter(dependent => dependent && dependent.parsedFormula);
+    const impact = computeImpact(field.key);
+    const downstream = impact ? impact.downstream : [];
+    const worksheets = downstream.filter(item => item.type === 'Worksheet');
+    const dashboards = downstream.filter(item => item.type === 'Dashboard');
+
+    const section = (title, count, content) => `
+      <section>
+        <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${title} (${count})</h4>
+        ${content}
+      </section>
+    `;
+    const emptyText = (text) => `<p class="text-sm text-gray-400">${text}</p>`;
+    const hiddenBadge = (name) => hiddenSheets.has(name)
+        ? '<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300">Hidden</span>'
+        : '';
+    const sheetList = (items, emptyMessage, describe = () => '') => items.length === 0 ? emptyText(emptyMessage) : `
+      <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+        ${items.map(item => `<li class="flex items-center gap-2">${escapeHtml(item.name)} ${hiddenBadge(item.name)}
+          <span class="text-xs text-gray-400">${describe(item)}</span></li>`).join('')}
+      </ul>
+    `;
+    const owners = columns.map(column => getXmlOwnerSheet(column));
+    const code = (text, colorClass) =>
+        `<pre class="p-2 rounded-lg ${colorClass} text-xs whitespace-pre-wrap break-all font-mono">${escapeHtml(text)}</pre>`;
+
+    document.getElementById('rename-field-preview').innerHTML = `
+      ${section('Captions', columns.length, columns.length === 0 ? emptyText('The field was not found in the workbook XML') : `
+        <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+          ${owners.map(owner => `<li class="flex items-center gap-2">
+            ${owner ? `${owner.type === 'worksheet' ? 'Worksheet' : 'Dashboard'} ${escapeHtml(owner.name)} ${hiddenBadge(owner.name)}` : `Data source ${escapeHtml(field.dataSourceCaption)}`}
+          </li>`).join('')}
+        </ul>
+      `)}
+      ${section('Formulas', dependents.length, dependents.length === 0 ? emptyText('No calculations use this field') : dependents.map(dependent => `
+        <div class="flex flex-col gap-1">
+          <p class="text-sm font-medium text-gray-900 dark:text-white">${escapeHtml(dependent.name)}</p>
+          ${code(dependent.formula, 'bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-200')}
+          ${code(formatFormulaForDisplay(dependent.parsedFormula, dependent, fieldIndex,
+              refField => refField.key === field.key ? shownName : refField.name), 'bg-green-50 text-green-800 dark:bg-green-900/20 dark:text-green-200')}
+        </div>
+      `).join(''))}
+      ${section('Worksheets', worksheets.length, sheetList(worksheets, 'Not shown on any worksheet',
+          item => item.hops === 1 ? 'uses it directly' : 'through other calculations'))}
+      ${section('Dashboards', dashboards.length, sheetList(dashboards, 'Not shown on any dashboard'))}
+    `;
+
+    const error = columns.length === 0 ? 'The field was not found in the workbook XML' : validateFieldRename(field, newName);
+    setEditDialogAction(error ? null : () => applyFieldRename(newName),
+        error || `${columns.length} caption${columns.length === 1 ? '' : 's'} will change`);
+}
+
+/**
+ * Edits that rename a field: its caption everywhere it is defined or copied. Formulas normally refer
+ * to fields by internal name; references that use the old caption instead are switched to it.
+ * @param {object} state - renameState
+ * @param {string} newName - The new caption
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function buildFieldRenameEdits(state, newName) {
+    const { field, workbook, columns } = state;
+    const edits = columns.map(column => setXmlAttribute(column, 'caption', newName));
+    const fieldIndex = buildFieldIndex();
+
+    parsedData.dependencies.filter(dep => dep.from === field.key).forEach(dep => {
+        const dependent = fieldIndex.byKey.get(dep.to);
+        if (!dependent) return;
+
+        findFieldColumns(workbook.doc, dependent).forEach(column => {
+            const calculation = column.children.find(child => child.tagName === 'calculation');
+            if (!calculation) return;
+            const parsed = parseCalc(calculation.getAttribute('formula') || '');
+            const formula = rewriteCalcFieldRefs(parsed, ref => {
+                if (ref.name === unbracketFieldId(field.fieldId)) return null;
+                if (resolveFieldRef(ref, dependent, fieldIndex) !== field) return null;
+                return formatCalcFieldRef(unbracketFieldId(field.fieldId), ref.datasource);
+            });
+            if (formula !== parsed.source) edits.push(setXmlAttribute(calculation, 'formula', formula));
+        });
+    });
+    return edits;
+}
+
+async function applyFieldRename(newName) {
+    const { field, workbook } = renameState;
+    const xml = applyXmlEdits(workbook.xml, buildFieldRenameEdits(renameState, newName));
+    renameState = null;
+    const file = await saveEditedWorkbook(workbook, xml);
+    showToast(`Renamed ${field.name} to ${newName} and downloaded ${file.name}`, 'success');
+}
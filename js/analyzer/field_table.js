@@ -0,0 +1,489 @@
+/**
+ * Field Table
+ * Virtualized table of the workbook's fields: only the rows in view are in the DOM. Rows are the
+ * fields that pass the search and facets, sorted by typed column values on one or more columns.
+ * Columns can be resized and hidden, and the rows can be walked with the keyboard.
+ */
+
+const FIELD_TABLE_ROW_HEIGHT = 45;
+const FIELD_TABLE_OVERSCAN = 10;          // Rows rendered above and below the visible ones
+const FIELD_TABLE_MIN_COLUMN_WIDTH = 60;
+const FIELD_TABLE_DETAILS_WIDTH = 80;     // Rename and details buttons
+const FIELD_TABLE_DEFAULT_HEIGHT = 600;   // Height of the scroll area while its tab is hidden
+
+const FIELD_TABLE_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const FIELD_TABLE_BADGE = 'inline-flex items-center px-2 py-0.5 rounded text-xs font-medium';
+
+/**
+ * Columns of the field table. `value` is what the column sorts by (null or '' sorts last);
+ * `type` picks the comparison: text (natural order), number or boolean.
+ */
+const FIELD_TABLE_COLUMNS = [
+    {
+        id: 'name', label: 'Name', type: 'text', width: 220,
+        value: field => field.name,
+        render: field => `<span class="font-medium text-gray-900 dark:text-white">${escapeHtml(field.name)}</span>`
+    },
+    {
+        id: 'dataType', label: 'Type', type: 'text', width: 110,
+        value: field => field.dataType,
+        render: field => `<span class="${FIELD_TABLE_BADGE} bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">${escapeHtml(field.dataType)}</span>`
+    },
+    {
+        id: 'fieldType', label: 'Role', type: 'text', width: 150,
+        value: field => field.fieldType,
+        render: field => `<span class="${FIELD_TABLE_BADGE} ${getFieldTypeColor(field.fieldType)}">${escapeHtml(field.fieldType)}</span>`
+    },
+    {
+        id: 'dataSource', label: 'Source', type: 'text', width: 150,
+        value: field => field.dataSourceCaption,
+        title: field => field.dataSource,
+        render: field => escapeHtml(field.dataSourceCaption)
+    },
+    {
+        id: 'usage', label: 'Usage', type: 'text', width: 150,
+        value: field => getUsageLabel(field.usage),
+        title: field => field.worksheets.join(', '),
+        render: field => `<span class="${FIELD_TABLE_BADGE} ${getUsageColor(field.usage)}">${getUsageLabel(field.usage)}</span>`
+    },
+    {
+        id: 'aggregation', label: 'Aggregation', type: 'text', width: 120,
+        value: field => field.defaultAggregation,
+        render: field => field.defaultAggregation ? escapeHtml(field.defaultAggregation) : '-'
+    },
+    {
+        id: 'hidden', label: 'Hidden', type: 'boolean', width: 100,
+        value: field => field.hidden,
+        render: field => field.hidden ? `<span class="${FIELD_TABLE_BADGE} bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300">Hidden</span>` : '-'
+    },
+    {
+        id: 'description', label: 'Description', type: 'text', width: 220,
+        value: field => field.description,
+        title: field => field.description,
+        render: field => field.description ? escapeHtml(field.description) : '-'
+    },
+    {
+        id: 'calculation', label: 'Calculation', type: 'text', width: 200,
+        value: field => field.calcClass ? CALC_CLASS_LABELS[field.calcClass.type] : null,
+        title: field => [describeCalcClass(field), ...describeTableCalcSettings(field)].filter(Boolean).join('\n'),
+        render: field => field.calcClass
+            ? `<span class="${FIELD_TABLE_BADGE} ${getCalcClassColor(field.calcClass.type)}">${CALC_CLASS_LABELS[field.calcClass.type]}</span>
+               <span class="ml-1 text-xs text-gray-400">${escapeHtml(describeCalcClass(field))}</span>`
+            : '-'
+    },
+    {
+        id: 'score', label: 'Score', type: 'number', width: 90,
+        value: field => field.lint ? field.lint.score : null,
+        title: field => describeLintFindings(field),
+        render: field => renderLintScoreCell(field)
+    },
+    {
+        id: 'formula', label: 'Formula', type: 'text', width: 260,
+        value: field => field.formula,
+        title: field => field.formula,
+        render: field => field.formula ? escapeHtml(field.formula) : '-'
+    },
+    {
+        id: 'fieldId', label: 'ID', type: 'text', width: 180, cellClass: 'font-mono text-xs text-gray-400 dark:text-gray-500',
+        value: field => field.fieldId,
+        title: field => field.fieldId,
+        render: field => field.fieldId ? escapeHtml(field.fieldId) : '-'
+    }
+];
+
+let fieldTableState = {
+    sort: [],          // [{ columnId, ascending }], the first entry is the primary sort
+    hidden: new Set(), // IDs of hidden columns
+    widths: {},        // Column widths set by resizing, in px
+    rows: [],          // Fields that pass the filters, in display order
+    activeIndex: -1,   // Row with keyboard focus (index into rows)
+    renderedRange: null,
+    resizing: false
+};
+
+let fieldTableFrame = null;
+
+// Draws the table for a freshly loaded workbook; sorting, column widths and hidden columns carry over
+function renderTable() {
+    fieldTableState.activeIndex = -1;
+    const container = document.getElementById('fields-table-scroll');
+    if (container) container.scrollTop = 0;
+    renderFieldTableHeader();
+    setFieldTableRows(getFilteredFields());
+}
+
+/**
+ * Shows the given fields (the current filter result), sorted by the current sort
+ * @param {Array<object>} fields
+ */
+function setFieldTableRows(fields) {
+    const activeField = fieldTableState.rows[fieldTableState.activeIndex];
+    fieldTableState.rows = sortFieldTableRows(fields);
+    // Keyboard focus stays on the same field when it is still listed
+    fieldTableState.activeIndex = activeField ? fieldTableState.rows.indexOf(activeField) : -1;
+
+    const container = document.getElementById('fields-table-scroll');
+    if (container) container.setAttribute('aria-rowcount', fieldTableState.rows.length + 1);
+    renderFieldTableRows(true);
+}
+
+// Re-sorts and redraws the rows, e.g. after lint scores changed
+function refreshFieldTable() {
+    setFieldTableRows(getFilteredFields());
+}
+
+function getFieldTableColumn(columnId) {
+    return FIELD_TABLE_COLUMNS.find(column => column.id === columnId);
+}
+
+function getVisibleFieldTableColumns() {
+    return FIELD_TABLE_COLUMNS.filter(column => !fieldTableState.hidden.has(column.id));
+}
+
+function getFieldTableColumnWidth(column) {
+    return fieldTableState.widths[column.id] || column.width;
+}
+
+function isEmptyFieldTableValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Sorts fields by the sort columns in order; empty values go last in either direction and
+ * ties keep the workbook order
+ * @param {Array<object>} fields
+ * @returns {Array<object>} A new array
+ */
+function sortFieldTableRows(fields) {
+    const sorts = fieldTableState.sort
+        .map(sort => ({ column: getFieldTableColumn(sort.columnId), ascending: sort.ascending }))
+        .filter(sort => sort.column);
+    if (sorts.length === 0) return fields.slice();
+
+    const keyed = fields.map((field, index) => ({ field, index, values: sorts.map(sort => sort.column.value(field)) }));
+    keyed.sort((a, b) => {
+        for (let i = 0; i < sorts.length; i++) {
+            const aValue = a.values[i];
+            const bValue = b.values[i];
+            const aEmpty = isEmptyFieldTableValue(aValue);
+            const bEmpty = isEmptyFieldTableValue(bValue);
+            if (aEmpty || bEmpty) {
+                if (aEmpty !== bEmpty) return aEmpty ? 1 : -1;
+                continue;
+            }
+            const result = compareFieldTableValues(aValue, bValue, sorts[i].column.type);
+            if (result !== 0) return sorts[i].ascending ? result : -result;
+        }
+        return a.index - b.index;
+    });
+    return keyed.map(entry => entry.field);
+}
+
+function compareFieldTableValues(a, b, type) {
+    if (type === 'number') return a - b;
+    if (type === 'boolean') return (a ? 1 : 0) - (b ? 1 : 0);
+    return FIELD_TABLE_COLLATOR.compare(String(a), String(b));
+}
+
+/**
+ * Sorts by a column. A plain click sorts by that column alone (again to reverse it); with
+ * `addToSort` (Shift+click) the column is added as the next sort key, or reversed if it is one.
+ * @param {string} columnId
+ * @param {boolean} [addToSort]
+ */
+function sortFieldTable(columnId, addToSort = false) {
+    const existing = fieldTableState.sort.find(sort => sort.columnId === columnId);
+    if (addToSort) {
+        if (existing) {
+            existing.ascending = !existing.ascending;
+        } else {
+            fieldTableState.sort.push({ columnId, ascending: true });
+        }
+    } else {
+        const ascending = existing && fieldTableState.sort.length === 1 ? !existing.ascending : true;
+        fieldTableState.sort = [{ columnId, ascending }];
+    }
+    renderFieldTableHeader();
+    refreshFieldTable();
+}
+
+function renderFieldTableHeader() {
+    const header = document.getElementById('fields-table-header');
+    const colgroup = document.getElementById('fields-table-columns');
+    if (!header || !colgroup) return;
+
+    const columns = getVisibleFieldTableColumns();
+    const multiSort = fieldTableState.sort.length > 1;
+
+    colgroup.innerHTML = columns
+        .map(column => `<col data-column-id="${column.id}" style="width: ${getFieldTableColumnWidth(column)}px">`)
+        .join('') + `<col style="width: ${FIELD_TABLE_DETAILS_WIDTH}px">`;
+
+    header.innerHTML = columns.map((column, i) => {
+        const sortIndex = fieldTableState.sort.findIndex(sort => sort.columnId === column.id);
+        const sort = fieldTableState.sort[sortIndex];
+        const indicator = sort ? ` ${sort.ascending ? '▲' : '▼'}${multiSort ? `<sup>${sortIndex + 1}</sup>` : ''}` : '';
+        const ariaSort = sort ? (sort.ascending ? 'ascending' : 'descending') : 'none';
+        return `<th data-column-id="${column.id}" role="columnheader" aria-colindex="${i + 1}" aria-sort="${ariaSort}"
+          title="Click to sort, Shift+click to add to the sort"
+          class="sortable relative select-none truncate px-4 py-3 text-left text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400 cursor-pointer">
+          ${column.label}${indicator}
+          <span data-resize-handle title="Drag to resize"
+            class="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-primary-300"></span>
+        </th>`;
+    }).join('') + '<th class="px-2 py-3"></th>';
+
+    updateFieldTableWidth();
+    renderFieldColumnsMenu();
+}
+
+// A fixed layout keeps column widths steady while rows scroll in and out
+function updateFieldTableWidth() {
+    const table = document.getElementById('fields-table');
+    if (!table) return;
+    const width = getVisibleFieldTableColumns().reduce((sum, column) => sum + getFieldTableColumnWidth(column), FIELD_TABLE_DETAILS_WIDTH);
+    table.style.width = `${width}px`;
+}
+
+/**
+ * Renders the rows in and near the viewport, with spacer rows standing in for the rest
+ * @param {boolean} [force] - Render even when the visible range did not change
+ */
+function renderFieldTableRows(force = false) {
+    const tbody = document.getElementById('table-body');
+    const container = document.getElementById('fields-table-scroll');
+    if (!tbody || !container) return;
+
+    const rows = fieldTableState.rows;
+    const columns = getVisibleFieldTableColumns();
+    const colspan = columns.length + 1;
+
+    if (rows.length === 0) {
+        fieldTableState.renderedRange = null;
+        const message = parsedData.fields.length === 0 ? 'Upload a file to see fields' : 'No fields match the search and filters';
+        tbody.innerHTML = `
+      <tr>
+        <td class="px-4 py-4" colspan="${colspan}">
+          <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+            <span class="material-symbols-outlined text-4xl mb-2 opacity-50">table_rows</span>
+            <p>${message}</p>
+          </div>
+        </td>
+      </tr>
+    `;
+        return;
+    }
+
+    const viewport = container.clientHeight || FIELD_TABLE_DEFAULT_HEIGHT;
+    const start = Math.max(0, Math.floor(container.scrollTop / FIELD_TABLE_ROW_HEIGHT) - FIELD_TABLE_OVERSCAN);
+    const end = Math.min(rows.length, Math.ceil((container.scrollTop + viewport) / FIELD_TABLE_ROW_HEIGHT) + FIELD_TABLE_OVERSCAN);
+    const range = fieldTableState.renderedRange;
+    if (!force && range && range.start === start && range.end === end) return;
+    fieldTableState.renderedRange = { start, end };
+
+    const spacer = (height) => height > 0
+        ? `<tr aria-hidden="true" style="height: ${height}px"><td colspan="${colspan}" class="p-0"></td></tr>`
+        : '';
+
+    tbody.innerHTML = spacer(start * FIELD_TABLE_ROW_HEIGHT) +
+        rows.slice(start, end).map((field, i) => renderFieldTableRow(field, start + i, columns)).join('') +
+        spacer((rows.length - end) * FIELD_TABLE_ROW_HEIGHT);
+}
+
+function renderFieldTableRow(field, index, columns) {
+    const active = index === fieldTableState.activeIndex;
+    const cells = columns.map(column => {
+        const title = column.title ? column.title(field) : '';
+        return `<td class="truncate px-4 py-3 text-sm text-gray-500 dark:text-gray-400 ${column.cellClass || ''}"${title ? ` title="${escapeHtml(title)}"` : ''}>${column.render(field)}</td>`;
+    }).join('');
+
+    return `<tr data-field-key="${escapeHtml(field.key)}" data-row-index="${index}" aria-rowindex="${index + 2}" aria-selected="${active}"
+      style="height: ${FIELD_TABLE_ROW_HEIGHT}px"
+      class="cursor-pointer transition-colors ${active ? 'bg-primary-50 dark:bg-gray-700' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}">
+      ${cells}
+      <td class="px-2 py-3 text-right whitespace-nowrap">
+        ${canRenameField(field) ? `<button data-field-rename title="Rename"
+          class="rounded-lg p-1 text-gray-400 hover:bg-gray-100 hover:text-primary-600 dark:hover:bg-gray-700">
+          <span class="material-symbols-outlined text-lg">edit</span>
+        </button>` : ''}
+        <button data-field-details title="Field details"
+          class="rounded-lg p-1 text-gray-400 hover:bg-gray-100 hover:text-primary-600 dark:hover:bg-gray-700">
+          <span class="material-symbols-outlined text-lg">info</span>
+        </button>
+      </td>
+    </tr>`;
+}
+
+function scheduleFieldTableRender() {
+    if (fieldTableFrame !== null) return;
+    const requestFrame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+    fieldTableFrame = requestFrame(() => {
+        fieldTableFrame = null;
+        renderFieldTableRows();
+    });
+}
+
+/**
+ * Moves the keyboard focus to a row and scrolls it into view below the sticky header
+ * @param {number} index - Row index, clamped to the table
+ */
+function setFieldTableActiveRow(index) {
+    const rows = fieldTableState.rows;
+    if (rows.length === 0) return;
+    fieldTableState.activeIndex = Math.max(0, Math.min(rows.length - 1, index));
+
+    const container = document.getElementById('fields-table-scroll');
+    const header = document.getElementById('fields-table-header');
+    if (container) {
+        const viewport = container.clientHeight || FIELD_TABLE_DEFAULT_HEIGHT;
+        const headerHeight = header ? header.offsetHeight : 0;
+        const top = fieldTableState.activeIndex * FIELD_TABLE_ROW_HEIGHT;
+        if (top < container.scrollTop) {
+            container.scrollTop = top;
+        } else if (headerHeight + top + FIELD_TABLE_ROW_HEIGHT > container.scrollTop + viewport) {
+            container.scrollTop = headerHeight + top + FIELD_TABLE_ROW_HEIGHT - viewport;
+        }
+    }
+    renderFieldTableRows(true);
+}
+
+// Arrow keys, Page Up/Down and Home/End move between rows; Enter shows the field in the graph,
+// Space opens its details, F2 renames it and Escape clears the row focus
+function handleFieldTableKeydown(event) {
+    const rows = fieldTableState.rows;
+    if (rows.length === 0 || event.target.closest('input, button')) return;
+
+    const container = event.currentTarget;
+    const pageSize = Math.max(1, Math.floor((container.clientHeight || FIELD_TABLE_DEFAULT_HEIGHT) / FIELD_TABLE_ROW_HEIGHT) - 1);
+    const current = fieldTableState.activeIndex;
+    const moves = {
+        ArrowDown: current + 1,
+        ArrowUp: current === -1 ? 0 : current - 1,
+        PageDown: current + pageSize,
+        PageUp: current - pageSize,
+        Home: 0,
+        End: rows.length - 1
+    };
+
+    if (event.key in moves) {
+        event.preventDefault();
+        setFieldTableActiveRow(moves[event.key]);
+    } else if (event.key === 'Enter' && current !== -1) {
+        event.preventDefault();
+        highlightFieldInGraph(rows[current].key);
+    } else if (event.key === ' ' && current !== -1) {
+        event.preventDefault();
+        showFieldDetails(rows[current].key);
+    } else if (event.key === 'F2' && current !== -1 && canRenameField(rows[current])) {
+        event.preventDefault();
+        openRenameField(rows[current].key);
+    } else if (event.key === 'Escape' && current !== -1) {
+        fieldTableState.activeIndex = -1;
+        renderFieldTableRows(true);
+    }
+}
+
+function handleFieldTableClick(event) {
+    const row = event.target.closest('tr[data-field-key]');
+    if (!row) return;
+
+    const key = row.getAttribute('data-field-key');
+    fieldTableState.activeIndex = parseInt(row.getAttribute('data-row-index'), 10);
+    renderFieldTableRows(true);
+
+    if (event.target.closest('[data-field-details]')) {
+        showFieldDetails(key);
+    } else if (event.target.closest('[data-field-rename]')) {
+        openRenameField(key);
+    } else {
+        highlightFieldInGraph(key);
+    }
+}
+
+function handleFieldTableHeaderClick(event) {
+    // The click that ends a column resize is not a sort
+    if (fieldTableState.resizing) return;
+    const header = event.target.closest('th[data-column-id]');
+    if (header) sortFieldTable(header.getAttribute('data-column-id'), event.shiftKey);
+}
+
+function startFieldTableColumnResize(event) {
+    const handle = event.target.closest('[data-resize-handle]');
+    if (!handle) return;
+    event.preventDefault();
+
+    const columnId = handle.closest('th').getAttribute('data-column-id');
+    const column = getFieldTableColumn(columnId);
+    const col = document.querySelector(`#fields-table-columns col[data-column-id="${columnId}"]`);
+    const startX = event.clientX;
+    const startWidth = getFieldTableColumnWidth(column);
+    fieldTableState.resizing = true;
+
+    const onMove = (moveEvent) => {
+        const width = Math.max(FIELD_TABLE_MIN_COLUMN_WIDTH, Math.round(startWidth + moveEvent.clientX - startX));
+        fieldTableState.widths[columnId] = width;
+        if (col) col.style.width = `${width}px`;
+        updateFieldTableWidth();
+    };
+    const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        setTimeout(() => { fieldTableState.resizing = false; }, 0);
+    };
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+}
+
+function toggleFieldTableColumn(columnId) {
+    if (fieldTableState.hidden.has(columnId)) {
+        fieldTableState.hidden.delete(columnId);
+    } else if (getVisibleFieldTableColumns().length > 1) {
+        fieldTableState.hidden.add(columnId);
+    } else {
+        showToast('At least one column has to stay visible', 'info');
+    }
+    renderFieldTableHeader();
+    renderFieldTableRows(true);
+}
+
+function renderFieldColumnsMenu() {
+    const menu = document.getElementById('field-columns-menu');
+    if (!menu) return;
+
+    menu.innerHTML = FIELD_TABLE_COLUMNS.map(column => `
+      <label class="flex items-center gap-2 px-4 py-1.5 text-sm text-gray-700 hover:bg-gray-50 dark:text-gray-200 dark:hover:bg-gray-700 cursor-pointer">
+        <input type="checkbox" data-column-toggle="${column.id}" ${fieldTableState.hidden.has(column.id) ? '' : 'checked'}
+          class="rounded border-gray-300 text-primary-500 focus:ring-primary-500" />
+        ${column.label}
+      </label>
+    `).join('');
+    menu.querySelectorAll('[data-column-toggle]').forEach(input => {
+        input.onchange = () => toggleFieldTableColumn(input.getAttribute('data-column-toggle'));
+    });
+}
+
+function toggleFieldColumnsMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('field-columns-menu');
+    if (menu) menu.classList.toggle('hidden');
+}
+
+function closeFieldColumnsMenu() {
+    const menu = document.getElementById('field-columns-menu');
+    if (menu) menu.classList.add('hidden');
+}
+
+const fieldTableScroll = document.getElementById('fields-table-scroll');
+if (fieldTableScroll) {
+    renderFieldTableHeader();
+    fieldTableScroll.addEventListener('scroll', scheduleFieldTableRender);
+    fieldTableScroll.addEventListener('keydown', handleFieldTableKeydown);
+    document.getElementById('table-body').addEventListener('click', handleFieldTableClick);
+    const fieldTableHeader = document.getElementById('fields-table-header');
+    fieldTableHeader.addEventListener('click', handleFieldTableHeaderClick);
+    fieldTableHeader.addEventListener('pointerdown', startFieldTableColumnResize);
+    // Clicks inside the menu (the checkboxes) keep it open
+    document.getElementById('field-columns-menu').addEventListener('click', event => event.stopPropagation());
+    document.addEventListener('click', closeFieldColumnsMenu);
+}
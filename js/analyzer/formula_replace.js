@@ -0,0 +1,273 @@
+/**
+ * Formula Find & Replace
+ * Finds and replaces text in every calculated field formula and writes the result back into the
+ * workbook, worksheet copies of the calculations included. Plain text and regular expressions
+ * work on the formulas as shown (with captions); field reference mode only touches references
+ * to the named field, never comments, strings or other names that contain it.
+ */
+
+const FORMULA_REPLACE_MODES = {
+    text: 'Plain text',
+    regex: 'Regular expression',
+    field: 'Field reference'
+};
+
+let formulaReplaceState = null; // { workbook, changes, excluded: Set of field keys }
+
+async function openFormulaReplace() {
+    closeEditWorkbookMenu();
+    const calculations = parsedData.fields.filter(field => field.isCalculated);
+    if (calculations.length === 0) {
+        showToast('This workbook has no calculated fields', 'info');
+        return;
+    }
+
+    formulaReplaceState = null;
+    openEditDialog('Find and replace in formulas', `${calculations.length} calculated fields`, 'Download patched workbook');
+
+    let workbook;
+    try {
+        workbook = await readWorkbookForEditing();
+    } catch (error) {
+        closeEditDialog();
+        showToast('Error reading workbook: ' + error.message, 'error');
+        return;
+    }
+    if (!isEditDialogOpen()) return;
+
+    formulaReplaceState = { workbook, changes: [], excluded: new Set() };
+    const inputClass = 'rounded-lg border border-gray-200 bg-gray-50 px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-primary-500 focus:bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-white';
+    document.getElementById('edit-dialog-body').innerHTML = `
+      <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label class="flex flex-col gap-1 text-sm font-medium text-gray-700 dark:text-gray-200">
+          Find
+          <input type="text" id="formula-replace-find" class="${inputClass}" />
+        </label>
+        <label class="flex flex-col gap-1 text-sm font-medium text-gray-700 dark:text-gray-200">
+          Replace with
+          <input type="text" id="formula-replace-with" class="${inputClass}" />
+        </label>
+      </div>
+      <div class="flex flex-wrap items-center gap-4 text-sm text-gray-700 dark:text-gray-200">
+        <select id="formula-replace-mode"
+          class="rounded-lg border border-gray-200 bg-white py-1.5 pl-3 pr-8 text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white">
+          ${Object.entries(FORMULA_REPLACE_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+        </select>
+        <label class="flex items-center gap-2">
+          <input type="checkbox" id="formula-replace-case" class="rounded border-gray-300 text-primary-500 focus:ring-primary-500" />
+          Match case
+        </label>
+        <p id="formula-replace-hint" class="text-xs text-gray-400"></p>
+      </div>
+      <div id="formula-replace-preview" class="flex flex-col gap-4"></div>
+    `;
+    ['formula-replace-find', 'formula-replace-with'].forEach(id => {
+        document.getElementById(id).oninput = updateFormulaReplacePreview;
+    });
+    document.getElementById('formula-replace-mode').onchange = updateFormulaReplacePreview;
+    document.getElementById('formula-replace-case').onchange = updateFormulaReplacePreview;
+    document.getElementById('formula-replace-find').focus();
+    updateFormulaReplacePreview();
+}
+
+/**
+ * Reads the find/replace form
+ * @returns {{mode: string, find: string, replacement: string, matchCase: boolean}}
+ */
+function getFormulaReplaceOptions() {
+    return {
+        mode: document.getElementById('formula-replace-mode').value,
+        find: document.getElementById('formula-replace-find').value,
+        replacement: document.getElementById('formula-replace-with').value,
+        matchCase: document.getElementById('formula-replace-case').checked
+    };
+}
+
+/**
+ * Builds the function that rewrites one stored formula of a field
+ * @param {object} options - Result of getFormulaReplaceOptions()
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {function(string, object): string} (stored formula, field) -> new stored formula
+ * @throws {Error} When the search is a malformed regular expression
+ */
+function createFormulaReplacer(options, fieldIndex) {
+    if (options.mode === 'field') {
+        const target = parseFieldRefInput(options.find);
+        const replacement = parseFieldRefInput(options.replacement);
+        return (formula, field) => replaceFieldRefs(formula, field, fieldIndex, target, replacement);
+    }
+
+    const pattern = options.mode === 'regex' ? options.find : options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(pattern, options.matchCase ? 'g' : 'gi');
+    // Plain text is inserted as typed; regular expressions may use $1 and friends
+    const replace = shown => options.mode === 'regex'
+        ? shown.replace(regex, options.replacement)
+        : shown.replace(regex, () => options.replacement);
+
+    return (formula, field) => {
+        const parsed = parseCalc(formula);
+        const shown = formatFormulaForDisplay(parsed, field, fieldIndex);
+        const replaced = replace(shown);
+        return replaced === shown ? formula : formatFormulaForStorage(replaced, parsed, field, fieldIndex);
+    };
+}
+
+// "[Sales]", "Sales" or "[Orders].[Sales]" -> { name, datasource }
+function parseFieldRefInput(text) {
+    const trimmed = text.trim();
+    const parsed = parseCalc(trimmed);
+    if (parsed.ast && parsed.ast.type === 'FieldRef') {
+        return { name: parsed.ast.name, datasource: parsed.ast.datasource };
+    }
+    return { name: trimmed, datasource: null };
+}
+
+/**
+ * Points the references to one field at another. A reference matches by how it is written or by
+ * the caption of the field it resolves to; the new reference is written the way the workbook
+ * stores it when the replacement names a known field, and as typed otherwise.
+ * @param {string} formula - Stored formula
+ * @param {object} field - The field the formula belongs to
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @param {{name: string, datasource: string|null}} target - Field to replace
+ * @param {{name: string, datasource: string|null}} replacement - Field to refer to instead
+ * @returns {string}
+ */
+function replaceFieldRefs(formula, field, fieldIndex, target, replacement) {
+    const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const dsNames = new Map(parsedData.dataSources.map(ds => [ds.caption, ds.name]));
+    const toDataSourceName = caption => caption ? dsNames.get(caption) || caption : null;
+
+    return rewriteCalcFieldRefs(parseCalc(formula), ref => {
+        const refField = resolveFieldRef(ref, field, fieldIndex);
+        const matchesName = sameName(ref.name, target.name) || (refField && sameName(refField.name, target.name));
+        const refDataSource = refField ? refField.dataSource : ref.datasource;
+        if (!matchesName || (target.datasource && toDataSourceName(target.datasource) !== refDataSource)) return null;
+
+        const datasource = toDataSourceName(replacement.datasource) || ref.datasource;
+        const newField = resolveFieldRef({ name: replacement.name, datasource }, field, fieldIndex);
+        return newField ? formatStoredFieldRef(newField, field) : formatCalcFieldRef(replacement.name, datasource);
+    });
+}
+
+/**
+ * Turns an edited formula, as shown, back into how the workbook stores it. References that were in
+ * the formula before keep their stored form; new ones are looked up by caption.
+ * @param {string} shown - Edited formula with captions
+ * @param {object} originalParsed - parseCalc() of the stored formula before the edit
+ * @param {object} field - The field the formula belongs to
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {string}
+ */
+function formatFormulaForStorage(shown, originalParsed, field, fieldIndex) {
+    const storedRefs = new Map();
+    getCalcFieldRefs(originalParsed).forEach(ref => {
+        const shownRef = formatFieldRefForDisplay(ref, field, fieldIndex) || ref.raw;
+        if (!storedRefs.has(shownRef)) storedRefs.set(shownRef, ref.raw);
+    });
+    const dsNames = new Map(parsedData.dataSources.map(ds => [ds.caption, ds.name]));
+
+    return rewriteCalcFieldRefs(parseCalc(shown), ref => {
+        if (storedRefs.has(ref.raw)) return storedRefs.get(ref.raw);
+        const datasource = ref.datasource ? dsNames.get(ref.datasource) || ref.datasource : null;
+        const refField = resolveFieldRef({ name: ref.name, datasource }, field, fieldIndex);
+        return refField ? formatStoredFieldRef(refField, field) : null;
+    });
+}
+
+// Fields of the formula's own datasource by internal name, others qualified with the datasource name
+function formatStoredFieldRef(refField, field) {
+    const datasource = refField.dataSource === field.dataSource ? null : refField.dataSource;
+    return formatCalcFieldRef(unbracketFieldId(refField.fieldId), datasource);
+}
+
+function updateFormulaReplacePreview() {
+    if (!formulaReplaceState) return;
+    const options = getFormulaReplaceOptions();
+    const preview = document.getElementById('formula-replace-preview');
+    document.getElementById('formula-replace-case').disabled = options.mode === 'field';
+    document.getElementById('formula-replace-hint').textContent = options.mode === 'field'
+        ? 'e.g. [Old Sales] → [Net Sales]; names match without regard to case'
+        : 'Matches the formulas as shown, with field captions';
+
+    formulaReplaceState.changes = [];
+    if (!options.find.trim()) {
+        preview.innerHTML = '';
+        setEditDialogAction(null, 'Enter the text to find');
+        return;
+    }
+
+    const fieldIndex = buildFieldIndex();
+    let replacer;
+    try {
+        replacer = createFormulaReplacer(options, fieldIndex);
+    } catch (error) {
+        preview.innerHTML = '';
+        setEditDialogAction(null, error.message);
+        return;
+    }
+
+    formulaReplaceState.changes = parsedData.fields
+        .filter(field => field.isCalculated)
+        .map(field => ({ field, formula: replacer(field.rawFormula, field) }))
+        .filter(change => change.formula !== change.field.rawFormula);
+
+    const { changes, excluded } = formulaReplaceState;
+    preview.innerHTML = changes.length === 0
+        ? '<p class="text-sm text-gray-400">No formulas match</p>'
+        : changes.map(change => `
+          <section class="flex flex-col gap-1">
+            <label class="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+              <input type="checkbox" data-replace-field="${escapeHtml(change.field.key)}" ${excluded.has(change.field.key) ? '' : 'checked'}
+                class="rounded border-gray-300 text-primary-500 focus:ring-primary-500" />
+              ${escapeHtml(change.field.name)}
+              <span class="text-xs font-normal text-gray-400">${escapeHtml(change.field.dataSourceCaption)}</span>
+            </label>
+            <pre class="p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${renderFormulaDiff(change.field.formula,
+                formatFormulaForDisplay(parseCalc(change.formula), change.field, fieldIndex))}</pre>
+          </section>
+        `).join('');
+
+    preview.querySelectorAll('[data-replace-field]').forEach(checkbox => {
+        checkbox.onchange = () => {
+            const key = checkbox.getAttribute('data-replace-field');
+            if (checkbox.checked) {
+                excluded.delete(key);
+            } else {
+                excluded.add(key);
+            }
+            updateFormulaReplaceAction(options);
+        };
+    });
+    updateFormulaReplaceAction(options);
+}
+
+function updateFormulaReplaceAction(options) {
+    const { changes, excluded } = formulaReplaceState;
+    const selected = changes.filter(change => !excluded.has(change.field.key));
+    const status = changes.length === 0 ? '' : `${selected.length} of ${changes.length} formulas will change`;
+    setEditDialogAction(selected.length > 0 ? () => applyFormulaReplace(options, selected) : null, status);
+}
+
+async function applyFormulaReplace(options, selected) {
+    const { workbook } = formulaReplaceState;
+    const fieldIndex = buildFieldIndex();
+    const replacer = createFormulaReplacer(options, fieldIndex);
+
+    // The definition and every worksheet copy of each calculation
+    const edits = [];
+    selected.forEach(({ field }) => {
+        findFieldColumns(workbook.doc, field).forEach(column => {
+            const calculation = column.children.find(child => child.tagName === 'calculation');
+            if (!calculation) return;
+            const formula = calculation.getAttribute('formula') || '';
+            const replaced = replacer(formula, field);
+            if (replaced !== formula) edits.push(setXmlAttribute(calculation, 'formula', replaced));
+        });
+    });
+
+    const xml = applyXmlEdits(workbook.xml, edits);
+    formulaReplaceState = null;
+    const file = await saveEditedWorkbook(workbook, xml);
+    showToast(`Updated ${selected.length} formula${selected.length === 1 ? '' : 's'} and downloaded ${file.name}`, 'success');
+}
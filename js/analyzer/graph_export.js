@@ -0,0 +1,529 @@
+/**
+ * Graph Export
+ * Writes the dependency graph as a vector SVG drawn from the Cytoscape model (node shapes, labels and edges),
+ * and as GraphML, Graphviz DOT, Mermaid or draw.io built from the lineage model (no rendered graph needed)
+ */
+
+const SVG_EXPORT_PADDING = 30;
+
+/**
+ * Builds a standalone SVG document of the visible graph in model coordinates
+ * @param {object} cyInstance - Cytoscape instance
+ * @returns {string} SVG markup
+ */
+function buildGraphSVG(cyInstance) {
+    const shown = (ele) => ele.style('display') !== 'none';
+    const nodes = cyInstance.nodes().filter(shown);
+    const edges = cyInstance.edges().filter(edge => shown(edge) && shown(edge.source()) && shown(edge.target()));
+
+    const bb = nodes.union(edges).boundingBox();
+    const x = Math.floor(bb.x1 - SVG_EXPORT_PADDING);
+    const y = Math.floor(bb.y1 - SVG_EXPORT_PADDING);
+    const width = Math.ceil(bb.w + SVG_EXPORT_PADDING * 2);
+    const height = Math.ceil(bb.h + SVG_EXPORT_PADDING * 2);
+
+    const edgeMarkup = edges.map(edge => renderSVGEdge(edge)).join('\n');
+    const nodeMarkup = nodes.map(node => renderSVGNode(node)).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">
+  <title>${escapeXml(parsedData.workbookName)} dependency graph</title>
+  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#f9fafb"/>
+  <g id="edges">
+${edgeMarkup}
+  </g>
+  <g id="nodes">
+${nodeMarkup}
+  </g>
+</svg>`;
+}
+
+function renderSVGNode(node) {
+    const pos = node.position();
+    const borderWidth = parseFloat(node.style('border-width')) || 0;
+    // outerWidth() includes the border; the shape itself is drawn through the middle of it
+    const w = node.outerWidth() - borderWidth;
+    const h = node.outerHeight() - borderWidth;
+    const fill = node.style('background-color');
+    const stroke = node.style('border-color');
+    const dash = node.style('border-style') === 'dashed' ? ` stroke-dasharray="${borderWidth * 2} ${borderWidth}"` : '';
+    const opacity = parseFloat(node.style('opacity'));
+    const fillOpacity = parseFloat(node.style('background-opacity'));
+    const shapeAttrs = `fill="${fill}"${fillOpacity < 1 ? ` fill-opacity="${fillOpacity}"` : ''} stroke="${stroke}" stroke-width="${borderWidth}"${dash}`;
+
+    return `    <g id="${escapeXml(node.id())}"${opacity < 1 ? ` opacity="${opacity}"` : ''}>
+      <title>${escapeXml(node.data('fullName') || node.data('label'))}</title>
+      ${renderSVGShape(node.style('shape'), pos.x, pos.y, w, h, shapeAttrs)}
+      ${renderSVGLabel(node, pos)}
+    </g>`;
+}
+
+// Outline of a Cytoscape node shape centred on (cx, cy)
+function renderSVGShape(shape, cx, cy, w, h, attrs) {
+    const left = cx - w / 2;
+    const top = cy - h / 2;
+    const polygon = (unitPoints) => {
+        const points = unitPoints.map(([px, py]) => `${round2(cx + px * w / 2)},${round2(cy + py * h / 2)}`).join(' ');
+        return `<polygon points="${points}" ${attrs}/>`;
+    };
+
+    switch (shape) {
+        case 'ellipse':
+            return `<ellipse cx="${round2(cx)}" cy="${round2(cy)}" rx="${round2(w / 2)}" ry="${round2(h / 2)}" ${attrs}/>`;
+        case 'rectangle':
+            return `<rect x="${round2(left)}" y="${round2(top)}" width="${round2(w)}" height="${round2(h)}" ${attrs}/>`;
+        case 'hexagon':
+            return polygon([[-1, 0], [-0.5, -1], [0.5, -1], [1, 0], [0.5, 1], [-0.5, 1]]);
+        case 'octagon':
+            return polygon([[-0.414, -1], [0.414, -1], [1, -0.414], [1, 0.414], [0.414, 1], [-0.414, 1], [-1, 0.414], [-1, -0.414]]);
+        case 'barrel': {
+            // Flat top and bottom with sides bulging out to the bounding box
+            const k = Math.min(w * 0.1, 12);
+            const right = left + w;
+            const bottom = top + h;
+            return `<path d="M${round2(left + k)},${round2(top)} L${round2(right - k)},${round2(top)} ` +
+                `Q${round2(right + k)},${round2(cy)} ${round2(right - k)},${round2(bottom)} ` +
+                `L${round2(left + k)},${round2(bottom)} Q${round2(left - k)},${round2(cy)} ${round2(left + k)},${round2(top)} Z" ${attrs}/>`;
+        }
+        default: {
+            // roundrectangle, matching Cytoscape's corner radius
+            const radius = Math.min(w / 4, h / 4, 8);
+            return `<rect x="${round2(left)}" y="${round2(top)}" width="${round2(w)}" height="${round2(h)}" rx="${round2(radius)}" ry="${round2(radius)}" ${attrs}/>`;
+        }
+    }
+}
+
+// Label lines are wrapped the way the node style asks for (text-wrap / text-max-width)
+function renderSVGLabel(node, pos) {
+    const label = node.data('label') || '';
+    if (!label) return '';
+
+    const fontSize = parseFloat(node.style('font-size')) || 12;
+    const maxWidth = parseFloat(node.style('text-max-width')) || Infinity;
+    const lines = node.style('text-wrap') === 'wrap'
+        ? label.split('\n').flatMap(line => wrapSVGLabelLine(line, maxWidth, fontSize))
+        : [label.replace(/\n/g, ' ')];
+
+    const lineHeight = fontSize * 1.2;
+    // Expanded groups carry their label above the box
+    const firstY = node.style('text-valign') === 'top'
+        ? pos.y - node.outerHeight() / 2 - (lines.length - 0.5) * lineHeight
+        : pos.y - (lines.length - 1) * lineHeight / 2;
+    const tspans = lines.map((line, i) =>
+        `<tspan x="${round2(pos.x)}" y="${round2(firstY + i * lineHeight)}">${escapeXml(line)}</tspan>`
+    ).join('');
+
+    return `<text text-anchor="middle" dominant-baseline="central" font-family="Helvetica, Arial, sans-serif" ` +
+        `font-size="${fontSize}" font-weight="${node.style('font-weight')}" fill="${node.style('color')}">${tspans}</text>`;
+}
+
+// Approximates the canvas text measurement with an average glyph width
+function wrapSVGLabelLine(line, maxWidth, fontSize) {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * 0.6)));
+    if (line.length <= maxChars) return [line];
+
+    const lines = [];
+    let current = '';
+    line.split(' ').forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length > maxChars && current) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    });
+    if (current) lines.push(current);
+    return lines;
+}
+
+function renderSVGEdge(edge) {
+    const points = getSVGEdgePoints(edge);
+    const start = points[0];
+    const end = points[points.length - 1];
+    const controls = points.slice(1, -1);
+
+    let d = `M${round2(start.x)},${round2(start.y)}`;
+    if (controls.length === 0) {
+        d += ` L${round2(end.x)},${round2(end.y)}`;
+    } else {
+        // Cytoscape joins several control points with quadratic curves through their midpoints
+        controls.forEach((control, i) => {
+            const next = i === controls.length - 1
+                ? end
+                : { x: (control.x + controls[i + 1].x) / 2, y: (control.y + controls[i + 1].y) / 2 };
+            d += ` Q${round2(control.x)},${round2(control.y)} ${round2(next.x)},${round2(next.y)}`;
+        });
+    }
+
+    const width = parseFloat(edge.style('width')) || 1;
+    const color = edge.style('line-color');
+    const dash = edge.style('line-style') === 'dashed' ? ` stroke-dasharray="${width * 3} ${width * 2}"` : '';
+    const opacity = parseFloat(edge.style('opacity'));
+    const arrow = edge.style('target-arrow-shape') === 'none'
+        ? ''
+        : renderSVGArrow(points[points.length - 2], end, width, parseFloat(edge.style('arrow-scale')) || 1, edge.style('target-arrow-color'));
+
+    return `    <g id="${escapeXml(edge.id())}"${opacity < 1 ? ` opacity="${opacity}"` : ''}>
+      <path d="${d}" fill="none" stroke="${color}" stroke-width="${width}"${dash}/>
+      ${arrow}
+    </g>`;
+}
+
+/**
+ * Edge geometry in model coordinates: the rendered endpoints and bezier control points when
+ * Cytoscape has computed them, otherwise a straight line clipped to both node boxes
+ */
+function getSVGEdgePoints(edge) {
+    const valid = (p) => p && isFinite(p.x) && isFinite(p.y);
+    const source = edge.sourceEndpoint();
+    const target = edge.targetEndpoint();
+
+    if (valid(source) && valid(target)) {
+        const controls = (edge.controlPoints() || []).filter(valid);
+        return [source, ...controls, target];
+    }
+
+    const from = edge.source().position();
+    const to = edge.target().position();
+    return [clipToNodeBox(to, from, edge.source()), clipToNodeBox(from, to, edge.target())];
+}
+
+// Point where the segment from `outside` to the centre of `node` crosses the node's box
+function clipToNodeBox(outside, center, node) {
+    const dx = outside.x - center.x;
+    const dy = outside.y - center.y;
+    if (dx === 0 && dy === 0) return center;
+
+    const halfW = node.outerWidth() / 2;
+    const halfH = node.outerHeight() / 2;
+    const scale = Math.min(
+        dx === 0 ? Infinity : halfW / Math.abs(dx),
+        dy === 0 ? Infinity : halfH / Math.abs(dy)
+    );
+    return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+// Triangle arrowhead sized like Cytoscape's ('triangle' shape scaled by edge width and arrow-scale)
+function renderSVGArrow(from, tip, edgeWidth, arrowScale, color) {
+    const size = Math.max(Math.pow(edgeWidth * 13.37, 0.9), 29) * arrowScale;
+    const length = size * 0.3;
+    const halfWidth = size * 0.15;
+
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const baseX = tip.x - cos * length;
+    const baseY = tip.y - sin * length;
+    const points = [
+        [tip.x, tip.y],
+        [baseX - sin * halfWidth, baseY + cos * halfWidth],
+        [baseX + sin * halfWidth, baseY - cos * halfWidth]
+    ].map(([px, py]) => `${round2(px)},${round2(py)}`).join(' ');
+
+    return `<polygon points="${points}" fill="${color}"/>`;
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/\n/g, '&#xa;');
+}
+
+function exportToSVG() {
+    if (!cy) {
+        showToast('No graph to export', 'info');
+        return;
+    }
+
+    downloadTextFile(buildGraphSVG(cy), parsedData.workbookName.replace(/\.(twb|twbx)$/, '_graph.svg'), 'image/svg+xml');
+}
+
+const GRAPH_INTERCHANGE_FORMATS = {
+    graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/xml', build: buildGraphML },
+    dot: { label: 'DOT', extension: 'dot', mimeType: 'text/vnd.graphviz', build: buildGraphDOT },
+    mermaid: { label: 'Mermaid', extension: 'mmd', mimeType: 'text/plain', build: buildGraphMermaid },
+    drawio: { label: 'draw.io', extension: 'drawio', mimeType: 'application/xml', build: buildGraphDrawio }
+};
+
+// Attributes written for every node, in this order
+const LINEAGE_EXPORT_ATTRIBUTES = ['key', 'nodeType', 'fieldType', 'dataType', 'dataSource', 'fieldId', 'usage', 'defaultAggregation', 'hidden', 'semanticRole', 'description', 'calcClass', 'formula', 'issues'];
+
+// Fill and border colours, matching the Cytoscape styles in renderGraph()
+const LINEAGE_NODE_COLORS = {
+    dimension: ['#3B82F6', '#2563EB'],
+    measure: ['#10B981', '#059669'],
+    'calculated-field': ['#F59E0B', '#D97706'],
+    parameter: ['#A855F7', '#9333EA'],
+    datasource: ['#475569', '#334155'],
+    worksheet: ['#0EA5E9', '#0284C7'],
+    dashboard: ['#F43F5E', '#E11D48'],
+    unknown: ['#9CA3AF', '#6B7280']
+};
+
+/**
+ * Flattens a lineage model node into the attributes that travel with it in interchange formats
+ * @param {object} node - Node from buildLineageModel()
+ * @returns {object} Attribute values keyed by LINEAGE_EXPORT_ATTRIBUTES (empty string when not applicable)
+ */
+function getLineageNodeAttributes(node) {
+    const attributes = {};
+    LINEAGE_EXPORT_ATTRIBUTES.forEach(name => { attributes[name] = ''; });
+    Object.assign(attributes, { key: node.id, nodeType: node.type });
+
+    if (node.type === 'field') {
+        const field = node.field;
+        return Object.assign(attributes, {
+            fieldType: field.fieldType,
+            dataType: field.dataType,
+            dataSource: field.dataSourceCaption,
+            fieldId: field.fieldId,
+            usage: getUsageLabel(field.usage),
+            defaultAggregation: field.defaultAggregation,
+            hidden: field.hidden ? 'true' : 'false',
+            semanticRole: formatSemanticRole(field.semanticRole),
+            description: field.description,
+            calcClass: field.calcClass ? [CALC_CLASS_LABELS[field.calcClass.type], describeCalcClass(field)].filter(Boolean).join(': ') : '',
+            formula: field.formula || '',
+            issues: (field.issues || []).map(issue => issue.message).join('\n')
+        });
+    }
+
+    const typeLabels = { datasource: 'Data Source', worksheet: 'Worksheet', dashboard: 'Dashboard' };
+    attributes.fieldType = typeLabels[node.type];
+    if (node.type === 'datasource') attributes.dataSource = node.dataSource.caption;
+    if (node.type === 'worksheet') {
+        attributes.dataSource = node.worksheet.dataSources
+            .map(name => (parsedData.dataSources.find(ds => ds.name === name) || { caption: name }).caption)
+            .join(', ');
+    }
+    return attributes;
+}
+
+function getLineageNodeClass(node) {
+    return node.type === 'field' ? getFieldNodeClass(node.field) : node.type;
+}
+
+/**
+ * The lineage model with short sequential IDs (n0, n1, ...) that every format accepts
+ * @returns {{nodes: Array<object>, edges: Array<object>}}
+ */
+function buildGraphExportModel() {
+    const model = buildLineageModel();
+    const exportIds = new Map();
+    const nodes = Array.from(model.nodes.values()).map((node, i) => {
+        exportIds.set(node.id, `n${i}`);
+        return {
+            exportId: `n${i}`,
+            label: node.label,
+            nodeClass: getLineageNodeClass(node),
+            attributes: getLineageNodeAttributes(node)
+        };
+    });
+    const edges = model.edges.map((edge, i) => ({
+        exportId: `e${i}`,
+        source: exportIds.get(edge.source),
+        target: exportIds.get(edge.target),
+        kind: edge.kind
+    }));
+    return { nodes, edges };
+}
+
+function buildGraphML() {
+    const { nodes, edges } = buildGraphExportModel();
+    const keys = ['label', ...LINEAGE_EXPORT_ATTRIBUTES]
+        .map(name => `  <key id="${name}" for="node" attr.name="${name}" attr.type="string"/>`)
+        .join('\n');
+    const nodeMarkup = nodes.map(node => {
+        const data = Object.entries(Object.assign({ label: node.label }, node.attributes))
+            .filter(([, value]) => value !== '')
+            .map(([name, value]) => `<data key="${name}">${escapeXml(value)}</data>`)
+            .join('');
+        return `    <node id="${node.exportId}">${data}</node>`;
+    }).join('\n');
+    const edgeMarkup = edges.map(edge =>
+        `    <edge id="${edge.exportId}" source="${edge.source}" target="${edge.target}"><data key="kind">${edge.kind}</data></edge>`
+    ).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+${keys}
+  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>
+  <graph id="${escapeXml(parsedData.workbookName)}" edgedefault="directed">
+${nodeMarkup}
+${edgeMarkup}
+  </graph>
+</graphml>
+`;
+}
+
+function buildGraphDOT() {
+    const { nodes, edges } = buildGraphExportModel();
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+    const shapes = { parameter: 'hexagon', datasource: 'cylinder', worksheet: 'box', dashboard: 'octagon' };
+
+    const nodeLines = nodes.map(node => {
+        const [fill, border] = LINEAGE_NODE_COLORS[node.nodeClass] || LINEAGE_NODE_COLORS.unknown;
+        const shape = shapes[node.nodeClass] || 'box';
+        const style = shape === 'box' && node.attributes.nodeType === 'field' ? 'filled,rounded' : 'filled';
+        const attributes = LINEAGE_EXPORT_ATTRIBUTES
+            .filter(name => node.attributes[name] !== '')
+            .map(name => `${name}=${quote(node.attributes[name])}`);
+        return `    ${node.exportId} [label=${quote(node.label)}, shape=${shape}, style=${quote(style)}, fillcolor=${quote(fill)}, color=${quote(border)}, ${attributes.join(', ')}];`;
+    });
+    const edgeLines = edges.map(edge =>
+        `    ${edge.source} -> ${edge.target} [kind=${edge.kind}${edge.kind === 'dependency' ? '' : ', style=dashed'}];`
+    );
+
+    return `digraph ${quote(parsedData.workbookName)} {
+    rankdir=TB;
+    node [fontname="Helvetica", fontcolor="#FFFFFF"];
+    edge [color="#94A3B8"];
+
+${nodeLines.join('\n')}
+
+${edgeLines.join('\n')}
+}
+`;
+}
+
+function buildGraphMermaid() {
+    const { nodes, edges } = buildGraphExportModel();
+    // Mermaid labels are quoted; quotes and angle brackets need its #entity; escapes
+    const mermaidClass = (nodeClass) => nodeClass.replace(/-/g, '_');
+    const label = (text) => String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+    const shapes = {
+        parameter: (text) => `{{"${text}"}}`,
+        datasource: (text) => `[("${text}")]`,
+        worksheet: (text) => `["${text}"]`,
+        dashboard: (text) => `[["${text}"]]`
+    };
+
+    const lines = ['flowchart TB'];
+    nodes.forEach(node => {
+        // Mermaid has no node attributes, so they travel as a comment right above the node
+        const attributes = LINEAGE_EXPORT_ATTRIBUTES
+            .filter(name => node.attributes[name] !== '')
+            .map(name => `${name}=${String(node.attributes[name]).replace(/\s+/g, ' ')}`)
+            .join('; ');
+        const shape = shapes[node.nodeClass] || ((text) => `("${text}")`);
+        lines.push(`    %% ${attributes}`);
+        lines.push(`    ${node.exportId}${shape(label(node.label))}:::${mermaidClass(node.nodeClass)}`);
+    });
+    edges.forEach(edge => {
+        lines.push(`    ${edge.source} ${edge.kind === 'dependency' ? '-->' : '-.->'} ${edge.target}`);
+    });
+    Object.entries(LINEAGE_NODE_COLORS).forEach(([nodeClass, [fill, border]]) => {
+        lines.push(`    classDef ${mermaidClass(nodeClass)} fill:${fill},stroke:${border},color:#FFFFFF`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function buildGraphDrawio() {
+    const { nodes, edges } = buildGraphExportModel();
+    const positions = getGraphExportPositions(nodes, edges);
+    const shapes = {
+        parameter: 'shape=hexagon;perimeter=hexagonPerimeter2;fixedSize=1;size=20;',
+        datasource: 'shape=cylinder3;boundedLbl=1;backgroundOutline=1;size=10;',
+        worksheet: '',
+        dashboard: 'shape=mxgraph.basic.octagon2;dx=12;'
+    };
+    // html=1 labels are HTML, escaped once for HTML and once more by escapeXml below
+    const htmlLabel = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const cells = nodes.map(node => {
+        const [fill, border] = LINEAGE_NODE_COLORS[node.nodeClass] || LINEAGE_NODE_COLORS.unknown;
+        const shape = node.nodeClass in shapes ? shapes[node.nodeClass] : 'rounded=1;';
+        const style = `${shape}whiteSpace=wrap;html=1;fillColor=${fill};strokeColor=${border};fontColor=#FFFFFF;fontStyle=1;`;
+        const attributes = LINEAGE_EXPORT_ATTRIBUTES
+            .filter(name => node.attributes[name] !== '')
+            .map(name => ` ${name}="${escapeXml(node.attributes[name])}"`)
+            .join('');
+        const { x, y } = positions.get(node.exportId);
+        return `        <object id="${node.exportId}" label="${escapeXml(htmlLabel(node.label))}"${attributes}>
+          <mxCell style="${style}" vertex="1" parent="1">
+            <mxGeometry x="${round2(x - 70)}" y="${round2(y - 25)}" width="140" height="50" as="geometry"/>
+          </mxCell>
+        </object>`;
+    });
+    edges.forEach(edge => {
+        const dashed = edge.kind === 'dependency' ? '' : 'dashed=1;';
+        cells.push(`        <mxCell id="${edge.exportId}" value="" style="endArrow=block;endFill=1;html=1;strokeColor=#94A3B8;${dashed}" edge="1" parent="1" source="${edge.source}" target="${edge.target}">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<mxfile host="tableautools">
+  <diagram id="lineage" name="${escapeXml(parsedData.workbookName)}">
+    <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="0" pageScale="1" math="0" shadow="0">
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+${cells.join('\n')}
+      </root>
+    </mxGraphModel>
+  </diagram>
+</mxfile>
+`;
+}
+
+/**
+ * Node centres for formats that store geometry. Reuses the on-screen layout when the graph has
+ * been rendered, otherwise places nodes in layers by their longest path from a root.
+ */
+function getGraphExportPositions(nodes, edges) {
+    const positions = new Map();
+    if (cy) {
+        const byKey = new Map(nodes.map(node => [node.attributes.key, node.exportId]));
+        cy.nodes().forEach(cyNode => {
+            const exportId = byKey.get(cyNode.id());
+            if (exportId) positions.set(exportId, cyNode.position());
+        });
+        if (positions.size === nodes.length) return positions;
+        positions.clear();
+    }
+
+    // Relax ranks at most once per node so dependency cycles cannot loop forever
+    const rank = new Map(nodes.map(node => [node.exportId, 0]));
+    for (let pass = 0; pass < nodes.length; pass++) {
+        let changed = false;
+        edges.forEach(edge => {
+            if (rank.get(edge.target) < rank.get(edge.source) + 1) {
+                rank.set(edge.target, rank.get(edge.source) + 1);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+
+    const columns = new Map();
+    nodes.forEach(node => {
+        const r = rank.get(node.exportId);
+        const column = columns.get(r) || 0;
+        columns.set(r, column + 1);
+        positions.set(node.exportId, { x: column * 180, y: r * 120 });
+    });
+    return positions;
+}
+
+function exportGraphInterchange(format) {
+    const spec = GRAPH_INTERCHANGE_FORMATS[format];
+    if (buildLineageModel().nodes.size === 0) {
+        showToast('No graph to export', 'info');
+        return;
+    }
+
+    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, `_graph.${spec.extension}`);
+    downloadTextFile(spec.build(), fileName, spec.mimeType);
+    showToast(`Graph exported as ${spec.label} to ${fileName}`, 'success');
+}
@@ -0,0 +1,43 @@
+/**
+ * Graph Layout Worker
+ * Runs a Cytoscape layout on a headless copy of the graph off the main thread. Receives
+ * { id, options, nodes: [{ id, parent, width, height }], edges: [{ id, source, target }] }
+ * and posts { id, positions: { nodeId: { x, y } } } or { id, error }.
+ */
+
+// Same versions as index.html; cytoscape-dagre registers itself when Cytoscape is already loaded
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/dagre/0.8.5/dagre.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/cytoscape/3.28.1/cytoscape.min.js',
+    'https://cdn.jsdelivr.net/npm/cytoscape-dagre@2.5.0/cytoscape-dagre.min.js'
+);
+
+self.onmessage = (event) => {
+    const { id, options, nodes, edges } = event.data;
+
+    try {
+        const graph = cytoscape({
+            headless: true,
+            styleEnabled: true,
+            elements: {
+                nodes: nodes.map(node => ({ data: node })),
+                edges: edges.map(edge => ({ data: edge }))
+            },
+            // Sizes measured on the main thread, where the labels are rendered
+            style: [{ selector: 'node[width]', style: { width: 'data(width)', height: 'data(height)', shape: 'rectangle' } }]
+        });
+
+        const layout = graph.layout(Object.assign({}, options, { animate: false, fit: false }));
+        layout.promiseOn('layoutstop').then(() => {
+            const positions = {};
+            graph.nodes().forEach(node => {
+                if (!node.isParent()) positions[node.id()] = node.position();
+            });
+            self.postMessage({ id, positions });
+            graph.destroy();
+        });
+        layout.run();
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,546 @@
+/**
+ * Graph View
+ * Level-of-detail rendering for the dependency graph. Nodes can be grouped by datasource or by
+ * Data pane folder: a collapsed group is drawn as one node, an expanded group as a compound node
+ * around its members. A focus mode shows only the nodes within a few hops of the selection,
+ * a minimap shows where the viewport sits, and larger layouts are computed in a Web Worker.
+ */
+
+const GRAPH_GROUP_THRESHOLD = 300;   // Graphs with more nodes open grouped by datasource
+const GRAPH_LARGE_THRESHOLD = 1000;  // Graphs with more nodes hide edges and labels while panning
+const GRAPH_SMALL_LIMIT = 200;       // Views up to this size are laid out on the main thread, animated
+const GRAPH_LAYOUT_ANIMATION_MS = 500;
+const GRAPH_LAYOUT_WORKER_URL = 'js/analyzer/graph_layout_worker.js';
+
+let graphView = {
+    model: null,
+    groupBy: 'none',     // 'none', 'datasource' or 'folder'
+    expanded: new Set(), // IDs of the groups drawn as compound nodes
+    focus: null,         // Node ID the focus mode is centred on
+    hops: 2
+};
+
+let graphLayoutWorker = null; // undefined once the worker failed, so layouts stay on the main thread
+let graphLayoutJob = null;     // { id, resolve, options } while the worker computes a layout
+let graphLayoutRunning = null; // Layout being applied on the main thread
+let graphLayoutAnimatedUntil = 0;
+let graphLayoutRequest = 0;
+let graphMinimapFrame = null;
+let graphMinimapBounds = null;
+let graphMinimapTransform = null;
+
+/**
+ * Starts a new view for a freshly built lineage model. Large graphs open grouped by datasource.
+ * @param {{nodes: Map<string, object>, edges: Array<object>}} model - From buildLineageModel()
+ */
+function resetGraphView(model) {
+    graphView = {
+        model,
+        groupBy: model.nodes.size > GRAPH_GROUP_THRESHOLD ? 'datasource' : 'none',
+        expanded: new Set(),
+        focus: null,
+        hops: graphView.hops
+    };
+    syncGraphViewControls();
+}
+
+/**
+ * The group a lineage node falls into, or null when nodes are not grouped
+ * @returns {{id: string, label: string}|null}
+ */
+function getGraphGroup(node, groupBy) {
+    if (groupBy === 'none') return null;
+    if (node.type === 'worksheet') return { id: 'group:worksheets', label: 'Worksheets' };
+    if (node.type === 'dashboard') return { id: 'group:dashboards', label: 'Dashboards' };
+
+    const dsName = node.type === 'datasource' ? node.dataSource.name : node.field.dataSource;
+    const dsCaption = node.type === 'datasource' ? node.label : node.field.dataSourceCaption;
+    if (groupBy === 'folder' && node.type === 'field' && node.field.folder) {
+        return { id: `group:folder:${dsName}:${node.field.folder}`, label: `${node.field.folder} (${dsCaption})` };
+    }
+    return { id: `group:datasource:${dsName}`, label: dsCaption };
+}
+
+/**
+ * Cytoscape elements for the current view: collapsed groups stand in for their members, and
+ * edges between groups are merged into one edge carrying the number of connections
+ * @returns {Array<object>}
+ */
+function buildGraphViewElements() {
+    const model = graphView.model;
+
+    let focusIds = null;
+    if (graphView.focus) {
+        const impact = computeImpact(graphView.focus, graphView.hops);
+        if (impact) {
+            focusIds = new Set([graphView.focus, ...impact.upstream.map(n => n.id), ...impact.downstream.map(n => n.id)]);
+        } else {
+            graphView.focus = null;
+        }
+    }
+    // The focused neighbourhood is small enough to show without grouping
+    const groupBy = focusIds ? 'none' : graphView.groupBy;
+
+    const groups = new Map();
+    model.nodes.forEach(node => {
+        if (focusIds && !focusIds.has(node.id)) return;
+        const group = getGraphGroup(node, groupBy);
+        if (!group) return;
+        if (!groups.has(group.id)) groups.set(group.id, Object.assign(group, { members: [] }));
+        groups.get(group.id).members.push(node);
+    });
+
+    // Where each node is drawn: on its own, inside an expanded group, or as part of a collapsed one.
+    // A group of one is just its member.
+    const placement = new Map();
+    const parents = new Map();
+    const elements = [];
+    groups.forEach(group => {
+        if (group.members.length === 1) return;
+        const expanded = graphView.expanded.has(group.id);
+        elements.push(buildGraphGroupElement(group, expanded));
+        group.members.forEach(node => {
+            placement.set(node.id, expanded ? node.id : group.id);
+            if (expanded) parents.set(node.id, group.id);
+        });
+    });
+
+    model.nodes.forEach(node => {
+        if (focusIds && !focusIds.has(node.id)) return;
+        if (!placement.has(node.id)) placement.set(node.id, node.id);
+        if (placement.get(node.id) !== node.id) return;
+
+        const element = buildGraphNodeElement(node);
+        if (parents.has(node.id)) element.data.parent = parents.get(node.id);
+        elements.push(element);
+    });
+
+    const edges = new Map();
+    model.edges.forEach(edge => {
+        const source = placement.get(edge.source);
+        const target = placement.get(edge.target);
+        if (!source || !target) return;
+        // Connections inside a collapsed group are not drawn
+        if (source === target && (source !== edge.source || target !== edge.target)) return;
+
+        const id = `${source}->${target}`;
+        const existing = edges.get(id);
+        if (existing) {
+            existing.data.count++;
+            existing.data.label = String(existing.data.count);
+            return;
+        }
+        const aggregate = source !== edge.source || target !== edge.target;
+        edges.set(id, {
+            data: { id, source, target, count: 1, label: '' },
+            classes: aggregate ? `${edge.kind} aggregate` : edge.kind
+        });
+    });
+
+    return elements.concat(Array.from(edges.values()));
+}
+
+function buildGraphGroupElement(group, expanded) {
+    const fields = group.members.filter(node => node.type === 'field');
+    const issueCount = fields.filter(node => node.field.issues && node.field.issues.length > 0).length;
+    const name = group.label.length > 25 ? group.label.substring(0, 22) + '...' : group.label;
+    const details = [
+        `${group.members.length} nodes - ${expanded ? 'double-click to collapse' : 'click to expand'}`,
+        issueCount > 0 ? `${issueCount} with issues` : ''
+    ].filter(Boolean).join('\n');
+
+    return {
+        data: {
+            id: group.id,
+            label: expanded ? group.label : `${name}\n${group.members.length} nodes`,
+            fullName: group.label,
+            fieldType: 'Group',
+            details,
+            members: group.members.map(node => node.id),
+            memberNames: group.members.map(node => node.label.toLowerCase()).join('\n'),
+            hasFields: fields.length > 0
+        },
+        classes: `group ${expanded ? 'group-expanded' : 'group-collapsed'}` + (issueCount > 0 && !expanded ? ' has-issue' : '')
+    };
+}
+
+/**
+ * Replaces the graph elements with the current view and lays it out. Highlights, the diff
+ * overlay and the field filters are applied again afterwards.
+ * @returns {Promise<boolean>} Whether the layout was applied (false when a newer view replaced it)
+ */
+function drawGraphView() {
+    if (!cy || !graphView.model) return Promise.resolve(false);
+
+    const elements = buildGraphViewElements();
+    cy.batch(() => {
+        // Edges first: removing a node together with a pair of opposite edges in one call trips up Cytoscape
+        cy.edges().remove();
+        cy.nodes().remove();
+        cy.add(elements);
+    });
+    syncGraphViewControls();
+
+    return runGraphLayout().then(applied => {
+        if (!applied) return false;
+        applyDiffOverlay();
+        if (hasActiveFieldFilters()) applyFieldFilters();
+        if (impactState.result && cy.getElementById(impactState.nodeId).length > 0) {
+            highlightImpactInGraph(getVisibleImpact());
+        }
+        scheduleGraphMinimapDraw(true);
+        return true;
+    });
+}
+
+function getGraphGroupIds() {
+    const ids = new Set();
+    graphView.model.nodes.forEach(node => {
+        const group = getGraphGroup(node, graphView.groupBy);
+        if (group) ids.add(group.id);
+    });
+    return ids;
+}
+
+function changeGraphGrouping(groupBy) {
+    if (!cy) return;
+    graphView.groupBy = groupBy;
+    graphView.expanded.clear();
+    drawGraphView();
+}
+
+function expandGraphGroup(groupId) {
+    graphView.expanded.add(groupId);
+    return drawGraphView();
+}
+
+function collapseGraphGroup(groupId) {
+    graphView.expanded.delete(groupId);
+    return drawGraphView();
+}
+
+function expandAllGraphGroups() {
+    if (!cy || graphView.groupBy === 'none') return;
+    graphView.expanded = getGraphGroupIds();
+    drawGraphView();
+}
+
+function collapseAllGraphGroups() {
+    if (!cy || graphView.groupBy === 'none') return;
+    graphView.expanded.clear();
+    drawGraphView();
+}
+
+/**
+ * Makes sure a node is drawn on its own, leaving focus mode and expanding its group as needed
+ * @param {string} nodeId - Graph node ID
+ * @returns {boolean} Whether the view changed and has to be drawn again
+ */
+function revealGraphNode(nodeId) {
+    const model = graphView.model;
+    if (!model || !model.nodes.has(nodeId)) return false;
+
+    let changed = false;
+    if (graphView.focus) {
+        graphView.focus = null;
+        changed = true;
+    }
+    const group = getGraphGroup(model.nodes.get(nodeId), graphView.groupBy);
+    if (group && !graphView.expanded.has(group.id)) {
+        graphView.expanded.add(group.id);
+        changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Shows only the nodes within the given number of hops of the selected node
+ * @param {string|number} hops - Hop count, 0 to show the whole graph again
+ */
+function changeGraphFocus(hops) {
+    if (!cy) return;
+    const count = parseInt(hops, 10) || 0;
+    if (count === 0) {
+        clearGraphFocus();
+        return;
+    }
+
+    const nodeId = graphView.focus || impactState.nodeId;
+    if (!nodeId || !graphView.model.nodes.has(nodeId)) {
+        showToast('Select a node in the graph first', 'info');
+        syncGraphViewControls();
+        return;
+    }
+    graphView.hops = count;
+    graphView.focus = nodeId;
+    drawGraphView();
+}
+
+// In focus mode, selecting another node moves the focus to it
+function focusGraphOn(nodeId) {
+    if (!graphView.focus || graphView.focus === nodeId || !graphView.model.nodes.has(nodeId)) return;
+    graphView.focus = nodeId;
+    drawGraphView();
+}
+
+function clearGraphFocus() {
+    if (!graphView.focus) {
+        syncGraphViewControls();
+        return;
+    }
+    graphView.focus = null;
+    drawGraphView();
+}
+
+function syncGraphViewControls() {
+    const groupSelect = document.getElementById('graph-group-select');
+    if (groupSelect) groupSelect.value = graphView.groupBy;
+    const focusSelect = document.getElementById('graph-focus-select');
+    if (focusSelect) focusSelect.value = graphView.focus ? String(graphView.hops) : '0';
+
+    const banner = document.getElementById('graph-focus-banner');
+    if (!banner) return;
+    const node = graphView.focus && graphView.model ? graphView.model.nodes.get(graphView.focus) : null;
+    banner.classList.toggle('hidden', !node);
+    if (node) {
+        document.getElementById('graph-focus-label').textContent =
+            `${graphView.hops} hop${graphView.hops === 1 ? '' : 's'} around ${node.label}`;
+    }
+}
+
+function getGraphLayoutOptions(layoutName) {
+    const options = { name: layoutName };
+
+    if (layoutName === 'dagre') {
+        options.rankDir = 'TB'; // Top to Bottom
+        options.nodeSep = 100;
+        options.rankSep = 150;
+    } else if (layoutName === 'cose') {
+        // Optimized Cose parameters for better spacing
+        options.nodeRepulsion = 20000;
+        options.idealEdgeLength = 150;
+        options.edgeElasticity = 100;
+        options.numIter = 2000;
+        options.gravity = 1;
+        options.nodeOverlap = 20;
+    } else if (layoutName === 'breadthfirst') {
+        options.directed = true;
+        options.spacingFactor = 1.5;
+    }
+    return options;
+}
+
+/**
+ * Lays out the graph with the current layout. Small views are laid out here, animated; larger
+ * ones in the layout worker. A newer request makes a pending one obsolete.
+ * @returns {Promise<boolean>} Whether this layout was applied
+ */
+function runGraphLayout() {
+    if (!cy) return Promise.resolve(false);
+
+    const id = ++graphLayoutRequest;
+    const options = getGraphLayoutOptions(currentLayout);
+
+    if (graphLayoutRunning) {
+        graphLayoutRunning.stop();
+        graphLayoutRunning = null;
+    }
+    if (graphLayoutJob) {
+        // The worker is busy with a layout nobody needs any more
+        graphLayoutJob.resolve(false);
+        graphLayoutJob = null;
+        graphLayoutWorker.terminate();
+        graphLayoutWorker = null;
+    }
+
+    if (cy.nodes().length <= GRAPH_SMALL_LIMIT) {
+        // Cytoscape keeps track of animating nodes by ID and would never finish animating nodes
+        // drawn again while an earlier animation ran, so a layout that follows closely is not animated
+        const animate = Date.now() > graphLayoutAnimatedUntil;
+        if (animate) graphLayoutAnimatedUntil = Date.now() + GRAPH_LAYOUT_ANIMATION_MS + 100;
+        return runGraphLayoutOnMainThread(options, animate);
+    }
+
+    const worker = getGraphLayoutWorker();
+    if (!worker) return runGraphLayoutOnMainThread(options, false);
+
+    const nodes = cy.nodes().map(node => {
+        const data = { id: node.id() };
+        if (node.isChild()) data.parent = node.data('parent');
+        // Compound nodes take their size from their members
+        if (!node.isParent()) {
+            data.width = node.outerWidth();
+            data.height = node.outerHeight();
+        }
+        return data;
+    });
+    const edges = cy.edges().map(edge => ({ id: edge.id(), source: edge.data('source'), target: edge.data('target') }));
+
+    return new Promise(resolve => {
+        graphLayoutJob = { id, resolve, options };
+        worker.postMessage({ id, options, nodes, edges });
+    });
+}
+
+function getGraphLayoutWorker() {
+    if (graphLayoutWorker !== null) return graphLayoutWorker;
+    if (typeof Worker === 'undefined') {
+        graphLayoutWorker = undefined;
+        return undefined;
+    }
+
+    try {
+        graphLayoutWorker = new Worker(GRAPH_LAYOUT_WORKER_URL);
+    } catch (error) {
+        // file:// pages and strict CSPs refuse workers
+        graphLayoutWorker = undefined;
+        return undefined;
+    }
+
+    graphLayoutWorker.onmessage = (event) => {
+        const job = graphLayoutJob;
+        if (!job || event.data.id !== job.id) return;
+        graphLayoutJob = null;
+        if (event.data.error) {
+            console.warn('Layout worker failed, laying out on the main thread:', event.data.error);
+            runGraphLayoutOnMainThread(job.options, false).then(job.resolve);
+            return;
+        }
+        applyGraphPositions(event.data.positions).then(job.resolve);
+    };
+    // The worker could not start (e.g. its scripts failed to load): stay on the main thread from now on
+    graphLayoutWorker.onerror = (event) => {
+        event.preventDefault();
+        graphLayoutWorker.terminate();
+        graphLayoutWorker = undefined;
+        const job = graphLayoutJob;
+        graphLayoutJob = null;
+        if (job) runGraphLayoutOnMainThread(job.options, false).then(job.resolve);
+    };
+    return graphLayoutWorker;
+}
+
+function runGraphLayoutOnMainThread(options, animate) {
+    return startGraphLayout(cy.layout(Object.assign({}, options, { animate, animationDuration: GRAPH_LAYOUT_ANIMATION_MS })));
+}
+
+// Moves the nodes to positions computed by the worker; nodes added since (diff ghosts) stay put
+function applyGraphPositions(positions) {
+    return startGraphLayout(cy.nodes().filter(node => !node.isParent()).layout({
+        name: 'preset',
+        positions: node => positions[node.id()] || node.position(),
+        fit: true,
+        padding: 30
+    }));
+}
+
+// Resolves false when a newer layout stopped this one before it finished
+function startGraphLayout(layout) {
+    const id = graphLayoutRequest;
+    const done = layout.promiseOn('layoutstop').then(() => {
+        if (graphLayoutRunning === layout) graphLayoutRunning = null;
+        return id === graphLayoutRequest;
+    });
+    graphLayoutRunning = layout;
+    layout.run();
+    return done;
+}
+
+/**
+ * Redraws the minimap on the next animation frame
+ * @param {boolean} [boundsChanged] - The nodes moved, were added or were filtered
+ */
+function scheduleGraphMinimapDraw(boundsChanged = false) {
+    if (boundsChanged) graphMinimapBounds = null;
+    if (graphMinimapFrame !== null) return;
+    const requestFrame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+    graphMinimapFrame = requestFrame(() => {
+        graphMinimapFrame = null;
+        drawGraphMinimap();
+    });
+}
+
+function drawGraphMinimap() {
+    const container = document.getElementById('graph-minimap');
+    const canvas = document.getElementById('graph-minimap-canvas');
+    if (!container || !canvas) return;
+
+    const nodes = cy ? cy.nodes().filter(node => !node.isParent() && !node.hasClass('filtered-out')) : null;
+    container.classList.toggle('hidden', !nodes || nodes.length === 0);
+    if (!nodes || nodes.length === 0) return;
+
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+
+    if (!graphMinimapBounds) graphMinimapBounds = nodes.boundingBox();
+    const bounds = graphMinimapBounds;
+    const scale = Math.min(canvas.width / Math.max(bounds.w, 1), canvas.height / Math.max(bounds.h, 1)) * 0.9;
+    const offsetX = (canvas.width - bounds.w * scale) / 2;
+    const offsetY = (canvas.height - bounds.h * scale) / 2;
+    graphMinimapTransform = { bounds, scale, offsetX, offsetY };
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    nodes.forEach(node => {
+        const position = node.position();
+        const size = node.hasClass('group') ? 6 : 3;
+        context.fillStyle = getGraphMinimapColor(node);
+        context.fillRect(
+            offsetX + (position.x - bounds.x1) * scale - size / 2,
+            offsetY + (position.y - bounds.y1) * scale - size / 2,
+            size, size
+        );
+    });
+
+    const extent = cy.extent();
+    context.strokeStyle = '#EF4444';
+    context.lineWidth = 1.5;
+    context.strokeRect(
+        offsetX + (extent.x1 - bounds.x1) * scale,
+        offsetY + (extent.y1 - bounds.y1) * scale,
+        extent.w * scale,
+        extent.h * scale
+    );
+}
+
+function getGraphMinimapColor(node) {
+    if (node.hasClass('group')) return '#64748B';
+    const nodeClass = Object.keys(LINEAGE_NODE_COLORS).find(name => node.hasClass(name)) || 'unknown';
+    return LINEAGE_NODE_COLORS[nodeClass][0];
+}
+
+// Centres the viewport on the point of the minimap under the pointer
+function panGraphFromMinimap(event) {
+    if (!cy || !graphMinimapTransform) return;
+    const { bounds, scale, offsetX, offsetY } = graphMinimapTransform;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = bounds.x1 + (event.clientX - rect.left - offsetX) / scale;
+    const y = bounds.y1 + (event.clientY - rect.top - offsetY) / scale;
+    const zoom = cy.zoom();
+    cy.pan({ x: cy.width() / 2 - x * zoom, y: cy.height() / 2 - y * zoom });
+}
+
+/**
+ * Wires the view to a new Cytoscape instance: minimap updates and expanding or collapsing groups
+ */
+function bindGraphViewEvents() {
+    cy.on('viewport', () => scheduleGraphMinimapDraw());
+    cy.on('layoutstop', () => scheduleGraphMinimapDraw(true));
+
+    // Collapsed groups open on click, expanded groups close on double-click
+    cy.on('tap', 'node.group-collapsed', evt => {
+        if (evt.target.hasClass('group-collapsed')) expandGraphGroup(evt.target.id());
+    });
+    cy.on('dbltap', 'node.group-expanded', evt => {
+        if (evt.target.hasClass('group-expanded')) collapseGraphGroup(evt.target.id());
+    });
+}
+
+const graphMinimapCanvas = document.getElementById('graph-minimap-canvas');
+if (graphMinimapCanvas) {
+    graphMinimapCanvas.addEventListener('pointerdown', panGraphFromMinimap);
+    graphMinimapCanvas.addEventListener('pointermove', event => {
+        if (event.buttons & 1) panGraphFromMinimap(event);
+    });
+}
@@ -0,0 +1,206 @@
+/**
+ * Impact Analysis Panel
+ * Lists the transitive upstream inputs and downstream dependents of the selected graph node
+ */
+
+let impactState = {
+    nodeId: null,
+    depth: 0,
+    maxDepth: 0,
+    result: null
+};
+
+/**
+ * Walks the lineage graph in both directions from a node, recording the shortest hop distance
+ * @param {string} nodeId - Graph node ID (field key, or datasource/worksheet/dashboard ID)
+ * @param {number} [maxDepth] - Stop after this many hops (unlimited when omitted)
+ * @returns {{node: object, upstream: Array<object>, downstream: Array<object>}|null}
+ */
+function computeImpact(nodeId, maxDepth = Infinity) {
+    const model = buildLineageModel();
+    const node = model.nodes.get(nodeId);
+    if (!node) return null;
+
+    const inputsOf = new Map();
+    const outputsOf = new Map();
+    model.edges.forEach(edge => {
+        if (!inputsOf.has(edge.target)) inputsOf.set(edge.target, []);
+        if (!outputsOf.has(edge.source)) outputsOf.set(edge.source, []);
+        inputsOf.get(edge.target).push(edge.source);
+        outputsOf.get(edge.source).push(edge.target);
+    });
+
+    const walk = (neighbours) => {
+        const hops = new Map([[nodeId, 0]]);
+        let frontier = [nodeId];
+        let depth = 0;
+
+        while (frontier.length > 0 && depth < maxDepth) {
+            depth++;
+            const next = [];
+            frontier.forEach(id => {
+                (neighbours.get(id) || []).forEach(neighbour => {
+                    if (!hops.has(neighbour)) {
+                        hops.set(neighbour, depth);
+                        next.push(neighbour);
+                    }
+                });
+            });
+            frontier = next;
+        }
+
+        hops.delete(nodeId);
+        return Array.from(hops.entries())
+            .map(([id, distance]) => Object.assign(describeImpactNode(model.nodes.get(id)), { hops: distance }))
+            .sort((a, b) => a.hops - b.hops || a.name.localeCompare(b.name));
+    };
+
+    return {
+        node: describeImpactNode(node),
+        upstream: walk(inputsOf),
+        downstream: walk(outputsOf)
+    };
+}
+
+function describeImpactNode(node) {
+    if (node.type === 'field') {
+        const field = node.field;
+        return {
+            id: node.id,
+            name: field.name,
+            type: field.fieldType,
+            dataSource: field.dataSourceCaption
+        };
+    }
+
+    const typeLabels = { datasource: 'Data Source', worksheet: 'Worksheet', dashboard: 'Dashboard' };
+    return { id: node.id, name: node.label, type: typeLabels[node.type], dataSource: '' };
+}
+
+/**
+ * Opens the impact panel for a node, showing everything it reaches
+ * @param {string} nodeId - Graph node ID
+ */
+function showImpactPanel(nodeId) {
+    const panel = document.getElementById('impact-panel');
+    if (!panel) return;
+
+    const full = computeImpact(nodeId);
+    if (!full) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const maxDepth = Math.max(1, ...full.upstream.map(n => n.hops), ...full.downstream.map(n => n.hops));
+    impactState = { nodeId, depth: maxDepth, maxDepth, result: full };
+
+    const renameButton = document.getElementById('impact-rename');
+    if (renameButton) renameButton.classList.toggle('hidden', !canRenameField(parsedData.fields.find(f => f.key === nodeId)));
+
+    const slider = document.getElementById('impact-depth');
+    slider.max = maxDepth;
+    slider.value = maxDepth;
+
+    panel.classList.remove('hidden');
+    renderImpactPanel();
+}
+
+function changeImpactDepth(value) {
+    if (!impactState.result) return;
+    impactState.depth = parseInt(value, 10);
+    renderImpactPanel();
+}
+
+function getVisibleImpact() {
+    const depth = impactState.depth;
+    return {
+        upstream: impactState.result.upstream.filter(n => n.hops <= depth),
+        downstream: impactState.result.downstream.filter(n => n.hops <= depth)
+    };
+}
+
+function renderImpactPanel() {
+    const { result, depth } = impactState;
+    const visible = getVisibleImpact();
+
+    document.getElementById('impact-title').textContent = `${result.node.name} (${result.node.type})`;
+    document.getElementById('impact-depth-label').textContent = `${depth} hop${depth === 1 ? '' : 's'}`;
+    document.getElementById('impact-upstream-count').textContent = visible.upstream.length;
+    document.getElementById('impact-downstream-count').textContent = visible.downstream.length;
+
+    const renderList = (items, emptyText) => {
+        if (items.length === 0) {
+            return `<p class="text-sm text-gray-400 py-4 text-center">${emptyText}</p>`;
+        }
+        return items.map(item => `
+          <button data-node-id="${escapeHtml(item.id)}"
+            class="w-full flex items-center gap-3 px-3 py-2 text-left rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors">
+            <span class="inline-flex h-6 min-w-[1.5rem] items-center justify-center rounded-full bg-gray-100 text-xs font-bold text-gray-600 dark:bg-gray-800 dark:text-gray-300">${item.hops}</span>
+            <span class="flex-grow truncate text-sm font-medium text-gray-900 dark:text-white">${escapeHtml(item.name)}</span>
+            <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getFieldTypeColor(item.type)}">${escapeHtml(item.type)}</span>
+          </button>
+        `).join('');
+    };
+
+    document.getElementById('impact-upstream').innerHTML = renderList(visible.upstream, 'No upstream inputs');
+    document.getElementById('impact-downstream').innerHTML = renderList(visible.downstream, 'Nothing depends on this');
+    document.querySelectorAll('#impact-panel [data-node-id]').forEach(button => {
+        button.onclick = () => showImpactPanel(button.getAttribute('data-node-id'));
+    });
+
+    highlightImpactInGraph(visible);
+}
+
+// Highlights the selected node with everything within the current depth
+function highlightImpactInGraph(visible) {
+    if (!cy) return;
+
+    const ids = new Set([impactState.nodeId, ...visible.upstream.map(n => n.id), ...visible.downstream.map(n => n.id)]);
+    // Collapsed groups light up when they hold part of the chain, the selected node included
+    const nodes = cy.nodes().filter(n => ids.has(n.id()) ||
+        (n.hasClass('group-collapsed') && n.data('members').some(id => ids.has(id))));
+    if (nodes.length === 0) return;
+    const edges = nodes.edgesWith(nodes);
+
+    cy.elements().removeClass('highlighted dimmed').addClass('dimmed');
+    nodes.removeClass('dimmed').addClass('highlighted');
+    edges.removeClass('dimmed').addClass('highlighted');
+}
+
+function closeImpactPanel() {
+    const panel = document.getElementById('impact-panel');
+    if (panel) panel.classList.add('hidden');
+    impactState = { nodeId: null, depth: 0, maxDepth: 0, result: null };
+    if (cy) cy.elements().removeClass('highlighted dimmed');
+}
+
+// Export the impact list (within the current depth) to Excel
+function exportImpact() {
+    if (!impactState.result) {
+        showToast('Select a node in the graph first', 'info');
+        return;
+    }
+
+    const visible = getVisibleImpact();
+    const toRow = (direction) => (item) => ({
+        'Direction': direction,
+        'Hops': item.hops,
+        'Name': item.name,
+        'Type': item.type,
+        'Data Source': item.dataSource || '-',
+        'ID': item.id
+    });
+    const exportData = [
+        ...visible.upstream.map(toRow('Upstream')),
+        ...visible.downstream.map(toRow('Downstream'))
+    ];
+
+    const ws = XLSX.utils.json_to_sheet(exportData);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Impact');
+
+    const safeName = impactState.result.node.name.replace(/[\\/:*?"<>|]/g, '_');
+    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, `_impact_${safeName}.xlsx`);
+    XLSX.writeFile(wb, fileName);
+    showToast(`Exported impact of ${impactState.result.node.name} to ${fileName}`, 'success');
+}
@@ -0,0 +1,506 @@
+/**
+ * Formula Lint
+ * Rules over calculated field formulas: complexity metrics (nesting depth, referenced fields,
+ * calculation chain depth) and patterns that are slow or hard to maintain. Each calculation gets
+ * a score from 0 to 100; rules can be switched off individually.
+ */
+
+const LINT_THRESHOLDS = {
+    nestingDepth: 4,
+    referencedFields: 8,
+    chainDepth: 3,
+    stringOperations: 3,
+    ifChainBranches: 3
+};
+
+// Score deduction per finding
+const LINT_SEVERITY_PENALTIES = {
+    warning: 15,
+    info: 5
+};
+
+const LINT_STRING_FUNCTIONS = new Set([
+    'ASCII', 'CHAR', 'CONTAINS', 'ENDSWITH', 'FIND', 'FINDNTH', 'LEFT', 'LEN', 'LOWER', 'LTRIM', 'MID',
+    'PROPER', 'REGEXP_EXTRACT', 'REGEXP_EXTRACT_NTH', 'REGEXP_MATCH', 'REGEXP_REPLACE', 'REPLACE',
+    'RIGHT', 'RTRIM', 'SPACE', 'SPLIT', 'STARTSWITH', 'STR', 'TRIM', 'UPPER'
+]);
+
+const LINT_DATE_FUNCTIONS = new Set(['DATE', 'DATETIME', 'MAKEDATE', 'MAKEDATETIME', 'DATEPARSE']);
+
+// Numbers that are rarely worth naming, and functions whose numeric arguments are positions or offsets
+const LINT_ALLOWED_NUMBERS = new Set([0, 1, 100]);
+const LINT_POSITIONAL_FUNCTIONS = new Set([
+    'LEFT', 'RIGHT', 'MID', 'FIND', 'FINDNTH', 'SPLIT', 'ROUND', 'LOOKUP', 'PREVIOUS_VALUE', 'REGEXP_EXTRACT_NTH'
+]);
+
+// Names that usually identify individual records: Order ID, Customer_Key, CustomerEmail, Invoice No
+const LINT_HIGH_CARDINALITY_NAMES = [
+    /(^|[\s_.\-])(id|key|guid|uuid|email|e-mail|number|no)$/i,
+    /[a-z](ID|Id|Key|Email|Number)$/
+];
+
+const LINT_RULES = [
+    {
+        id: 'deep-nesting',
+        label: 'Deep nesting',
+        description: `Functions, IF/CASE blocks and LOD expressions nested more than ${LINT_THRESHOLDS.nestingDepth} levels deep`,
+        severity: 'info',
+        check: (field, ctx) => ctx.metrics.nestingDepth > LINT_THRESHOLDS.nestingDepth
+            ? [{ message: `Nested ${ctx.metrics.nestingDepth} levels deep; split it into smaller calculations` }]
+            : []
+    },
+    {
+        id: 'many-references',
+        label: 'Many referenced fields',
+        description: `References more than ${LINT_THRESHOLDS.referencedFields} different fields`,
+        severity: 'info',
+        check: (field, ctx) => ctx.metrics.referencedFields > LINT_THRESHOLDS.referencedFields
+            ? [{ message: `References ${ctx.metrics.referencedFields} fields` }]
+            : []
+    },
+    {
+        id: 'long-chain',
+        label: 'Long calculation chain',
+        description: `Built on more than ${LINT_THRESHOLDS.chainDepth} levels of other calculations`,
+        severity: 'info',
+        check: (field, ctx) => ctx.metrics.chainDepth > LINT_THRESHOLDS.chainDepth
+            ? [{ message: `Sits on a chain of ${ctx.metrics.chainDepth} calculations; changes upstream are hard to trace` }]
+            : []
+    },
+    {
+        id: 'string-logic-in-measure',
+        label: 'String logic in measure',
+        description: 'Measures doing string functions or string comparisons, which run for every row',
+        severity: 'warning',
+        check: checkStringLogicInMeasure
+    },
+    {
+        id: 'if-chain-to-case',
+        label: 'IF chain could be CASE',
+        description: `IF/ELSEIF chains of ${LINT_THRESHOLDS.ifChainBranches} or more tests comparing the same expression to a value`,
+        severity: 'warning',
+        check: checkIfChainToCase
+    },
+    {
+        id: 'countd-high-cardinality',
+        label: 'COUNTD over high-cardinality field',
+        description: 'COUNTD over fields named like IDs, keys or e-mail addresses (by name, not by data)',
+        severity: 'warning',
+        check: checkCountdHighCardinality
+    },
+    {
+        id: 'hard-coded-date',
+        label: 'Hard-coded date',
+        description: 'Date literals such as #2024-01-01# or DATE("2024-01-01")',
+        severity: 'warning',
+        check: checkHardCodedDates
+    },
+    {
+        id: 'magic-number',
+        label: 'Magic number',
+        description: 'Numeric literals other than 0, 1 and 100 that are not string positions or offsets',
+        severity: 'info',
+        check: checkMagicNumbers
+    }
+];
+
+// IDs of rules switched off in the Lint tab
+const lintState = {
+    disabledRules: new Set()
+};
+
+/**
+ * Computes metrics and runs the enabled rules on every calculated field, setting `field.lint`
+ * to {score, metrics: {nestingDepth, referencedFields, chainDepth}, findings} (null for other fields).
+ * Builds parsedData.lintFindings, one entry per finding across the workbook.
+ * Must run after analyzeDependencies().
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function analyzeLint(fieldIndex) {
+    parsedData.lintFindings = [];
+    const chainDepths = computeCalcChainDepths(fieldIndex);
+    const rules = LINT_RULES.filter(rule => !lintState.disabledRules.has(rule.id));
+    const inputsOf = buildDependencyInputs();
+
+    parsedData.fields.forEach(field => {
+        field.lint = null;
+        if (!field.isCalculated || !field.parsedFormula) return;
+
+        const ast = field.parsedFormula.ast;
+        const metrics = {
+            nestingDepth: ast ? getCalcNestingDepth(ast) : 0,
+            referencedFields: new Set(inputsOf.get(field.key)).size,
+            chainDepth: chainDepths.get(field.key) || 0
+        };
+        const ctx = { ast, source: field.parsedFormula.source, metrics, fieldIndex };
+
+        const findings = [];
+        rules.forEach(rule => {
+            rule.check(field, ctx).forEach(finding => {
+                findings.push({
+                    rule: rule.id,
+                    label: rule.label,
+                    severity: rule.severity,
+                    message: finding.message,
+                    excerpt: finding.node ? formatLintExcerpt(field, finding.node, fieldIndex) : ''
+                });
+            });
+        });
+
+        const penalty = findings.reduce((sum, finding) => sum + LINT_SEVERITY_PENALTIES[finding.severity], 0);
+        field.lint = { score: Math.max(0, 100 - penalty), metrics, findings };
+
+        findings.forEach(finding => {
+            parsedData.lintFindings.push(Object.assign({
+                fieldKey: field.key,
+                fieldName: field.name,
+                dataSource: field.dataSourceCaption
+            }, finding));
+        });
+    });
+}
+
+// Levels of functions, IF/CASE blocks and LOD expressions; operators and literals do not count
+function getCalcNestingDepth(node) {
+    const nests = ['FunctionCall', 'IfExpr', 'CaseExpr', 'LodExpr'].includes(node.type);
+    const childDepth = calcAstChildren(node).reduce((max, child) => Math.max(max, getCalcNestingDepth(child)), 0);
+    return childDepth + (nests ? 1 : 0);
+}
+
+/**
+ * Longest run of calculations each calculated field is built on: 0 when it only uses raw fields
+ * and parameters, 1 when it uses a calculation that does, and so on. Cycles count once.
+ * @returns {Map<string, number>} Depth per field key
+ */
+function computeCalcChainDepths(fieldIndex) {
+    const calcInputsOf = new Map();
+    parsedData.dependencies.forEach(dep => {
+        const input = fieldIndex.byKey.get(dep.from);
+        if (!input || !input.isCalculated) return;
+        if (!calcInputsOf.has(dep.to)) calcInputsOf.set(dep.to, []);
+        calcInputsOf.get(dep.to).push(dep.from);
+    });
+
+    const depths = new Map();
+    const visiting = new Set();
+    const depthOf = (key) => {
+        if (depths.has(key)) return depths.get(key);
+        if (visiting.has(key)) return 0;
+        visiting.add(key);
+        const depth = (calcInputsOf.get(key) || []).reduce((max, input) => Math.max(max, depthOf(input) + 1), 0);
+        visiting.delete(key);
+        depths.set(key, depth);
+        return depth;
+    };
+
+    parsedData.fields.forEach(field => {
+        if (field.isCalculated) depthOf(field.key);
+    });
+    return depths;
+}
+
+function checkStringLogicInMeasure(field, ctx) {
+    if (!ctx.ast || field.role !== 'measure') return [];
+
+    const functions = new Set();
+    let operations = 0;
+    walkCalcAst(ctx.ast, node => {
+        if (node.type === 'FunctionCall' && LINT_STRING_FUNCTIONS.has(node.name)) {
+            functions.add(node.name);
+            operations++;
+        } else if (node.type === 'BinaryExpr' && CALC_COMPARISON_OPERATORS.has(node.operator) &&
+            [node.left, node.right].some(side => isLintLiteral(side, 'string'))) {
+            operations++;
+        } else if (node.type === 'CaseExpr' && node.cases.some(c => c.tests.some(test => isLintLiteral(test, 'string')))) {
+            operations++;
+        }
+    });
+
+    if (operations < LINT_THRESHOLDS.stringOperations) return [];
+    const names = functions.size > 0 ? ` (${Array.from(functions).join(', ')})` : '';
+    return [{
+        message: `Measure does ${operations} string operations${names} for every row; move the string logic into a dimension or compare codes instead`
+    }];
+}
+
+function checkIfChainToCase(field, ctx) {
+    if (!ctx.ast) return [];
+
+    const findings = [];
+    const inChain = new Set();
+    walkCalcAst(ctx.ast, node => {
+        if (node.type !== 'IfExpr' || inChain.has(node)) return;
+
+        // IF … ELSEIF … and IF … ELSE IF … END END both read as one chain
+        const tests = [];
+        let current = node;
+        while (current && current.type === 'IfExpr') {
+            inChain.add(current);
+            current.branches.forEach(branch => tests.push(branch.test));
+            current = current.alternate;
+        }
+        if (tests.length < LINT_THRESHOLDS.ifChainBranches) return;
+
+        const subjects = tests.map(test => getEqualitySubject(test, ctx.source));
+        if (subjects.every(subject => subject && subject === subjects[0])) {
+            findings.push({
+                message: `${tests.length} tests compare the same expression to a value; a CASE statement is shorter and evaluates once`,
+                node
+            });
+        }
+    });
+    return findings;
+}
+
+// Normalized text of X in `X = literal` (or `literal = X`), or null for any other test
+function getEqualitySubject(test, source) {
+    if (test.type !== 'BinaryExpr' || (test.operator !== '=' && test.operator !== '==')) return null;
+    const leftLiteral = isLintLiteral(test.left);
+    const rightLiteral = isLintLiteral(test.right);
+    if (leftLiteral === rightLiteral) return null;
+
+    const subject = rightLiteral ? test.left : test.right;
+    return subject.type === 'FieldRef'
+        ? `${subject.datasource || ''}.${subject.name}`.toLowerCase()
+        : source.slice(subject.start, subject.end).replace(/\s+/g, '').toUpperCase();
+}
+
+function checkCountdHighCardinality(field, ctx) {
+    if (!ctx.ast) return [];
+
+    const findings = [];
+    walkCalcAst(ctx.ast, node => {
+        if (node.type !== 'FunctionCall' || node.name !== 'COUNTD') return;
+        const arg = node.args[0];
+        if (!arg || arg.type !== 'FieldRef') return;
+
+        const target = resolveFieldRef(arg, field, ctx.fieldIndex);
+        const name = target ? target.name : arg.name;
+        if (LINT_HIGH_CARDINALITY_NAMES.some(pattern => pattern.test(name.trim()))) {
+            findings.push({
+                message: `COUNTD over [${name}], which looks like a record identifier; distinct counts of high-cardinality fields are slow on large data`,
+                node
+            });
+        }
+    });
+    return findings;
+}
+
+function checkHardCodedDates(field, ctx) {
+    if (!ctx.ast) return [];
+
+    const findings = [];
+    walkCalcAst(ctx.ast, node => {
+        if (isLintLiteral(node, 'date')) {
+            findings.push({ message: `Hard-coded date #${node.value}#; use a parameter or a date relative to TODAY()`, node });
+            return false;
+        }
+        if (node.type === 'FunctionCall' && LINT_DATE_FUNCTIONS.has(node.name) &&
+            node.args.length > 0 && node.args.every(arg => isLintLiteral(arg))) {
+            findings.push({ message: `Hard-coded date ${node.name}(…); use a parameter or a date relative to TODAY()`, node });
+            return false;
+        }
+    });
+    return findings;
+}
+
+function checkMagicNumbers(field, ctx) {
+    const ast = ctx.ast;
+    // A formula that is only a number is already a named constant
+    if (!ast || ast.type === 'Literal') return [];
+
+    const findings = [];
+    const reported = new Set();
+    walkCalcAst(ast, (node, parent) => {
+        // Literals inside hard-coded dates are reported by hard-coded-date
+        if (node.type === 'FunctionCall' && LINT_DATE_FUNCTIONS.has(node.name) && node.args.every(arg => isLintLiteral(arg))) return false;
+        if (!isLintLiteral(node, 'number') || LINT_ALLOWED_NUMBERS.has(node.value) || reported.has(node.value)) return;
+        if (parent && parent.type === 'FunctionCall' &&
+            (LINT_POSITIONAL_FUNCTIONS.has(parent.name) || parent.name.startsWith('WINDOW_')) && parent.args[0] !== node) return;
+
+        reported.add(node.value);
+        findings.push({ message: `Magic number ${node.raw}; name it with a parameter or explain it in a comment`, node });
+    });
+    return findings;
+}
+
+function isLintLiteral(node, valueType) {
+    if (!node) return false;
+    // -5 parses as a unary minus around a literal
+    if (node.type === 'UnaryExpr' && node.operator === '-') return isLintLiteral(node.argument, valueType);
+    return node.type === 'Literal' && node.valueType !== 'null' && (!valueType || node.valueType === valueType);
+}
+
+// Formula text of an AST node with field IDs shown as captions, on one line
+function formatLintExcerpt(field, node, fieldIndex) {
+    const source = field.parsedFormula.source;
+    let text = '';
+    let cursor = node.start;
+    getCalcFieldRefs(field.parsedFormula)
+        .filter(ref => ref.start >= node.start && ref.end <= node.end)
+        .sort((a, b) => a.start - b.start)
+        .forEach(ref => {
+            const refField = resolveFieldRef(ref, field, fieldIndex);
+            text += source.slice(cursor, ref.start) + (refField ? formatCalcFieldRef(refField.name) : ref.raw);
+            cursor = ref.end;
+        });
+    text += source.slice(cursor, node.end);
+
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > 120 ? line.slice(0, 117) + '…' : line;
+}
+
+function toggleLintRule(ruleId) {
+    if (lintState.disabledRules.has(ruleId)) {
+        lintState.disabledRules.delete(ruleId);
+    } else {
+        lintState.disabledRules.add(ruleId);
+    }
+    if (parsedData.fields.length === 0) {
+        renderLint();
+        return;
+    }
+    analyzeLint(buildFieldIndex());
+    renderLint();
+    // Re-sorts too when the table is sorted by score
+    refreshFieldTable();
+}
+
+function getLintScoreColor(score) {
+    if (score >= 80) return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+    if (score >= 50) return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
+    return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+}
+
+/**
+ * Score cell content for the fields table
+ * @param {object} field - A parsed field
+ * @returns {string} HTML
+ */
+function renderLintScoreCell(field) {
+    if (!field.lint) return '-';
+    return `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-bold ${getLintScoreColor(field.lint.score)}">${field.lint.score}</span>`;
+}
+
+function describeLintFindings(field) {
+    if (!field.lint) return '';
+    const { nestingDepth, referencedFields, chainDepth } = field.lint.metrics;
+    return [
+        `Nesting ${nestingDepth} · ${referencedFields} fields · chain ${chainDepth}`,
+        ...field.lint.findings.map(finding => `${finding.label}: ${finding.message}`)
+    ].join('\n');
+}
+
+function renderLint() {
+    const rulesPanel = document.getElementById('lint-rules');
+    const list = document.getElementById('lint-list');
+    const count = document.getElementById('lint-count');
+    if (!rulesPanel || !list) return;
+
+    const findings = parsedData.lintFindings || [];
+    const countsByRule = new Map();
+    findings.forEach(finding => countsByRule.set(finding.rule, (countsByRule.get(finding.rule) || 0) + 1));
+
+    if (count) {
+        count.textContent = findings.length;
+        count.classList.toggle('hidden', findings.length === 0);
+    }
+
+    rulesPanel.innerHTML = LINT_RULES.map(rule => `
+      <label class="flex items-start gap-2 py-1 text-sm cursor-pointer" title="${escapeHtml(rule.description)}">
+        <input type="checkbox" data-lint-rule="${rule.id}" ${lintState.disabledRules.has(rule.id) ? '' : 'checked'}
+          class="mt-0.5 rounded border-gray-300 text-primary-500 focus:ring-primary-500" />
+        <span class="flex-grow text-gray-700 dark:text-gray-200">${rule.label}</span>
+        <span class="text-xs font-bold text-gray-400">${countsByRule.get(rule.id) || 0}</span>
+      </label>
+    `).join('');
+    rulesPanel.querySelectorAll('[data-lint-rule]').forEach(input => {
+        input.onchange = () => toggleLintRule(input.getAttribute('data-lint-rule'));
+    });
+
+    if (parsedData.fields.length === 0) {
+        list.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50">checklist</span>
+        <p>Upload a file to lint formulas</p>
+      </div>
+    `;
+        return;
+    }
+    if (findings.length === 0) {
+        list.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50 text-green-500">task_alt</span>
+        <p>No findings from the enabled rules</p>
+      </div>
+    `;
+        return;
+    }
+
+    list.innerHTML = findings.map((finding, i) => `
+      <div data-lint-index="${i}" class="px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
+        <div class="flex items-center gap-2 flex-wrap">
+          <span class="material-symbols-outlined text-lg ${finding.severity === 'warning' ? 'text-primary-500' : 'text-blue-500'}">${finding.severity === 'warning' ? 'warning' : 'info'}</span>
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${finding.severity === 'warning' ? 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200' : 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'}">
+            ${finding.label}
+          </span>
+          <span class="text-sm font-bold text-gray-900 dark:text-white">${escapeHtml(finding.fieldName)}</span>
+          <span class="text-xs text-gray-400">${escapeHtml(finding.dataSource)}</span>
+        </div>
+        <p class="mt-1 text-sm text-gray-600 dark:text-gray-300">${escapeHtml(finding.message)}</p>
+        ${finding.excerpt ? `<pre class="mt-2 p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${escapeHtml(finding.excerpt)}</pre>` : ''}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-lint-index]').forEach(item => {
+        item.onclick = () => showFieldDetails(findings[parseInt(item.getAttribute('data-lint-index'), 10)].fieldKey);
+    });
+}
+
+// Export scores and findings of the enabled rules to Excel
+function exportLintReport() {
+    const calcs = parsedData.fields.filter(field => field.lint);
+    if (calcs.length === 0) {
+        showToast('No calculated fields to lint', 'info');
+        return;
+    }
+
+    const enabled = LINT_RULES.filter(rule => !lintState.disabledRules.has(rule.id));
+    const scores = calcs.map(field => ({
+        'Field ID': field.key,
+        'Name': field.name,
+        'Data Source': field.dataSourceCaption,
+        'Score': field.lint.score,
+        'Nesting Depth': field.lint.metrics.nestingDepth,
+        'Referenced Fields': field.lint.metrics.referencedFields,
+        'Chain Depth': field.lint.metrics.chainDepth,
+        'Findings': field.lint.findings.length,
+        'Formula': field.formula
+    })).sort((a, b) => a['Score'] - b['Score']);
+
+    const findings = parsedData.lintFindings.map(finding => ({
+        'Field ID': finding.fieldKey,
+        'Name': finding.fieldName,
+        'Data Source': finding.dataSource,
+        'Rule': finding.label,
+        'Severity': finding.severity,
+        'Message': finding.message,
+        'Excerpt': finding.excerpt
+    }));
+
+    const rules = LINT_RULES.map(rule => ({
+        'Rule': rule.label,
+        'Severity': rule.severity,
+        'Enabled': enabled.includes(rule),
+        'Description': rule.description
+    }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(scores), 'Scores');
+    XLSX.utils.book_append_sheet(wb, findings.length > 0 ? XLSX.utils.json_to_sheet(findings) : XLSX.utils.aoa_to_sheet([['No findings from the enabled rules']]), 'Findings');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rules), 'Rules');
+
+    const fileName = parsedData.workbookName.replace(/\.(twb|twbx)$/, '_lint.xlsx');
+    XLSX.writeFile(wb, fileName);
+    showToast(`Exported lint report for ${calcs.length} calculations to ${fileName}`, 'success');
+}
@@ -0,0 +1,139 @@
+/**
+ * Parameters
+ * Reads parameter definitions (domain, allowed values, current value) and lists the calculations using them
+ */
+
+const PARAMETER_DOMAIN_LABELS = {
+    list: 'List',
+    range: 'Range',
+    all: 'All'
+};
+
+/**
+ * Builds parsedData.parameters from the columns of the Parameters datasource.
+ * Must run after analyzeDependencies() so each parameter knows which calculations reference it.
+ * @param {Document} xmlDoc - The parsed workbook
+ */
+function parseParameters(xmlDoc) {
+    parsedData.parameters = [];
+
+    const paramDs = Array.from(xmlDoc.getElementsByTagName('datasource'))
+        .find(ds => ds.getAttribute('name') === 'Parameters' && ds.getElementsByTagName('column').length > 0);
+    if (!paramDs) return;
+
+    Array.from(paramDs.getElementsByTagName('column')).forEach(column => {
+        const fieldId = column.getAttribute('name');
+        if (!fieldId) return;
+
+        const key = makeFieldKey('Parameters', fieldId);
+        const domain = column.getAttribute('param-domain-type') || 'any';
+        const calculationNode = column.getElementsByTagName('calculation')[0];
+        const rawValue = column.getAttribute('value') || (calculationNode ? calculationNode.getAttribute('formula') : '') || '';
+
+        const allowedValues = Array.from(column.getElementsByTagName('member')).map(member => ({
+            value: decodeCalcLiteral(member.getAttribute('value') || ''),
+            alias: member.getAttribute('alias') || ''
+        }));
+
+        const rangeNode = column.getElementsByTagName('range')[0];
+        const range = rangeNode ? {
+            min: decodeCalcLiteral(rangeNode.getAttribute('min') || ''),
+            max: decodeCalcLiteral(rangeNode.getAttribute('max') || ''),
+            granularity: rangeNode.getAttribute('granularity') || rangeNode.getAttribute('period-type') || ''
+        } : null;
+
+        const referencedBy = parsedData.dependencies
+            .filter(dep => dep.from === key)
+            .map(dep => dep.to);
+
+        parsedData.parameters.push({
+            key,
+            fieldId,
+            name: column.getAttribute('caption') || unbracketFieldId(fieldId),
+            dataType: column.getAttribute('datatype') || 'unknown',
+            domainType: domain === 'any' ? 'all' : domain,
+            allowedValues,
+            range,
+            currentValue: decodeCalcLiteral(rawValue),
+            referencedBy
+        });
+    });
+}
+
+function describeParameterDomain(param) {
+    if (param.domainType === 'list') {
+        return param.allowedValues
+            .map(v => v.alias && v.alias !== v.value ? `${v.value} (${v.alias})` : v.value)
+            .join(', ');
+    }
+    if (param.domainType === 'range' && param.range) {
+        const bounds = `${param.range.min || '−∞'} … ${param.range.max || '∞'}`;
+        return param.range.granularity ? `${bounds}, step ${param.range.granularity}` : bounds;
+    }
+    return 'Any value';
+}
+
+function renderParameters() {
+    const tbody = document.getElementById('parameters-body');
+    const count = document.getElementById('parameters-count');
+    if (!tbody) return;
+
+    if (count) {
+        count.textContent = parsedData.parameters.length;
+        count.classList.toggle('hidden', parsedData.parameters.length === 0);
+    }
+
+    if (parsedData.parameters.length === 0) {
+        tbody.innerHTML = `
+      <tr>
+        <td class="px-4 py-4" colspan="6">
+          <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+            <span class="material-symbols-outlined text-4xl mb-2 opacity-50">tune</span>
+            <p>This workbook has no parameters</p>
+          </div>
+        </td>
+      </tr>
+    `;
+        return;
+    }
+
+    const fieldMap = new Map(parsedData.fields.map(field => [field.key, field]));
+
+    tbody.innerHTML = parsedData.parameters.map(param => {
+        const references = param.referencedBy.map(key => {
+            const field = fieldMap.get(key);
+            return `<button data-node-id="${escapeHtml(key)}" class="underline decoration-dotted hover:text-primary-600">${escapeHtml(field ? field.name : key)}</button>`;
+        }).join(', ');
+
+        return `
+      <tr class="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+        <td class="whitespace-nowrap px-4 py-3 text-sm font-medium text-gray-900 dark:text-white" title="${escapeHtml(param.fieldId)}">
+          ${escapeHtml(param.name)}
+        </td>
+        <td class="whitespace-nowrap px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+            ${escapeHtml(param.dataType)}
+          </span>
+        </td>
+        <td class="whitespace-nowrap px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+          <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getFieldTypeColor('Parameter')}">
+            ${PARAMETER_DOMAIN_LABELS[param.domainType] || escapeHtml(param.domainType)}
+          </span>
+        </td>
+        <td class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400 max-w-xs truncate" title="${escapeHtml(describeParameterDomain(param))}">
+          ${escapeHtml(describeParameterDomain(param))}
+        </td>
+        <td class="whitespace-nowrap px-4 py-3 text-sm font-mono text-gray-700 dark:text-gray-300">
+          ${escapeHtml(param.currentValue)}
+        </td>
+        <td class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+          ${references || '<span class="text-red-500">Not referenced</span>'}
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    tbody.querySelectorAll('[data-node-id]').forEach(button => {
+        button.onclick = () => highlightFieldInGraph(button.getAttribute('data-node-id'));
+    });
+}
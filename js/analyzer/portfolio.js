@@ -0,0 +1,471 @@
+/**
+ * Portfolio Analysis
+ * Analyzes many workbooks at once (several files, or a .zip of workbooks) and compares them:
+ * a shared field catalog, calculations whose formula drifted between workbooks, the same formula
+ * under different names, datasources used by several workbooks and per-workbook metrics.
+ * Only a summary of each workbook is kept; opening one re-reads it from the file.
+ */
+
+const PORTFOLIO_TABS = [
+    { id: 'workbooks', label: 'Workbooks' },
+    { id: 'catalog', label: 'Field Catalog' },
+    { id: 'drift', label: 'Formula Drift' },
+    { id: 'duplicates', label: 'Same Formula' },
+    { id: 'datasources', label: 'Shared Data Sources' }
+];
+
+// Rows drawn per table; the search box narrows larger lists and the Excel export has everything
+const PORTFOLIO_ROW_LIMIT = 500;
+
+let portfolioState = {
+    workbooks: [],
+    analysis: null,
+    tab: 'workbooks',
+    search: ''
+};
+
+/**
+ * Collects the workbooks among the dropped files: .twb and .twbx files, and those inside .zip archives
+ * @param {Array<File>} files - Selected or dropped files
+ * @returns {Promise<Array<{name: string, path: string, readXml: function(): Promise<string>}>>}
+ */
+async function collectPortfolioSources(files) {
+    const sources = [];
+    for (const file of files) {
+        if (/\.(twb|twbx)$/i.test(file.name)) {
+            sources.push({ name: file.name, path: file.name, readXml: () => readWorkbookFile(file) });
+        } else if (/\.zip$/i.test(file.name)) {
+            const zip = await JSZip.loadAsync(file);
+            Object.values(zip.files).forEach(entry => {
+                if (entry.dir || entry.name.startsWith('__MACOSX/') || !/\.(twb|twbx)$/i.test(entry.name)) return;
+                const name = entry.name.split('/').pop();
+                sources.push({
+                    name,
+                    path: `${file.name}/${entry.name}`,
+                    readXml: async () => /\.twb$/i.test(name)
+                        ? entry.async('text')
+                        : readPackagedWorkbook(await entry.async('uint8array'))
+                });
+            });
+        }
+    }
+    return sources;
+}
+
+/**
+ * Analyzes every workbook in turn and shows the portfolio view
+ * @param {Array<File>} files - Selected or dropped files
+ */
+async function handlePortfolioFiles(files) {
+    let sources;
+    try {
+        sources = await collectPortfolioSources(files);
+    } catch (error) {
+        console.error('Error reading files:', error);
+        showToast('Error reading files: ' + error.message, 'error');
+        return;
+    }
+    if (sources.length === 0) {
+        showToast('No .twb or .twbx workbooks found', 'error');
+        return;
+    }
+
+    portfolioState = { workbooks: [], analysis: null, tab: 'workbooks', search: '' };
+    const section = document.getElementById('portfolio-section');
+    if (section) section.classList.remove('hidden');
+
+    for (let i = 0; i < sources.length; i++) {
+        const source = sources[i];
+        setPortfolioStatus(`Analyzing ${i + 1} of ${sources.length}: ${source.name}`);
+        // Let the page repaint between workbooks
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            const xmlContent = await source.readXml();
+            const model = buildWorkbookModel(xmlContent, source.name);
+            portfolioState.workbooks.push(summarizePortfolioWorkbook(model, source, xmlContent.length));
+        } catch (error) {
+            console.error(`Error analyzing ${source.path}:`, error);
+            portfolioState.workbooks.push({ name: source.name, path: source.path, readXml: source.readXml, error: error.message, metrics: null, fields: [], dataSources: [] });
+        }
+    }
+
+    portfolioState.analysis = buildPortfolio(portfolioState.workbooks);
+    setPortfolioStatus('');
+    renderPortfolio();
+
+    const failed = portfolioState.workbooks.filter(wb => wb.error).length;
+    showToast(`Analyzed ${sources.length - failed} workbooks${failed ? `, ${failed} could not be read` : ''}`, failed ? 'info' : 'success');
+}
+
+/**
+ * Keeps what the portfolio needs from one analyzed workbook
+ * @param {object} model - Result of buildWorkbookModel()
+ * @param {object} source - Entry from collectPortfolioSources()
+ * @param {number} xmlLength - Size of the workbook XML in characters
+ */
+function summarizePortfolioWorkbook(model, source, xmlLength) {
+    const calcs = model.fields.filter(field => field.isCalculated);
+    const scores = calcs.filter(field => field.lint).map(field => field.lint.score);
+    const dsSignatures = new Map(model.dataSources.map(ds => [ds.name, getDataSourceSignature(ds)]));
+
+    return {
+        name: source.name,
+        path: source.path,
+        readXml: source.readXml,
+        error: '',
+        metrics: {
+            sizeKB: Math.round(xmlLength / 1024),
+            dataSources: model.dataSources.length,
+            fields: model.fields.filter(field => field.fieldType !== 'Parameter').length,
+            calculations: calcs.length,
+            lods: calcs.filter(field => field.calcClass && field.calcClass.lods.length > 0).length,
+            tableCalcs: calcs.filter(field => field.calcClass && field.calcClass.type === 'table-calc').length,
+            parameters: model.parameters.length,
+            worksheets: model.worksheets.length,
+            dashboards: model.dashboards.length,
+            unusedFields: model.fields.filter(field => field.fieldType !== 'Parameter' && field.usage === 'unused').length,
+            issues: model.diagnostics.length,
+            maxChainDepth: calcs.reduce((max, field) => Math.max(max, field.lint ? field.lint.metrics.chainDepth : 0), 0),
+            averageLintScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+        },
+        fields: model.fields.map(field => ({
+            name: field.name,
+            fieldType: field.fieldType,
+            dataType: field.dataType,
+            isCalculated: field.isCalculated,
+            dataSource: field.dataSourceCaption,
+            formula: field.formula,
+            normalizedFormula: field.isCalculated ? normalizePortfolioFormula(field.formula) : ''
+        })),
+        dataSources: model.dataSources.map(ds => ({
+            signature: dsSignatures.get(ds.name),
+            caption: ds.caption,
+            connectionClass: ds.connectionClass,
+            location: describeDataSourceLocation(ds)
+        }))
+    };
+}
+
+/**
+ * Identifies the same datasource across workbooks, where its internal name differs:
+ * connection type, server, database, schema, file name and tables
+ * @param {object} ds - Entry of parsedData.dataSources
+ * @returns {string}
+ */
+function getDataSourceSignature(ds) {
+    if (ds.connections.length === 0) return `caption:${ds.caption.toLowerCase()}`;
+    const connections = ds.connections
+        .map(conn => [conn.connectionClass, conn.server, conn.database, conn.schema, conn.filename.split('/').pop()]
+            .map(value => (value || '').toLowerCase())
+            .join('|'))
+        .sort();
+    const tables = ds.tables.map(table => table.toLowerCase()).sort();
+    return `${ds.connectionClass}:${connections.join(';')}:${tables.join(',')}`;
+}
+
+function describeDataSourceLocation(ds) {
+    return ds.connections
+        .map(conn => [conn.server, conn.database, conn.schema, conn.filename].filter(Boolean).join(' / '))
+        .filter(Boolean)
+        .join('; ');
+}
+
+// Formula text without comments or layout differences, with functions and keywords in upper case
+function normalizePortfolioFormula(formula) {
+    return tokenizeCalc(formula).tokens
+        .filter(token => token.type !== 'comment')
+        .map(token => {
+            const text = formula.slice(token.start, token.end);
+            return token.type === 'identifier' || token.type === 'keyword' ? text.toUpperCase() : text;
+        })
+        .join(' ');
+}
+
+/**
+ * Cross-workbook comparisons
+ * @param {Array<object>} workbooks - Results of summarizePortfolioWorkbook()
+ * @returns {{catalog: Array<object>, drift: Array<object>, duplicates: Array<object>, dataSources: Array<object>}}
+ */
+function buildPortfolio(workbooks) {
+    const catalog = new Map();
+    const calcsByName = new Map();
+    const calcsByFormula = new Map();
+    const dataSources = new Map();
+
+    const addTo = (map, key, create) => {
+        if (!map.has(key)) map.set(key, create());
+        return map.get(key);
+    };
+
+    workbooks.forEach(wb => {
+        wb.fields.forEach(field => {
+            const nameKey = field.name.trim().toLowerCase();
+            const entry = addTo(catalog, nameKey, () => ({
+                name: field.name, fieldTypes: new Set(), dataTypes: new Set(), dataSources: new Set(), workbooks: new Set(), formulas: new Set()
+            }));
+            entry.fieldTypes.add(field.fieldType);
+            entry.dataTypes.add(field.dataType);
+            entry.dataSources.add(field.dataSource);
+            entry.workbooks.add(wb.name);
+            if (!field.isCalculated) return;
+
+            entry.formulas.add(field.normalizedFormula);
+            const variants = addTo(calcsByName, nameKey, () => ({ name: field.name, variants: new Map() }));
+            addTo(variants.variants, field.normalizedFormula, () => ({ formula: field.formula, workbooks: new Set() })).workbooks.add(wb.name);
+
+            // Single-token formulas ([Sales], 1) are aliases or constants rather than shared logic
+            if (tokenizeCalc(field.formula).tokens.filter(token => token.type !== 'comment').length < 2) return;
+            const names = addTo(calcsByFormula, field.normalizedFormula, () => ({ formula: field.formula, names: new Map() }));
+            addTo(names.names, nameKey, () => ({ name: field.name, workbooks: new Set() })).workbooks.add(wb.name);
+        });
+
+        wb.dataSources.forEach(ds => {
+            const entry = addTo(dataSources, ds.signature, () => ({
+                captions: new Set(), connectionClass: ds.connectionClass, location: ds.location, workbooks: new Set()
+            }));
+            entry.captions.add(ds.caption);
+            entry.workbooks.add(wb.name);
+        });
+    });
+
+    const byWorkbookCount = (a, b) => b.workbooks.size - a.workbooks.size || a.name.localeCompare(b.name);
+    return {
+        catalog: Array.from(catalog.values()).sort(byWorkbookCount),
+        drift: Array.from(calcsByName.values())
+            .filter(calc => calc.variants.size > 1)
+            .map(calc => ({ name: calc.name, variants: Array.from(calc.variants.values()).sort((a, b) => b.workbooks.size - a.workbooks.size) }))
+            .sort((a, b) => b.variants.length - a.variants.length || a.name.localeCompare(b.name)),
+        duplicates: Array.from(calcsByFormula.values())
+            .filter(group => group.names.size > 1)
+            .map(group => ({ formula: group.formula, names: Array.from(group.names.values()).sort((a, b) => b.workbooks.size - a.workbooks.size) }))
+            .sort((a, b) => b.names.length - a.names.length),
+        dataSources: Array.from(dataSources.values())
+            .filter(ds => ds.workbooks.size > 1)
+            .map(ds => Object.assign(ds, { name: Array.from(ds.captions).join(' / ') }))
+            .sort(byWorkbookCount)
+    };
+}
+
+function setPortfolioStatus(text) {
+    const status = document.getElementById('portfolio-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('hidden', !text);
+}
+
+function switchPortfolioTab(tabId) {
+    portfolioState.tab = tabId;
+    renderPortfolio();
+}
+
+function filterPortfolio(value) {
+    portfolioState.search = value.trim().toLowerCase();
+    renderPortfolio();
+}
+
+function closePortfolio() {
+    portfolioState = { workbooks: [], analysis: null, tab: 'workbooks', search: '' };
+    const section = document.getElementById('portfolio-section');
+    if (section) section.classList.add('hidden');
+}
+
+/**
+ * Loads one workbook of the portfolio into the analyzer
+ * @param {number} index - Position in portfolioState.workbooks
+ */
+async function openPortfolioWorkbook(index) {
+    const wb = portfolioState.workbooks[index];
+    if (!wb) return;
+
+    showLoading();
+    try {
+        if (await loadWorkbook(await wb.readXml(), wb.name)) {
+            showToast(`Successfully parsed ${wb.name}`, 'success');
+        }
+    } catch (error) {
+        console.error('Error processing file:', error);
+        showToast('Error processing file: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderPortfolio() {
+    const body = document.getElementById('portfolio-body');
+    const tabs = document.getElementById('portfolio-tabs');
+    const count = document.getElementById('portfolio-count');
+    const analysis = portfolioState.analysis;
+    if (!body || !analysis) return;
+
+    const sizes = {
+        workbooks: portfolioState.workbooks.length,
+        catalog: analysis.catalog.length,
+        drift: analysis.drift.length,
+        duplicates: analysis.duplicates.length,
+        datasources: analysis.dataSources.length
+    };
+    if (count) count.textContent = `${portfolioState.workbooks.length} workbooks`;
+    if (tabs) {
+        tabs.innerHTML = PORTFOLIO_TABS.map(tab => `
+          <button data-portfolio-tab="${tab.id}" class="tab-button ${tab.id === portfolioState.tab ? 'active' : ''}">
+            ${tab.label}
+            <span class="ml-1 text-xs text-gray-400">${sizes[tab.id]}</span>
+          </button>
+        `).join('');
+        tabs.querySelectorAll('[data-portfolio-tab]').forEach(button => {
+            button.onclick = () => switchPortfolioTab(button.getAttribute('data-portfolio-tab'));
+        });
+    }
+
+    const term = portfolioState.search;
+    const matches = (...values) => !term || values.join(' ').toLowerCase().includes(term);
+    const list = values => escapeHtml(Array.from(values).join(', '));
+    const th = labels => labels.map(label => `<th class="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${label}</th>`).join('');
+    const td = (content, extra = '', attributes = '') => `<td class="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 ${extra}" ${attributes}>${content}</td>`;
+    const code = text => `<code class="block whitespace-pre-wrap break-all font-mono text-xs">${escapeHtml(text)}</code>`;
+
+    let headers = [];
+    let rows = [];
+    switch (portfolioState.tab) {
+        case 'catalog':
+            headers = ['Field', 'Field Type', 'Data Type', 'Data Sources', 'Workbooks', 'Formula Variants'];
+            rows = analysis.catalog
+                .filter(entry => matches(entry.name, ...entry.dataSources, ...entry.workbooks))
+                .map(entry => `<tr>
+                  ${td(escapeHtml(entry.name), 'font-medium text-gray-900 dark:text-white')}
+                  ${td(list(entry.fieldTypes))}
+                  ${td(list(entry.dataTypes))}
+                  ${td(list(entry.dataSources), 'max-w-xs truncate')}
+                  ${td(`<span title="${list(entry.workbooks)}">${entry.workbooks.size}</span>`)}
+                  ${td(entry.formulas.size > 1 ? `<span class="font-bold text-orange-600">${entry.formulas.size}</span>` : entry.formulas.size || '-')}
+                </tr>`);
+            break;
+        case 'drift':
+            headers = ['Calculation', 'Formula', 'Workbooks'];
+            rows = analysis.drift
+                .filter(calc => matches(calc.name, ...calc.variants.map(v => v.formula)))
+                .map(calc => calc.variants.map((variant, i) => `<tr class="${i === 0 ? 'border-t-2 border-gray-200 dark:border-gray-700' : ''}">
+                  ${td(i === 0 ? escapeHtml(calc.name) : '', 'font-medium text-gray-900 dark:text-white align-top')}
+                  ${td(code(variant.formula))}
+                  ${td(list(variant.workbooks), 'align-top')}
+                </tr>`).join(''));
+            break;
+        case 'duplicates':
+            headers = ['Formula', 'Names', 'Workbooks'];
+            rows = analysis.duplicates
+                .filter(group => matches(group.formula, ...group.names.map(n => n.name)))
+                .map(group => `<tr>
+                  ${td(code(group.formula), 'max-w-md')}
+                  ${td(group.names.map(n => escapeHtml(n.name)).join('<br>'), 'font-medium text-gray-900 dark:text-white align-top')}
+                  ${td(group.names.map(n => list(n.workbooks)).join('<br>'), 'align-top')}
+                </tr>`);
+            break;
+        case 'datasources':
+            headers = ['Data Source', 'Connection', 'Location', 'Workbooks'];
+            rows = analysis.dataSources
+                .filter(ds => matches(ds.name, ds.location, ...ds.workbooks))
+                .map(ds => `<tr>
+                  ${td(escapeHtml(ds.name), 'font-medium text-gray-900 dark:text-white')}
+                  ${td(escapeHtml(ds.connectionClass))}
+                  ${td(escapeHtml(ds.location), 'max-w-xs truncate')}
+                  ${td(`<span class="font-bold">${ds.workbooks.size}</span> · ${list(ds.workbooks)}`)}
+                </tr>`);
+            break;
+        default:
+            headers = ['Workbook', 'Size (KB)', 'Data Sources', 'Fields', 'Calcs', 'LODs', 'Table Calcs', 'Params', 'Sheets', 'Dashboards', 'Unused', 'Issues', 'Chain', 'Lint', ''];
+            rows = portfolioState.workbooks
+                .map((wb, index) => ({ wb, index }))
+                .filter(({ wb }) => matches(wb.name, wb.path))
+                .map(({ wb, index }) => {
+                    const m = wb.metrics;
+                    const cells = m
+                        ? [m.sizeKB, m.dataSources, m.fields, m.calculations, m.lods, m.tableCalcs, m.parameters, m.worksheets, m.dashboards, m.unusedFields, m.issues, m.maxChainDepth, m.averageLintScore === null ? '-' : m.averageLintScore].map(value => td(value, 'text-right')).join('')
+                        : td(`<span class="text-red-500">${escapeHtml(wb.error)}</span>`, '', 'colspan="13"');
+                    return `<tr>
+                      ${td(escapeHtml(wb.name), 'font-medium text-gray-900 dark:text-white', `title="${escapeHtml(wb.path)}"`)}
+                      ${cells}
+                      ${td(`<button data-open-workbook="${index}" class="text-xs font-bold text-primary-600 hover:underline">Open</button>`)}
+                    </tr>`;
+                });
+    }
+
+    const shown = rows.slice(0, PORTFOLIO_ROW_LIMIT);
+    body.innerHTML = `
+      <table class="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead class="bg-gray-50 dark:bg-gray-800 sticky top-0 z-10"><tr>${th(headers)}</tr></thead>
+        <tbody class="divide-y divide-gray-100 bg-white dark:divide-gray-800 dark:bg-gray-900">
+          ${shown.join('') || `<tr><td colspan="${headers.length}" class="px-4 py-8 text-center text-sm text-gray-400">Nothing to show</td></tr>`}
+        </tbody>
+      </table>
+      ${rows.length > shown.length ? `<p class="px-4 py-2 text-xs text-gray-400">Showing ${shown.length} of ${rows.length}; search to narrow the list or export to Excel for everything</p>` : ''}
+    `;
+
+    body.querySelectorAll('[data-open-workbook]').forEach(button => {
+        button.onclick = () => openPortfolioWorkbook(parseInt(button.getAttribute('data-open-workbook'), 10));
+    });
+}
+
+// Export every portfolio table to Excel
+function exportPortfolio() {
+    const analysis = portfolioState.analysis;
+    if (!analysis) {
+        showToast('Drop several workbooks or a .zip first', 'info');
+        return;
+    }
+    const join = values => Array.from(values).join(', ');
+
+    const sheets = {
+        'Workbooks': portfolioState.workbooks.map(wb => Object.assign({ 'Workbook': wb.name, 'Path': wb.path, 'Error': wb.error }, wb.metrics ? {
+            'Size (KB)': wb.metrics.sizeKB,
+            'Data Sources': wb.metrics.dataSources,
+            'Fields': wb.metrics.fields,
+            'Calculations': wb.metrics.calculations,
+            'LOD Calculations': wb.metrics.lods,
+            'Table Calculations': wb.metrics.tableCalcs,
+            'Parameters': wb.metrics.parameters,
+            'Worksheets': wb.metrics.worksheets,
+            'Dashboards': wb.metrics.dashboards,
+            'Unused Fields': wb.metrics.unusedFields,
+            'Issues': wb.metrics.issues,
+            'Max Chain Depth': wb.metrics.maxChainDepth,
+            'Average Lint Score': wb.metrics.averageLintScore
+        } : {})),
+        'Field Catalog': analysis.catalog.map(entry => ({
+            'Field': entry.name,
+            'Field Types': join(entry.fieldTypes),
+            'Data Types': join(entry.dataTypes),
+            'Data Sources': join(entry.dataSources),
+            'Workbook Count': entry.workbooks.size,
+            'Workbooks': join(entry.workbooks),
+            'Formula Variants': entry.formulas.size
+        })),
+        'Formula Drift': analysis.drift.flatMap(calc => calc.variants.map((variant, i) => ({
+            'Calculation': calc.name,
+            'Variant': i + 1,
+            'Formula': variant.formula,
+            'Workbook Count': variant.workbooks.size,
+            'Workbooks': join(variant.workbooks)
+        }))),
+        'Same Formula': analysis.duplicates.flatMap(group => group.names.map(entry => ({
+            'Formula': group.formula,
+            'Name': entry.name,
+            'Workbooks': join(entry.workbooks)
+        }))),
+        'Shared Data Sources': analysis.dataSources.map(ds => ({
+            'Data Source': ds.name,
+            'Connection': ds.connectionClass,
+            'Location': ds.location,
+            'Workbook Count': ds.workbooks.size,
+            'Workbooks': join(ds.workbooks)
+        }))
+    };
+
+    const wb = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([sheetName, rows]) => {
+        const ws = rows.length > 0 ? XLSX.utils.json_to_sheet(rows) : XLSX.utils.aoa_to_sheet([[`No ${sheetName.toLowerCase()} in this portfolio`]]);
+        XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    });
+    XLSX.writeFile(wb, 'portfolio_analysis.xlsx');
+    showToast(`Exported portfolio of ${portfolioState.workbooks.length} workbooks to portfolio_analysis.xlsx`, 'success');
+}
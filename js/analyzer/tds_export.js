@@ -0,0 +1,358 @@
+/**
+ * Data Source Export
+ * Lifts calculated fields (groups and bins included) out of a workbook into a standalone Tableau data
+ * source (.tds) built from the workbook's own <datasource>: its connection, column definitions,
+ * folders and layout are kept as written. The calculations the chosen ones depend on come along, and
+ * the parameters they use are copied into the data source so the file is complete on its own. Data
+ * files a packaged workbook carries go with it in a .tdsx, as their paths only exist in the package.
+ */
+
+let tdsExportState = null; // { workbook, dataSource, selected: Set of field keys, plan, dataFiles }
+
+async function openTdsExport() {
+    closeEditWorkbookMenu();
+    const dataSources = parsedData.dataSources.filter(ds =>
+        parsedData.fields.some(field => field.dataSource === ds.name && field.isCalculated));
+    if (dataSources.length === 0) {
+        showToast('No data source in this workbook has calculated fields', 'info');
+        return;
+    }
+
+    tdsExportState = null;
+    openEditDialog('Extract data source', parsedData.workbookName, 'Download .tds');
+    let workbook;
+    try {
+        workbook = await readWorkbookForEditing();
+    } catch (error) {
+        closeEditDialog();
+        showToast('Error reading workbook: ' + error.message, 'error');
+        return;
+    }
+    if (!isEditDialogOpen()) return;
+
+    tdsExportState = { workbook, dataSource: dataSources[0].name, selected: new Set(), plan: null, dataFiles: [] };
+    document.getElementById('edit-dialog-body').innerHTML = `
+      <div class="flex flex-wrap items-center gap-3 text-sm text-gray-700 dark:text-gray-200">
+        <label class="flex items-center gap-2 font-medium">
+          Data source
+          <select id="tds-datasource"
+            class="rounded-lg border border-gray-200 bg-white py-1.5 pl-3 pr-8 text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white">
+            ${dataSources.map(ds => `<option value="${escapeHtml(ds.name)}">${escapeHtml(ds.caption)}</option>`).join('')}
+          </select>
+        </label>
+        <button type="button" id="tds-select-all" class="text-primary-600 hover:underline dark:text-primary-400">Select all</button>
+        <button type="button" id="tds-select-none" class="text-primary-600 hover:underline dark:text-primary-400">Clear</button>
+      </div>
+      <div id="tds-preview" class="flex flex-col gap-6"></div>
+    `;
+    document.getElementById('tds-datasource').onchange = (event) => {
+        tdsExportState.dataSource = event.target.value;
+        tdsExportState.selected = new Set();
+        updateTdsPreview();
+    };
+    document.getElementById('tds-select-all').onclick = () => {
+        getTdsCalculations(tdsExportState.dataSource).forEach(field => tdsExportState.selected.add(field.key));
+        updateTdsPreview();
+    };
+    document.getElementById('tds-select-none').onclick = () => {
+        tdsExportState.selected = new Set();
+        updateTdsPreview();
+    };
+    updateTdsPreview();
+}
+
+function getTdsCalculations(dataSource) {
+    return parsedData.fields.filter(field => field.dataSource === dataSource && field.isCalculated);
+}
+
+/**
+ * Files of a packaged workbook that a data source connects to, such as the Excel and text files
+ * Tableau copies into a .twbx. The extract is left out of the .tds, so its file is not needed.
+ * @param {object} workbook - Result of readWorkbookForEditing()
+ * @param {string} dataSource - Datasource internal name
+ * @returns {Array<string>} Paths as the connections name them, relative to the .twb
+ */
+function findTdsDataFiles(workbook, dataSource) {
+    const dsElement = workbook.zip && findDataSourceElement(workbook.doc, dataSource);
+    if (!dsElement) return [];
+    const folder = workbook.twbPath.slice(0, workbook.twbPath.lastIndexOf('/') + 1);
+    const entries = Object.keys(workbook.zip.files)
+        .filter(path => !workbook.zip.files[path].dir && path.startsWith(folder))
+        .map(path => path.slice(folder.length));
+    const normalize = path => path.replace(/\\/g, '/').replace(/^\.\//, '');
+
+    const files = new Set();
+    dsElement.getElementsByTagName('connection').forEach(connection => {
+        for (let node = connection.parentNode; node !== dsElement; node = node.parentNode) {
+            if (node.tagName === 'extract') return;
+        }
+        const directory = connection.getAttribute('directory');
+        const filename = connection.getAttribute('filename');
+        const dbname = connection.getAttribute('dbname');
+        if (directory && !filename) {
+            // A folder of text files
+            const prefix = normalize(directory).replace(/\/?$/, '/');
+            entries.filter(path => path.startsWith(prefix)).forEach(path => files.add(path));
+        }
+        [directory && filename ? `${directory}/${filename}` : filename, dbname].filter(Boolean).map(normalize)
+            .filter(path => entries.includes(path))
+            .forEach(path => files.add(path));
+    });
+    return Array.from(files).sort();
+}
+
+/**
+ * Everything the chosen calculations need: the calculations they use, directly or through others,
+ * and the parameters. Groups and bins also need the column (and bin size parameter) they are built on.
+ * @param {XmlElement} doc - Result of parseXml() of the workbook
+ * @param {string} dataSource - Datasource internal name
+ * @param {Set<string>} selected - Keys of the chosen calculations
+ * @returns {{calculations: Array<object>, parameters: Array<object>, neededBy: Map<string, object>, problems: Array<{message: string, blocking: boolean}>}}
+ *   neededBy maps the keys of fields pulled in as dependencies to a field that uses them; blocking problems prevent the export
+ */
+function planTdsExport(doc, dataSource, selected) {
+    const fieldIndex = buildFieldIndex();
+    const inputsOf = new Map();
+    const addInput = (to, from) => {
+        if (!inputsOf.has(to)) inputsOf.set(to, new Set());
+        inputsOf.get(to).add(from);
+    };
+    parsedData.dependencies.forEach(dep => addInput(dep.to, dep.from));
+    getTdsCalculations(dataSource).forEach(field => {
+        const column = findFieldColumns(doc, field).find(c => c.parentNode.tagName === 'datasource');
+        const calculation = column && column.children.find(child => child.tagName === 'calculation');
+        if (!calculation) return;
+        Object.keys(calculation.attributes).filter(name => name !== 'formula').forEach(name => {
+            findFieldsInXmlText(calculation.attributes[name], dataSource, fieldIndex).forEach(input => addInput(field.key, input.key));
+        });
+    });
+
+    const neededBy = new Map();
+    const visited = new Set(selected);
+    const stack = Array.from(selected);
+    const problems = [];
+    while (stack.length > 0) {
+        const key = stack.pop();
+        const user = fieldIndex.byKey.get(key);
+        (inputsOf.get(key) || []).forEach(inputKey => {
+            if (visited.has(inputKey)) return;
+            const input = fieldIndex.byKey.get(inputKey);
+            if (input.dataSource !== dataSource && input.dataSource !== 'Parameters') {
+                problems.push({ message: `${user.name} uses ${input.name} from ${input.dataSourceCaption}, which a .tds cannot refer to`, blocking: true });
+                return;
+            }
+            visited.add(inputKey);
+            neededBy.set(inputKey, user);
+            stack.push(inputKey);
+        });
+    }
+
+    const included = parsedData.fields.filter(field => visited.has(field.key));
+    const calculations = included.filter(field => field.isCalculated && field.dataSource === dataSource);
+    const parameters = included.filter(field => field.dataSource === 'Parameters');
+
+    calculations.forEach(field => {
+        if (field.unresolvedRefs && field.unresolvedRefs.length > 0) {
+            problems.push({ message: `${field.name} refers to ${field.unresolvedRefs.map(ref => ref.raw).join(', ')}, which ${field.unresolvedRefs.length === 1 ? 'does' : 'do'} not exist`, blocking: false });
+        }
+    });
+    // Parameters become columns of the data source, so their internal names must be free there
+    parameters.forEach(param => {
+        const clash = parsedData.fields.find(field => field.dataSource === dataSource && field.fieldId === param.fieldId);
+        if (clash) problems.push({ message: `Parameter ${param.name} has the same internal name as ${clash.name} (${param.fieldId})`, blocking: true });
+    });
+
+    return { calculations, parameters, neededBy, problems };
+}
+
+function updateTdsPreview() {
+    if (!tdsExportState) return;
+    const { workbook, dataSource, selected } = tdsExportState;
+    const plan = planTdsExport(workbook.doc, dataSource, selected);
+    const dataFiles = findTdsDataFiles(workbook, dataSource);
+    tdsExportState.plan = plan;
+    tdsExportState.dataFiles = dataFiles;
+
+    const section = (title, count, content) => `
+      <section>
+        <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${title} (${count})</h4>
+        ${content}
+      </section>
+    `;
+    const emptyText = (text) => `<p class="text-sm text-gray-400">${text}</p>`;
+    const calculations = getTdsCalculations(dataSource);
+    const included = new Set(plan.calculations.map(field => field.key));
+
+    document.getElementById('tds-preview').innerHTML = `
+      ${plan.problems.length === 0 ? '' : section('Problems', plan.problems.length, `
+        <ul class="flex flex-col gap-1 text-sm text-amber-700 dark:text-amber-400">
+          ${plan.problems.map(problem => `<li>${escapeHtml(problem.message)}</li>`).join('')}
+        </ul>
+      `)}
+      ${section('Calculations', `${included.size} of ${calculations.length}`, `
+        <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+          ${calculations.map(field => {
+              const neededBy = !selected.has(field.key) && plan.neededBy.get(field.key);
+              return `<li class="flex items-start gap-2">
+                <input type="checkbox" data-tds-field="${escapeHtml(field.key)}" ${included.has(field.key) ? 'checked' : ''} ${neededBy ? 'disabled' : ''}
+                  class="mt-0.5 rounded border-gray-300 text-primary-500 focus:ring-primary-500 disabled:opacity-50" />
+                <span class="min-w-0">
+                  ${escapeHtml(field.name)}
+                  ${field.calcClass ? `<span class="text-xs text-gray-400">${escapeHtml(CALC_CLASS_LABELS[field.calcClass.type])}</span>` : ''}
+                  ${neededBy ? `<span class="block text-xs text-gray-400">Included: used by ${escapeHtml(neededBy.name)}</span>` : ''}
+                </span>
+              </li>`;
+          }).join('')}
+        </ul>
+      `)}
+      ${section('Parameters', plan.parameters.length, plan.parameters.length === 0 ? emptyText('The chosen calculations use no parameters') : `
+        <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+          ${plan.parameters.map(param => `<li>${escapeHtml(param.name)}
+            <span class="text-xs text-gray-400">used by ${escapeHtml(plan.neededBy.get(param.key).name)}</span></li>`).join('')}
+        </ul>
+        <p class="mt-2 text-xs text-gray-400">Parameters are copied into the data source, and the calculations refer to them there.</p>
+      `)}
+      ${dataFiles.length === 0 ? '' : section('Data files', dataFiles.length, `
+        <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+          ${dataFiles.map(path => `<li>${escapeHtml(path)}</li>`).join('')}
+        </ul>
+        <p class="mt-2 text-xs text-gray-400">The connection reads these files from inside the packaged workbook, so they are included and the data source is saved as a .tdsx.</p>
+      `)}
+      <p class="text-xs text-gray-400">Extracts are left out, so the data source connects live.</p>
+    `;
+    document.querySelectorAll('#tds-preview [data-tds-field]').forEach(checkbox => {
+        checkbox.onchange = () => {
+            const key = checkbox.getAttribute('data-tds-field');
+            if (checkbox.checked) {
+                selected.add(key);
+            } else {
+                selected.delete(key);
+            }
+            updateTdsPreview();
+        };
+    });
+
+    const blocked = plan.problems.some(problem => problem.blocking);
+    const count = plan.calculations.length;
+    const status = count === 0 ? 'Choose the calculations to include'
+        : blocked ? 'Fix the problems above to export'
+        : `${count} calculation${count === 1 ? '' : 's'} and ${plan.parameters.length} parameter${plan.parameters.length === 1 ? '' : 's'} will be exported` +
+            (dataFiles.length > 0 ? ` with ${dataFiles.length} data file${dataFiles.length === 1 ? '' : 's'}` : '');
+    setEditDialogAction(count > 0 && !blocked ? applyTdsExport : null, status);
+}
+
+/**
+ * The .tds file: the workbook's <datasource> without the calculations that were not chosen, its
+ * extract, and anything that refers to what was left out (column instances, sets, folder entries
+ * and hierarchy levels); the parameters become columns of it
+ * @param {object} workbook - Result of readWorkbookForEditing()
+ * @param {string} dataSource - Datasource internal name
+ * @param {object} plan - Result of planTdsExport()
+ * @returns {string} XML
+ */
+function buildTdsXml(workbook, dataSource, plan) {
+    const dsElement = findDataSourceElement(workbook.doc, dataSource);
+    if (!dsElement || dsElement.contentStart === null) throw new Error('The data source was not found in the workbook XML');
+
+    const doc = parseXml(workbook.xml.slice(dsElement.start, dsElement.end));
+    const root = doc.documentElement;
+    const fieldIndex = buildFieldIndex();
+    const includedIds = new Set(plan.calculations.map(field => field.fieldId));
+    const removed = getTdsCalculations(dataSource).filter(field => !includedIds.has(field.fieldId));
+    const removedIds = new Set(removed.map(field => field.fieldId));
+    const removedKeys = new Set(removed.map(field => field.key));
+    const refersToRemoved = (element) => findFieldsInXmlText(doc.source.slice(element.start, element.end), dataSource, fieldIndex)
+        .some(field => removedKeys.has(field.key));
+    // [Parameters].[Parameter 1] -> [Parameter 1]
+    const localizeParameters = (formula) => rewriteCalcFieldRefs(parseCalc(formula),
+        ref => ref.datasource === 'Parameters' ? formatCalcFieldRef(ref.name, null) : null);
+
+    // A .tds names its datasource with formatted-name and declares the user: namespace itself
+    const attributes = Object.assign({}, root.attributes);
+    attributes['formatted-name'] = attributes.name;
+    delete attributes.name;
+    const userNamespace = workbook.doc.documentElement.getAttribute('xmlns:user');
+    if (userNamespace) attributes['xmlns:user'] = userNamespace;
+    const startTag = `<datasource${Object.keys(attributes).sort()
+        .map(name => ` ${name}='${encodeXmlAttribute(attributes[name])}'`).join('')}>`;
+    const edits = [{ start: 0, end: root.contentStart, text: startTag }];
+
+    root.children.forEach(child => {
+        const name = child.getAttribute('name');
+        if (child.tagName === 'extract' || (child.tagName === 'column' && removedIds.has(name)) ||
+            (child.tagName === 'column-instance' && removedIds.has(child.getAttribute('column'))) ||
+            (child.tagName === 'group' && refersToRemoved(child))) {
+            edits.push(removeXmlElement(child));
+            return;
+        }
+        const calculation = child.tagName === 'column' && includedIds.has(name) &&
+            child.children.find(grandchild => grandchild.tagName === 'calculation');
+        if (!calculation) return;
+        Object.keys(calculation.attributes).forEach(attribute => {
+            const value = calculation.attributes[attribute];
+            const localized = attribute === 'formula' ? localizeParameters(value) : value.split('[Parameters].[').join('[');
+            if (localized !== value) edits.push(setXmlAttribute(calculation, attribute, localized));
+        });
+    });
+
+    edits.push(...removeFolderItems(root, removedIds));
+    edits.push(...removeDrillPathFields(root, removedIds));
+
+    // Parameter definitions go after the column definitions, as they were written in the workbook
+    const paramSource = findDataSourceElement(workbook.doc, 'Parameters');
+    if (plan.parameters.length > 0) {
+        if (!paramSource) throw new Error('The parameters were not found in the workbook XML');
+        const paramIds = new Set(plan.parameters.map(param => param.fieldId));
+        const paramXml = paramSource.children
+            .filter(child => child.tagName === 'column' && paramIds.has(child.getAttribute('name')))
+            .map(column => workbook.xml.slice(column.start, column.end));
+        const columns = root.children.filter(child => child.tagName === 'column' && !removedIds.has(child.getAttribute('name')));
+        const after = columns.length > 0 ? columns[columns.length - 1] : root.children.find(child => child.tagName === 'connection');
+        const indent = after ? getXmlIndent(after) : getXmlIndent(dsElement) + '  ';
+        const at = after ? after.end : root.contentStart;
+        edits.push({ start: at, end: at, text: paramXml.map(xml => `\n${indent}${xml}`).join('') });
+    }
+
+    // The datasource was indented inside the workbook; the .tds starts at the margin
+    const indent = getXmlIndent(dsElement);
+    const xml = applyXmlEdits(doc.source, edits).split('\n')
+        .map(line => indent && line.startsWith(indent) ? line.slice(indent.length) : line)
+        .join('\n');
+    return `<?xml version='1.0' encoding='utf-8' ?>\n${xml}\n`;
+}
+
+/**
+ * A .tdsx package: the .tds at the top, and the data files at the paths its connection names
+ * @param {object} workbook - Result of readWorkbookForEditing()
+ * @param {string} tdsName - File name of the .tds inside the package
+ * @param {string} xml - Result of buildTdsXml()
+ * @param {Array<string>} dataFiles - Result of findTdsDataFiles()
+ * @returns {Promise<Blob>}
+ */
+async function buildTdsxPackage(workbook, tdsName, xml, dataFiles) {
+    const folder = workbook.twbPath.slice(0, workbook.twbPath.lastIndexOf('/') + 1);
+    const zip = new JSZip();
+    zip.file(tdsName, xml);
+    for (const path of dataFiles) {
+        const entry = workbook.zip.file(folder + path);
+        zip.file(path, await entry.async('uint8array'), { date: entry.date });
+    }
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/octet-stream' });
+}
+
+async function applyTdsExport() {
+    const { workbook, dataSource, plan, dataFiles } = tdsExportState;
+    const xml = buildTdsXml(workbook, dataSource, plan);
+    const ds = parsedData.dataSources.find(d => d.name === dataSource);
+    const baseName = (ds ? ds.caption : dataSource).replace(/[\\/:*?"<>|]/g, '_');
+    let fileName = `${baseName}.tds`;
+    if (dataFiles.length > 0) {
+        const blob = await buildTdsxPackage(workbook, fileName, xml, dataFiles);
+        fileName = `${baseName}.tdsx`;
+        downloadFile(new File([blob], fileName, { type: 'application/octet-stream' }));
+    } else {
+        downloadTextFile(xml, fileName, 'application/xml');
+    }
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    showToast(`Exported ${count(plan.calculations.length, 'calculation')} and ${count(plan.parameters.length, 'parameter')} to ${fileName}`, 'success');
+}
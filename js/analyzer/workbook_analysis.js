@@ -0,0 +1,650 @@
+/**
+ * Workbook Analysis
+ * Reads a workbook and builds parsedData: fields, datasources, dependencies, worksheet usage and
+ * dashboards, then runs the analysis steps of the other analyzer modules.
+ *
+ * This file has no DOM dependencies so it can also be loaded inside a Web Worker: the workbook
+ * document may come from DOMParser or from parseXml().
+ */
+
+/**
+ * Reads the workbook XML from a .twb file, or from the .twb inside a .twbx package
+ * @param {File} file - The selected file
+ * @param {function(number): void} [onProgress] - Called with the fraction unzipped so far (0-1)
+ * @returns {Promise<string>}
+ */
+async function readWorkbookFile(file, onProgress) {
+    if (!file.name.toLowerCase().endsWith('.twbx')) {
+        return file.text();
+    }
+    return readPackagedWorkbook(file, onProgress);
+}
+
+/**
+ * Reads the workbook XML from the contents of a .twbx package
+ * @param {File|Blob|Uint8Array} data - The package
+ * @param {function(number): void} [onProgress] - Called with the fraction unzipped so far (0-1)
+ * @returns {Promise<string>}
+ */
+async function readPackagedWorkbook(data, onProgress) {
+    const { zip, twbPath } = await openWorkbookPackage(data);
+    return zip.file(twbPath).async('text', metadata => {
+        if (typeof onProgress === 'function') onProgress(metadata.percent / 100);
+    });
+}
+
+/**
+ * Opens a .twbx package and finds the workbook inside it
+ * @param {File|Blob|Uint8Array} data - The package
+ * @returns {Promise<{zip: JSZip, twbPath: string}>}
+ */
+async function openWorkbookPackage(data) {
+    const zip = await JSZip.loadAsync(data);
+    const twbPath = Object.keys(zip.files).find(f => f.endsWith('.twb'));
+    if (!twbPath) {
+        throw new Error('No .twb file found in the .twbx archive');
+    }
+    return { zip, twbPath };
+}
+
+function createEmptyParsedData(workbookName = '') {
+    return {
+        workbookName,
+        fields: [],
+        dependencies: [],
+        dataSources: [],
+        worksheets: [],
+        dashboards: [],
+        parameters: [],
+        diagnostics: [],
+        lintFindings: [],
+        duplicates: []
+    };
+}
+
+/**
+ * Runs every analysis step over a parsed workbook, filling parsedData
+ * @param {Document|XmlElement} xmlDoc - The parsed workbook
+ * @param {function(string): void} [onStage] - Called as the analysis reaches the 'fields' and 'dependencies' stages
+ */
+function analyzeWorkbook(xmlDoc, onStage) {
+    const reportStage = (stage) => {
+        if (typeof onStage === 'function') onStage(stage);
+    };
+
+    // Extract fields from all datasources
+    reportStage('fields');
+    const datasources = xmlDoc.getElementsByTagName('datasource');
+    parsedData.fields = [];
+    parsedData.dataSources = [];
+    const tempFields = []; // Temporary array to store all fields before deduplication
+    const fieldFolders = new Map(); // field key -> folder name in the Data pane
+
+    // First pass: collect all fields
+    Array.from(datasources).forEach(datasource => {
+        const dsName = datasource.getAttribute('name') || datasource.getAttribute('caption') || 'Unknown';
+        const dsCaption = datasource.getAttribute('caption') || dsName;
+        const existingDs = parsedData.dataSources.find(ds => ds.name === dsName);
+        if (dsName !== 'Parameters' && !existingDs) {
+            parsedData.dataSources.push(Object.assign({ name: dsName, caption: dsCaption }, parseDataSourceConnection(datasource)));
+        } else if (existingDs) {
+            if (datasource.getAttribute('caption')) existingDs.caption = dsCaption;
+            // Worksheets repeat datasources as bare references; the connection is on the definition
+            if (existingDs.connections.length === 0) Object.assign(existingDs, parseDataSourceConnection(datasource));
+        }
+
+        // <folder name='Sales'><folder-item name='[Profit]' type='field' /></folder>, directly in the
+        // datasource or inside <folders-common>
+        Array.from(datasource.getElementsByTagName('folder')).forEach(folder => {
+            Array.from(folder.getElementsByTagName('folder-item')).forEach(item => {
+                fieldFolders.set(makeFieldKey(dsName, item.getAttribute('name') || ''), folder.getAttribute('name') || '');
+            });
+        });
+
+        const columns = datasource.getElementsByTagName('column');
+        Array.from(columns).forEach(column => {
+            const caption = column.getAttribute('caption');
+            const nameAttr = column.getAttribute('name') || '';
+            const displayName = caption || nameAttr;
+            const fieldId = nameAttr;
+            const datatype = column.getAttribute('datatype') || 'unknown';
+            const role = column.getAttribute('role') || '';
+
+            // Skip fields without proper role and caption (these are usually internal/duplicate definitions)
+            if (!role && !caption) {
+                return; // Skip this field
+            }
+
+            // Check if it's a calculated field. Parameters also carry a <calculation> holding their
+            // current value, but they are their own entity type rather than calculations.
+            const isParameter = dsName === 'Parameters';
+            const calculationNode = column.getElementsByTagName('calculation')[0];
+            const isCalculated = calculationNode !== undefined && !isParameter;
+            const rawFormula = isCalculated ? calculationNode.getAttribute('formula') || '' : '';
+
+            // Determine field type
+            let fieldType = role === 'dimension' ? 'Dimension' : role === 'measure' ? 'Measure' : 'Unknown';
+            if (isCalculated) {
+                fieldType = 'Calculated Field';
+            } else if (isParameter) {
+                fieldType = 'Parameter';
+            }
+
+            // Clean up display name - remove brackets if present
+            const cleanName = caption || unbracketFieldId(displayName);
+
+            tempFields.push({
+                key: makeFieldKey(dsName, fieldId),
+                name: cleanName,
+                dataType: datatype,
+                fieldType: fieldType,
+                dataSource: dsName,
+                dataSourceCaption: dsCaption,
+                rawFormula: rawFormula,
+                formula: '',
+                fieldId: fieldId,
+                isCalculated: isCalculated,
+                role: role,
+                defaultAggregation: column.getAttribute('default-aggregation') || '',
+                hidden: column.getAttribute('hidden') === 'true',
+                description: getColumnDescription(column),
+                alias: column.getAttribute('alias') || '',
+                aliases: getColumnValueAliases(column),
+                semanticRole: column.getAttribute('semantic-role') || '',
+                hasCaption: !!caption,
+                hasRole: !!role
+            });
+        });
+
+        // Raw columns often have no <column> element and only appear as metadata records
+        const metadataRecords = datasource.getElementsByTagName('metadata-record');
+        Array.from(metadataRecords).forEach(record => {
+            if (record.getAttribute('class') !== 'column') return;
+
+            const localNameNode = record.getElementsByTagName('local-name')[0];
+            const localTypeNode = record.getElementsByTagName('local-type')[0];
+            const aggregationNode = record.getElementsByTagName('aggregation')[0];
+            if (!localNameNode) return;
+
+            const fieldId = localNameNode.textContent.trim();
+            const datatype = localTypeNode ? localTypeNode.textContent.trim() : 'unknown';
+            const isMeasure = datatype === 'integer' || datatype === 'real';
+
+            tempFields.push({
+                key: makeFieldKey(dsName, fieldId),
+                name: unbracketFieldId(fieldId),
+                dataType: datatype,
+                fieldType: isMeasure ? 'Measure' : 'Dimension',
+                dataSource: dsName,
+                dataSourceCaption: dsCaption,
+                rawFormula: '',
+                formula: '',
+                fieldId: fieldId,
+                isCalculated: false,
+                role: isMeasure ? 'measure' : 'dimension',
+                defaultAggregation: aggregationNode ? aggregationNode.textContent.trim() : '',
+                hidden: false,
+                description: '',
+                alias: '',
+                aliases: [],
+                semanticRole: '',
+                hasCaption: false,
+                hasRole: false,
+                fromMetadata: true
+            });
+        });
+    });
+
+    // Datasource captions may only be known after all definitions were read
+    const dsCaptions = new Map(parsedData.dataSources.map(ds => [ds.name, ds.caption]));
+    tempFields.forEach(field => {
+        field.dataSourceCaption = dsCaptions.get(field.dataSource) || field.dataSourceCaption;
+    });
+
+    // Deduplicate fields per datasource: the same internal name in two datasources is two fields.
+    // Prefer <column> definitions with caption and role over metadata records and bare definitions.
+    const fieldMap = new Map();
+    tempFields.forEach(field => {
+        const key = field.key;
+        const existing = fieldMap.get(key);
+
+        if (!existing) {
+            fieldMap.set(key, field);
+        } else if (existing.fromMetadata || field.fromMetadata) {
+            // A <column> definition wins; the metadata record only fills in what it lacks
+            const column = field.fromMetadata ? existing : field;
+            const metadata = field.fromMetadata ? field : existing;
+            if (column.dataType === 'unknown') column.dataType = metadata.dataType;
+            if (column.fieldType === 'Unknown') column.fieldType = metadata.fieldType;
+            if (!column.role) column.role = metadata.role;
+            if (!column.defaultAggregation) column.defaultAggregation = metadata.defaultAggregation;
+            fieldMap.set(key, column);
+        } else {
+            // Prefer field with caption and valid role
+            if (field.hasCaption && field.fieldType !== 'Unknown') {
+                fieldMap.set(key, field);
+            } else if (!existing.hasCaption && field.hasCaption) {
+                fieldMap.set(key, field);
+            } else if (existing.fieldType === 'Unknown' && field.fieldType !== 'Unknown') {
+                fieldMap.set(key, field);
+            }
+        }
+    });
+
+    // Convert map back to array and filter out Unknown types
+    parsedData.fields = Array.from(fieldMap.values()).filter(field => field.fieldType !== 'Unknown');
+
+    // Clean up temporary properties
+    parsedData.fields.forEach(field => {
+        delete field.hasCaption;
+        delete field.hasRole;
+        delete field.fromMetadata;
+        field.folder = fieldFolders.get(field.key) || '';
+    });
+
+    // Second pass: replace field IDs in formulas with captions
+    reportStage('dependencies');
+    const fieldIndex = buildFieldIndex();
+    replaceFormulaFieldIds(fieldIndex);
+
+    // Analyze dependencies
+    analyzeDependencies(fieldIndex);
+    classifyCalculations(fieldIndex);
+
+    // Cross-reference worksheets to find used and unused fields
+    analyzeFieldUsage(xmlDoc, fieldIndex);
+    analyzeTableCalcSettings(xmlDoc, fieldIndex);
+    parseDashboards(xmlDoc);
+    parseParameters(xmlDoc);
+
+    // Report broken references and circular dependencies
+    analyzeDiagnostics(fieldIndex);
+    analyzeLint(fieldIndex);
+    analyzeDuplicates(fieldIndex);
+}
+
+/**
+ * Reads the connection of a datasource definition. Federated connections hold one
+ * named connection per underlying source; older workbooks put the attributes on <connection> itself.
+ * @param {Element} datasource - A <datasource> element
+ * @returns {{connectionClass: string, connections: Array<object>, tables: Array<string>, hasExtract: boolean}}
+ */
+function parseDataSourceConnection(datasource) {
+    const connection = Array.from(datasource.children).find(child => child.tagName === 'connection');
+    const extract = Array.from(datasource.children).find(child => child.tagName === 'extract');
+    const info = {
+        connectionClass: connection ? connection.getAttribute('class') || '' : '',
+        connections: [],
+        tables: [],
+        hasExtract: !!extract && extract.getAttribute('enabled') !== 'false'
+    };
+    if (!connection) return info;
+
+    const describe = (conn, name, caption) => ({
+        name: name,
+        caption: caption,
+        connectionClass: conn.getAttribute('class') || '',
+        server: conn.getAttribute('server') || '',
+        port: conn.getAttribute('port') || '',
+        database: conn.getAttribute('dbname') || '',
+        schema: conn.getAttribute('schema') || '',
+        filename: [conn.getAttribute('directory'), conn.getAttribute('filename')].filter(Boolean).join('/'),
+        username: conn.getAttribute('username') || '',
+        authentication: conn.getAttribute('authentication') || ''
+    });
+
+    const namedConnections = Array.from(connection.getElementsByTagName('named-connection'));
+    if (namedConnections.length > 0) {
+        namedConnections.forEach(named => {
+            const inner = named.getElementsByTagName('connection')[0];
+            if (inner) info.connections.push(describe(inner, named.getAttribute('name') || '', named.getAttribute('caption') || ''));
+        });
+    } else {
+        info.connections.push(describe(connection, '', ''));
+    }
+
+    Array.from(connection.getElementsByTagName('relation')).forEach(relation => {
+        const table = relation.getAttribute('type') === 'text' ? 'Custom SQL' : relation.getAttribute('table');
+        if (table && !info.tables.includes(table)) info.tables.push(table);
+    });
+
+    return info;
+}
+
+// Description text from <desc><formatted-text><run>...</run></formatted-text></desc>
+function getColumnDescription(column) {
+    const desc = Array.from(column.children).find(child => child.tagName === 'desc');
+    if (!desc) return '';
+    return Array.from(desc.getElementsByTagName('run')).map(run => run.textContent).join('').trim();
+}
+
+// Display aliases for member values: <aliases><alias key='"East"' value='Eastern' /></aliases>
+function getColumnValueAliases(column) {
+    const aliases = Array.from(column.children).find(child => child.tagName === 'aliases');
+    if (!aliases) return [];
+    return Array.from(aliases.getElementsByTagName('alias')).map(alias => ({
+        value: decodeCalcLiteral(alias.getAttribute('key') || ''),
+        alias: alias.getAttribute('value') || ''
+    }));
+}
+
+// Member values are stored as calculation literals: "East", #2024-01-01#, 10
+function decodeCalcLiteral(literal) {
+    const parsed = parseCalc(literal);
+    if (parsed.ast && parsed.ast.type === 'Literal') {
+        return parsed.ast.value === null ? 'Null' : String(parsed.ast.value);
+    }
+    return literal;
+}
+
+/**
+ * Builds the key that identifies a field: its datasource plus its internal name,
+ * in Tableau's own qualified form, e.g. [federated.0abc].[Sales]
+ * @param {string} dataSource - Datasource internal name
+ * @param {string} fieldId - Internal field name, with or without brackets
+ * @returns {string}
+ */
+function makeFieldKey(dataSource, fieldId) {
+    return formatCalcFieldRef(unbracketFieldId(fieldId), dataSource);
+}
+
+// [Sales]] Q1] -> Sales] Q1
+function unbracketFieldId(fieldId) {
+    const id = fieldId || '';
+    if (id.startsWith('[') && id.endsWith(']')) {
+        return id.slice(1, -1).replace(/\]\]/g, ']');
+    }
+    return id;
+}
+
+/**
+ * Indexes parsed fields by key and by datasource-scoped caption for reference resolution
+ * @returns {{byKey: Map<string, object>, byCaption: Map<string, object>}}
+ */
+function buildFieldIndex() {
+    const byKey = new Map();
+    const byCaption = new Map();
+
+    parsedData.fields.forEach(field => {
+        byKey.set(field.key, field);
+        const captionKey = makeFieldKey(field.dataSource, field.name);
+        if (!byCaption.has(captionKey)) {
+            byCaption.set(captionKey, field);
+        }
+    });
+
+    return { byKey, byCaption };
+}
+
+/**
+ * Resolves a formula reference to a field.
+ * Unqualified references are looked up in the formula's own datasource, then in Parameters;
+ * qualified references ([ds].[field]) only in the named datasource.
+ * @param {object} ref - Reference from getCalcFieldRefs()
+ * @param {object} contextField - The field whose formula contains the reference
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {object|null}
+ */
+function resolveFieldRef(ref, contextField, fieldIndex) {
+    const scopes = ref.datasource ? [ref.datasource] : [contextField.dataSource, 'Parameters'];
+
+    for (const dsName of scopes) {
+        const key = makeFieldKey(dsName, ref.name);
+        const field = fieldIndex.byKey.get(key) || fieldIndex.byCaption.get(key);
+        if (field) return field;
+    }
+    return null;
+}
+
+function replaceFormulaFieldIds(fieldIndex) {
+    // Parse formulas and replace field IDs in references with captions.
+    // Comments, string literals and whitespace are left exactly as written.
+    parsedData.fields.forEach(field => {
+        if (field.rawFormula) {
+            field.parsedFormula = parseCalc(field.rawFormula);
+            field.formula = formatFormulaForDisplay(field.parsedFormula, field, fieldIndex);
+        }
+    });
+}
+
+/**
+ * Formula text as the user sees it: field IDs replaced by captions, references to the same
+ * datasource and to parameters as [Caption], other datasources as [Datasource].[Caption].
+ * Unresolved references are kept as written.
+ * @param {object} parsed - Result of parseCalc()
+ * @param {object} field - The field the formula belongs to
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @param {function(object): string} [nameOf] - Caption to show for a referenced field
+ * @returns {string}
+ */
+function formatFormulaForDisplay(parsed, field, fieldIndex, nameOf) {
+    return rewriteCalcFieldRefs(parsed, ref => formatFieldRefForDisplay(ref, field, fieldIndex, nameOf));
+}
+
+/**
+ * One reference of a formula as the user sees it
+ * @param {object} ref - Reference from getCalcFieldRefs()
+ * @param {object} field - The field the formula belongs to
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @param {function(object): string} [nameOf] - Caption to show for a referenced field
+ * @returns {string|null} null when the reference does not resolve
+ */
+function formatFieldRefForDisplay(ref, field, fieldIndex, nameOf = refField => refField.name) {
+    const refField = resolveFieldRef(ref, field, fieldIndex);
+    if (!refField) return null;
+
+    const sameScope = refField.dataSource === field.dataSource || refField.dataSource === 'Parameters';
+    return formatCalcFieldRef(nameOf(refField), sameScope ? null : refField.dataSourceCaption);
+}
+
+function analyzeDependencies(fieldIndex) {
+    parsedData.dependencies = [];
+
+    // Find dependencies in calculated fields from the parsed formula
+    parsedData.fields.forEach(field => {
+        field.unresolvedRefs = [];
+        if (field.isCalculated && field.parsedFormula) {
+            const dependencies = new Set();
+
+            getCalcFieldRefs(field.parsedFormula).forEach(ref => {
+                const refField = resolveFieldRef(ref, field, fieldIndex);
+
+                if (!refField) {
+                    // Keep it for diagnostics instead of dropping it
+                    field.unresolvedRefs.push(ref);
+                } else if (refField.key !== field.key) {
+                    dependencies.add(refField.key);
+                }
+            });
+
+            // Add dependencies (by field key)
+            dependencies.forEach(depKey => {
+                parsedData.dependencies.push({
+                    from: depKey,
+                    to: field.key
+                });
+            });
+        }
+    });
+}
+
+/**
+ * Resolves a worksheet column reference such as [federated.0abc].[sum:Sales:qk]
+ * (datasource + column instance) to the underlying field
+ * @param {string} dsName - Datasource internal name
+ * @param {string} instanceName - Column instance name without brackets
+ * @param {Map<string, string>} instanceColumns - Instance key -> field key, from <column-instance> elements
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {object|null}
+ */
+function resolveColumnInstance(dsName, instanceName, instanceColumns, fieldIndex) {
+    const instanceKey = makeFieldKey(dsName, instanceName);
+    const columnKey = instanceColumns.get(instanceKey);
+    if (columnKey && fieldIndex.byKey.has(columnKey)) {
+        return fieldIndex.byKey.get(columnKey);
+    }
+    if (fieldIndex.byKey.has(instanceKey)) {
+        return fieldIndex.byKey.get(instanceKey);
+    }
+
+    // Fall back to the derivation:name:type naming convention, e.g. none:Region:nk or pcto:sum:Sales:qk
+    const parts = instanceName.split(':');
+    for (let start = 1; start < parts.length - 1; start++) {
+        const key = makeFieldKey(dsName, parts.slice(start, -1).join(':'));
+        if (fieldIndex.byKey.has(key)) return fieldIndex.byKey.get(key);
+    }
+    return null;
+}
+
+/**
+ * Flags every field as used directly on a worksheet, used only through other calculations, or unused.
+ * Direct use comes from each worksheet's column instances, shelves (rows, cols, slices), filters and
+ * mark encodings; indirect use follows parsedData.dependencies upstream from directly used fields.
+ * @param {Document} xmlDoc - The parsed workbook
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ */
+function analyzeFieldUsage(xmlDoc, fieldIndex) {
+    parsedData.worksheets = [];
+    const directUse = new Map(); // field key -> Set of worksheet names
+    const inputsOf = buildDependencyInputs();
+
+    const markUsed = (field, sheetName) => {
+        if (!field) return;
+        if (!directUse.has(field.key)) directUse.set(field.key, new Set());
+        directUse.get(field.key).add(sheetName);
+    };
+
+    Array.from(xmlDoc.getElementsByTagName('worksheet')).forEach(worksheet => {
+        const sheetName = worksheet.getAttribute('name') || 'Untitled';
+        const instanceColumns = new Map();
+        const listedFields = [];
+        const usedKeys = new Set();
+        const dataSources = new Set();
+
+        const use = (field) => {
+            if (!field) return;
+            usedKeys.add(field.key);
+            markUsed(field, sheetName);
+        };
+
+        // Columns and column instances the sheet declares, per datasource
+        Array.from(worksheet.getElementsByTagName('datasource-dependencies')).forEach(deps => {
+            const dsName = deps.getAttribute('datasource');
+            if (!dsName) return;
+            dataSources.add(dsName);
+
+            Array.from(deps.children).forEach(child => {
+                const name = child.getAttribute('name');
+                if (!name) return;
+                if (child.tagName === 'column') {
+                    listedFields.push(fieldIndex.byKey.get(makeFieldKey(dsName, name)));
+                } else if (child.tagName === 'column-instance') {
+                    const columnKey = makeFieldKey(dsName, child.getAttribute('column') || '');
+                    instanceColumns.set(makeFieldKey(dsName, name), columnKey);
+                    use(fieldIndex.byKey.get(columnKey));
+                }
+            });
+        });
+
+        // Qualified references on shelves, filters and encodings
+        const useReferences = (text) => {
+            tokenizeCalc(text).tokens.forEach(token => {
+                if (token.type === 'field' && token.datasource) {
+                    use(resolveColumnInstance(token.datasource, token.name, instanceColumns, fieldIndex));
+                }
+            });
+        };
+
+        ['rows', 'cols'].forEach(shelf => {
+            Array.from(worksheet.getElementsByTagName(shelf)).forEach(el => useReferences(el.textContent));
+        });
+        Array.from(worksheet.getElementsByTagName('slices')).forEach(el => useReferences(el.textContent));
+        Array.from(worksheet.getElementsByTagName('filter')).forEach(el => useReferences(el.getAttribute('column') || ''));
+        Array.from(worksheet.getElementsByTagName('encodings')).forEach(encodings => {
+            Array.from(encodings.children).forEach(el => useReferences(el.getAttribute('column') || ''));
+        });
+
+        // Anything else the sheet declares counts as used unless a used calculation already explains it
+        const upstream = collectUpstreamKeys(usedKeys, inputsOf);
+        listedFields.forEach(field => {
+            if (field && !usedKeys.has(field.key) && !upstream.has(field.key)) {
+                use(field);
+            }
+        });
+
+        parsedData.worksheets.push({
+            name: sheetName,
+            dataSources: Array.from(dataSources),
+            fields: Array.from(usedKeys)
+        });
+    });
+
+    const indirectUse = collectUpstreamKeys(new Set(directUse.keys()), inputsOf);
+
+    parsedData.fields.forEach(field => {
+        field.worksheets = directUse.has(field.key) ? Array.from(directUse.get(field.key)) : [];
+        if (field.worksheets.length > 0) {
+            field.usage = 'direct';
+        } else if (indirectUse.has(field.key)) {
+            field.usage = 'indirect';
+        } else {
+            field.usage = 'unused';
+        }
+    });
+}
+
+/**
+ * Lists dashboards and the worksheets placed on them (zones named after a worksheet)
+ * @param {Document} xmlDoc - The parsed workbook
+ */
+function parseDashboards(xmlDoc) {
+    const sheetNames = new Set(parsedData.worksheets.map(sheet => sheet.name));
+    parsedData.dashboards = [];
+
+    Array.from(xmlDoc.getElementsByTagName('dashboard')).forEach(dashboard => {
+        const worksheets = new Set();
+        Array.from(dashboard.getElementsByTagName('zone')).forEach(zone => {
+            const name = zone.getAttribute('name');
+            if (name && sheetNames.has(name)) worksheets.add(name);
+        });
+
+        parsedData.dashboards.push({
+            name: dashboard.getAttribute('name') || 'Untitled',
+            worksheets: Array.from(worksheets)
+        });
+    });
+}
+
+/**
+ * Maps each field key to the keys of the fields it uses directly
+ * @returns {Map<string, Array<string>>}
+ */
+function buildDependencyInputs() {
+    const inputsOf = new Map();
+    parsedData.dependencies.forEach(dep => {
+        if (!inputsOf.has(dep.to)) inputsOf.set(dep.to, []);
+        inputsOf.get(dep.to).push(dep.from);
+    });
+    return inputsOf;
+}
+
+/**
+ * Collects every field key that the given fields depend on, transitively
+ * @param {Set<string>} keys - Field keys to start from
+ * @param {Map<string, Array<string>>} [inputsOf] - Result of buildDependencyInputs(); pass it when calling repeatedly
+ * @returns {Set<string>} Upstream keys, not including the starting keys unless they are part of a chain
+ */
+function collectUpstreamKeys(keys, inputsOf = buildDependencyInputs()) {
+    const upstream = new Set();
+    const stack = Array.from(keys);
+    while (stack.length > 0) {
+        const key = stack.pop();
+        (inputsOf.get(key) || []).forEach(input => {
+            if (!upstream.has(input)) {
+                upstream.add(input);
+                stack.push(input);
+            }
+        });
+    }
+    return upstream;
+}
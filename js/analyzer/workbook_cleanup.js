@@ -0,0 +1,407 @@
+/**
+ * Workbook Cleanup
+ * Removes what the field usage analysis finds unused: calculated fields and parameters that no
+ * worksheet, dashboard or kept calculation needs. Fields referenced by actions, filters, sets, tooltips
+ * and other workbook text are never removed, even when no sheet shows them. Unused hidden columns are
+ * removed where the connection declares its columns itself; elsewhere Tableau would read them back
+ * from the data, so they stay hidden. The result is downloaded with an audit log of what was removed
+ * and why.
+ */
+
+const CLEANUP_CATEGORIES = {
+    calculation: {
+        title: 'Unused calculations',
+        reason: 'Not used on any worksheet or by any calculation that is kept'
+    },
+    hidden: {
+        title: 'Unused hidden columns',
+        reason: 'Hidden, and not used on any worksheet or by any calculation that is kept'
+    },
+    parameter: {
+        title: 'Orphan parameters',
+        reason: 'Not referenced by any worksheet or calculation that is kept'
+    }
+};
+
+// Parts of the workbook that may name a field outside of formulas and worksheet shelves
+const CLEANUP_REFERENCE_SOURCES = [
+    { tagName: 'action', describe: (el) => `action "${el.getAttribute('caption') || unbracketFieldId(el.getAttribute('name'))}"` },
+    { tagName: 'filter', describe: (el) => `a filter on ${describeCleanupOwner(el)}` },
+    { tagName: 'group', describe: (el) => `set "${el.getAttribute('caption') || unbracketFieldId(el.getAttribute('name'))}"` },
+    { tagName: 'customized-tooltip', describe: (el) => `the tooltip of ${describeCleanupOwner(el)}` },
+    // Titles, captions and text objects; tooltips are listed above and field descriptions are prose
+    {
+        tagName: 'formatted-text',
+        skip: (el) => el.parentNode.tagName === 'customized-tooltip' || el.parentNode.tagName === 'desc',
+        describe: (el) => `text on ${describeCleanupOwner(el)}`
+    },
+    { tagName: 'relation', describe: (el) => `the connection of ${describeCleanupOwner(el)}` }
+];
+
+let cleanupState = null; // { workbook, candidates, references, excluded: Set of field keys, plan }
+
+async function openWorkbookCleanup() {
+    closeEditWorkbookMenu();
+    cleanupState = null;
+    openEditDialog('Clean up workbook', parsedData.workbookName, 'Download cleaned workbook');
+
+    let workbook;
+    try {
+        workbook = await readWorkbookForEditing();
+    } catch (error) {
+        closeEditDialog();
+        showToast('Error reading workbook: ' + error.message, 'error');
+        return;
+    }
+    if (!isEditDialogOpen()) return;
+
+    const fieldIndex = buildFieldIndex();
+    cleanupState = {
+        workbook,
+        candidates: findCleanupCandidates(workbook.doc),
+        references: collectCleanupReferences(workbook.doc, fieldIndex),
+        excluded: new Set(),
+        plan: null
+    };
+    updateCleanupPreview();
+}
+
+/**
+ * Fields the usage analysis marks unused, by cleanup category
+ * @param {XmlElement} doc - Result of parseXml()
+ * @returns {Array<{field: object, category: string, connection?: Array<XmlElement>, keptReason?: string}>}
+ *   Hidden columns come with the connection elements that declare them, or why they cannot be removed
+ */
+function findCleanupCandidates(doc) {
+    const candidates = [];
+    parsedData.fields.forEach(field => {
+        if (field.usage !== 'unused') return;
+        if (field.fieldType === 'Parameter') {
+            candidates.push({ field, category: 'parameter' });
+        } else if (field.isCalculated) {
+            candidates.push({ field, category: 'calculation' });
+        } else if (field.hidden) {
+            const { elements, reason } = findConnectionColumn(doc, field);
+            candidates.push(reason ? { field, category: 'hidden', keptReason: reason } : { field, category: 'hidden', connection: elements });
+        }
+    });
+    return candidates;
+}
+
+/**
+ * Where the connection declares a raw column: its metadata records and its entry in the column list
+ * of the table it comes from. Tableau reads columns back from the database or the extract, and a
+ * removed column would return unhidden, so only columns the connection lists itself (Excel and text
+ * tables) can go, and only while no extract is in use.
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {object} field - A hidden raw column
+ * @returns {{elements: Array<XmlElement>, reason: string|null}} Elements to remove, or why the column cannot be
+ */
+function findConnectionColumn(doc, field) {
+    const datasource = findDataSourceElement(doc, field.dataSource);
+    if (!datasource) return { elements: [], reason: 'Its data source was not found in the workbook XML' };
+    const extract = datasource.children.find(child => child.tagName === 'extract');
+    if (extract && extract.getAttribute('enabled') !== 'false') {
+        return { elements: [], reason: 'Cannot be removed from the extract; stays hidden' };
+    }
+
+    const childText = (element, tagName) => {
+        const child = element.children.find(c => c.tagName === tagName);
+        return child ? child.textContent.trim() : '';
+    };
+    const records = datasource.getElementsByTagName('metadata-record').filter(record => record.getAttribute('class') === 'column' &&
+        !isInsideXmlElement(record, 'extract', datasource) && childText(record, 'local-name') === field.fieldId);
+    const tableColumns = [];
+    records.forEach(record => {
+        const table = unbracketFieldId(childText(record, 'parent-name'));
+        const remoteName = childText(record, 'remote-name');
+        datasource.getElementsByTagName('relation')
+            .filter(relation => relation.getAttribute('name') === table && !isInsideXmlElement(relation, 'extract', datasource))
+            .forEach(relation => relation.children.filter(child => child.tagName === 'columns').forEach(columns => {
+                tableColumns.push(...columns.children.filter(column => column.tagName === 'column' && column.getAttribute('name') === remoteName));
+            }));
+    });
+    if (tableColumns.length === 0) {
+        return { elements: [], reason: 'Cannot be removed from the connection, which reads its columns from the data; stays hidden' };
+    }
+    return { elements: records.concat(tableColumns), reason: null };
+}
+
+function isInsideXmlElement(element, tagName, root) {
+    for (let node = element.parentNode; node && node !== root; node = node.parentNode) {
+        if (node.tagName === tagName) return true;
+    }
+    return false;
+}
+
+// Worksheet, dashboard or window an element belongs to, or its datasource
+function describeCleanupOwner(element) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+        if (node.tagName === 'worksheet' || node.tagName === 'dashboard' || node.tagName === 'window') {
+            return node.getAttribute('name') || 'Untitled';
+        }
+        if (node.tagName === 'datasource') {
+            return `data source ${node.getAttribute('caption') || node.getAttribute('name')}`;
+        }
+    }
+    return 'the workbook';
+}
+
+// Datasource an unqualified reference inside an element belongs to, if the element says
+function getCleanupContextDataSource(element) {
+    for (let node = element; node; node = node.parentNode) {
+        if (node.tagName === 'datasource-dependencies') return node.getAttribute('datasource');
+        if (node.tagName === 'datasource') return node.getAttribute('name') || node.getAttribute('caption');
+    }
+    return null;
+}
+
+/**
+ * What protects fields from removal besides formulas: references from actions, filters, sets, tooltips
+ * and other text, parameter controls, and the columns that groups and bins are built on
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {{protectedBy: Map<string, Set<string>>, dependencies: Array<{from: string, to: string}>}}
+ *   protectedBy maps field keys to why they must stay; dependencies add to parsedData.dependencies
+ */
+function collectCleanupReferences(doc, fieldIndex) {
+    const protectedBy = new Map();
+    const protect = (field, reason) => {
+        if (!protectedBy.has(field.key)) protectedBy.set(field.key, new Set());
+        protectedBy.get(field.key).add(reason);
+    };
+    // Every attribute value and the text of an element and its descendants
+    const textsOf = (element, skipAttribute) => {
+        const texts = [element.textContent];
+        [element].concat(element.getElementsByTagName('*')).forEach(el => {
+            Object.keys(el.attributes).forEach(name => {
+                if (name !== skipAttribute) texts.push(el.attributes[name]);
+            });
+        });
+        return texts;
+    };
+
+    CLEANUP_REFERENCE_SOURCES.forEach(source => {
+        doc.getElementsByTagName(source.tagName).forEach(element => {
+            if (source.skip && source.skip(element)) return;
+            const reason = `Referenced by ${source.describe(element)}`;
+            const context = getCleanupContextDataSource(element);
+            textsOf(element).forEach(text => {
+                findFieldsInXmlText(text, context, fieldIndex).forEach(field => protect(field, reason));
+            });
+        });
+    });
+
+    // Filter actions list the fields they filter on by caption
+    doc.getElementsByTagName('param').forEach(param => {
+        if (param.getAttribute('name') !== 'field-captions') return;
+        const captions = new Set((param.getAttribute('value') || '').split(',').map(caption => caption.trim()));
+        const action = param.parentNode && param.parentNode.parentNode;
+        const reason = `Referenced by action "${action ? action.getAttribute('caption') || unbracketFieldId(action.getAttribute('name')) : ''}"`;
+        parsedData.fields.filter(field => captions.has(field.name)).forEach(field => protect(field, reason));
+    });
+
+    doc.getElementsByTagName('*').forEach(element => {
+        if (!element.hasAttribute('param')) return;
+        // Parameter controls and quick filters: <zone param='[Parameters].[Parameter 1]' type='paramctrl'>
+        const reason = `Shown as a control on ${describeCleanupOwner(element)}`;
+        findFieldsInXmlText(element.getAttribute('param'), 'Parameters', fieldIndex).forEach(field => protect(field, reason));
+    });
+
+    // Groups and bins name their column outside of the formula; they need it as long as they are kept
+    const dependencies = [];
+    doc.getElementsByTagName('calculation').forEach(calculation => {
+        const column = calculation.parentNode;
+        const dsName = getCleanupContextDataSource(column);
+        if (column.tagName !== 'column' || !dsName) return;
+        const owner = fieldIndex.byKey.get(makeFieldKey(dsName, column.getAttribute('name') || ''));
+        textsOf(calculation, 'formula').forEach(text => {
+            findFieldsInXmlText(text, dsName, fieldIndex).forEach(field => {
+                if (!owner) {
+                    protect(field, `Referenced by ${unbracketFieldId(column.getAttribute('name'))}`);
+                } else if (field !== owner) {
+                    dependencies.push({ from: field.key, to: owner.key });
+                }
+            });
+        });
+    });
+
+    return { protectedBy, dependencies };
+}
+
+/**
+ * Decides what is removed. Candidates are kept when they cannot be removed at all (hidden columns the
+ * connection reads from the data), when something protects them, when the user unchecked them, or when anything kept still uses them,
+ * directly or through other kept calculations.
+ * @param {Array<{field: object, category: string}>} candidates - Result of findCleanupCandidates()
+ * @param {object} references - Result of collectCleanupReferences()
+ * @param {Set<string>} excluded - Keys of candidates the user chose to keep
+ * @returns {{removed: Array<object>, kept: Array<object>}} Candidates with the reason for the decision
+ */
+function planWorkbookCleanup(candidates, references, excluded) {
+    const keptReasons = new Map();
+    candidates.forEach(({ field, keptReason }) => {
+        if (keptReason) {
+            keptReasons.set(field.key, keptReason);
+        } else if (references.protectedBy.has(field.key)) {
+            keptReasons.set(field.key, Array.from(references.protectedBy.get(field.key)).join('; '));
+        } else if (excluded.has(field.key)) {
+            keptReasons.set(field.key, 'Unchecked');
+        }
+    });
+    const removable = new Set(candidates.map(c => c.field.key).filter(key => !keptReasons.has(key)));
+
+    // Walk upstream from everything that stays
+    const inputsOf = new Map();
+    parsedData.dependencies.concat(references.dependencies).forEach(dep => {
+        if (!inputsOf.has(dep.to)) inputsOf.set(dep.to, []);
+        inputsOf.get(dep.to).push(dep.from);
+    });
+    const fieldIndex = buildFieldIndex();
+    const stack = Array.from(inputsOf.keys()).filter(key => !removable.has(key));
+    while (stack.length > 0) {
+        const key = stack.pop();
+        (inputsOf.get(key) || []).forEach(input => {
+            if (!removable.has(input)) return;
+            removable.delete(input);
+            const user = fieldIndex.byKey.get(key);
+            keptReasons.set(input, `Used by ${user ? user.name : unbracketFieldId(key)}, which is kept`);
+            stack.push(input);
+        });
+    }
+
+    const removed = [];
+    const kept = [];
+    candidates.forEach(candidate => {
+        if (removable.has(candidate.field.key)) {
+            removed.push(Object.assign({ reason: CLEANUP_CATEGORIES[candidate.category].reason }, candidate));
+        } else {
+            kept.push(Object.assign({ reason: keptReasons.get(candidate.field.key) }, candidate));
+        }
+    });
+    return { removed, kept };
+}
+
+function updateCleanupPreview() {
+    if (!cleanupState) return;
+    const { candidates, references, excluded } = cleanupState;
+    const plan = planWorkbookCleanup(candidates, references, excluded);
+    cleanupState.plan = plan;
+
+    const emptyText = (text) => `<p class="text-sm text-gray-400">${text}</p>`;
+    const sections = Object.entries(CLEANUP_CATEGORIES).map(([category, info]) => {
+        const items = candidates.filter(c => c.category === category);
+        const decisions = new Map(plan.removed.concat(plan.kept).map(item => [item.field.key, item]));
+        return `
+          <section>
+            <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${info.title} (${items.length})</h4>
+            ${items.length === 0 ? emptyText('Nothing found') : `
+              <ul class="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200">
+                ${items.map(({ field, keptReason }) => {
+                    const decision = decisions.get(field.key);
+                    const isProtected = references.protectedBy.has(field.key) && !keptReason;
+                    const isRemoved = plan.removed.includes(decision);
+                    return `<li class="flex items-start gap-2">
+                      <input type="checkbox" data-cleanup-field="${escapeHtml(field.key)}" ${isRemoved ? 'checked' : ''} ${isProtected || keptReason ? 'disabled' : ''}
+                        class="mt-0.5 rounded border-gray-300 text-primary-500 focus:ring-primary-500 disabled:opacity-50" />
+                      <span class="min-w-0">
+                        <span class="${isRemoved ? '' : 'text-gray-400'}">${escapeHtml(field.name)}</span>
+                        <span class="text-xs text-gray-400">${escapeHtml(field.dataSourceCaption)}</span>
+                        ${isRemoved ? '' : `<span class="block text-xs ${isProtected ? 'text-amber-600 dark:text-amber-400' : 'text-gray-400'}">Kept: ${escapeHtml(decision.reason)}</span>`}
+                      </span>
+                    </li>`;
+                }).join('')}
+              </ul>
+            `}
+          </section>
+        `;
+    });
+
+    document.getElementById('edit-dialog-body').innerHTML = sections.join('') +
+        (candidates.some(c => c.category === 'hidden')
+            ? '<p class="text-xs text-gray-400">Hidden columns are removed together with their entries in the connection. Columns a database or an extract provides cannot be: Tableau would read them back, no longer hidden.</p>'
+            : '');
+    document.querySelectorAll('#edit-dialog-body [data-cleanup-field]').forEach(checkbox => {
+        checkbox.onchange = () => {
+            const key = checkbox.getAttribute('data-cleanup-field');
+            if (checkbox.checked) {
+                excluded.delete(key);
+            } else {
+                excluded.add(key);
+            }
+            updateCleanupPreview();
+        };
+    });
+
+    const count = plan.removed.length;
+    setEditDialogAction(count > 0 ? applyWorkbookCleanup : null,
+        count > 0 ? `${count} field${count === 1 ? '' : 's'} will be removed` : 'Nothing to remove');
+}
+
+/**
+ * Edits that remove fields: their definitions and worksheet copies, their folder entries and their
+ * places in hierarchies (folders and hierarchies left empty go too), and for hidden columns the
+ * connection's metadata records and table column entries
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {Array<{field: object, connection?: Array<XmlElement>}>} items - Candidates to remove
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function buildCleanupEdits(doc, items) {
+    const edits = [];
+    const removedIds = new Map(); // datasource name -> Set of field ids
+    items.forEach(({ field, connection }) => {
+        findFieldColumns(doc, field).forEach(column => edits.push(removeXmlElement(column)));
+        (connection || []).forEach(element => edits.push(removeXmlElement(element)));
+        if (!removedIds.has(field.dataSource)) removedIds.set(field.dataSource, new Set());
+        removedIds.get(field.dataSource).add(field.fieldId);
+    });
+
+    doc.getElementsByTagName('datasource').forEach(datasource => {
+        const ids = removedIds.get(datasource.getAttribute('name') || datasource.getAttribute('caption'));
+        if (!ids) return;
+        edits.push(...removeFolderItems(datasource, ids));
+        edits.push(...removeDrillPathFields(datasource, ids));
+    });
+    return edits;
+}
+
+/**
+ * Markdown audit log of a cleanup
+ * @param {string} workbookName - Name of the cleaned workbook
+ * @param {{removed: Array<object>, kept: Array<object>}} plan - Result of planWorkbookCleanup()
+ * @returns {string}
+ */
+function buildCleanupAuditLog(workbookName, plan) {
+    const cell = text => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    const table = (items) => items.length === 0 ? ['None', ''] : [
+        '| Type | Field | Data Source | Internal Name | Reason |',
+        '| --- | --- | --- | --- | --- |',
+        ...items.map(item => `| ${CLEANUP_CATEGORIES[item.category].title} | ${cell(item.field.name)} | ${cell(item.field.dataSourceCaption)} | ${cell(item.field.fieldId)} | ${cell(item.reason)} |`),
+        ''
+    ];
+
+    return [
+        `# Workbook cleanup: ${workbookName}`,
+        '',
+        `Cleaned ${new Date().toISOString()}`,
+        '',
+        `## Removed (${plan.removed.length})`,
+        '',
+        ...table(plan.removed),
+        `## Kept (${plan.kept.length})`,
+        '',
+        ...table(plan.kept)
+    ].join('\n');
+}
+
+async function applyWorkbookCleanup() {
+    const { workbook, plan } = cleanupState;
+    const xml = applyXmlEdits(workbook.xml, buildCleanupEdits(workbook.doc, plan.removed));
+    const log = buildCleanupAuditLog(workbook.name, plan);
+    cleanupState = null;
+
+    const file = await saveEditedWorkbook(workbook, xml);
+    const logName = file.name.replace(/\.(twb|twbx)$/i, '_cleanup.md');
+    downloadTextFile(log, logName, 'text/markdown');
+    showToast(`Removed ${plan.removed.length} field${plan.removed.length === 1 ? '' : 's'}; downloaded ${file.name} and ${logName}`, 'success');
+}
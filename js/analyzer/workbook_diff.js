@@ -0,0 +1,530 @@
+/**
+ * Workbook Diff
+ * Compares the loaded workbook with another version of it: fields matched by datasource and
+ * internal name, formula text diffs, worksheets, dashboards and connections. Shown as a report
+ * and as an overlay on the lineage graph, with removed items drawn as ghost nodes.
+ */
+
+const DIFF_CHANGE_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    renamed: 'Renamed',
+    modified: 'Modified'
+};
+
+// Field properties compared between versions; the formula is compared on the stored (ID-based)
+// text so renaming an input does not show up as a formula change
+const DIFF_FIELD_PROPERTIES = [
+    { id: 'name', label: 'Name', value: field => field.name },
+    { id: 'dataType', label: 'Data Type', value: field => field.dataType },
+    { id: 'role', label: 'Role', value: field => field.role },
+    { id: 'fieldType', label: 'Field Type', value: field => field.fieldType },
+    { id: 'formula', label: 'Formula', value: field => field.rawFormula },
+    { id: 'defaultAggregation', label: 'Default Aggregation', value: field => field.defaultAggregation },
+    { id: 'hidden', label: 'Hidden', value: field => field.hidden ? 'Yes' : 'No' },
+    { id: 'description', label: 'Description', value: field => field.description }
+];
+
+const DIFF_CONNECTION_PROPERTIES = [
+    ['connectionClass', 'Connection Type'],
+    ['server', 'Server'],
+    ['port', 'Port'],
+    ['database', 'Database'],
+    ['schema', 'Schema'],
+    ['filename', 'File'],
+    ['username', 'Username'],
+    ['authentication', 'Authentication']
+];
+
+// Result of diffWorkbooks() for the loaded workbook, and the version it was compared with
+let workbookDiff = null;
+let diffOverlayEnabled = true;
+
+/**
+ * Compares two analyzed workbooks
+ * @param {object} base - The earlier version (shape of parsedData)
+ * @param {object} current - The later version (shape of parsedData)
+ * @returns {{baseName: string, currentName: string, fields: Array<object>, worksheets: Array<object>,
+ *   dashboards: Array<object>, dataSources: Array<object>, base: object}}
+ */
+function diffWorkbooks(base, current) {
+    const baseFields = new Map(base.fields.map(field => [field.key, field]));
+    const currentFields = new Map(current.fields.map(field => [field.key, field]));
+    const fields = [];
+
+    current.fields.forEach(field => {
+        const before = baseFields.get(field.key);
+        if (!before) {
+            fields.push({ changeType: 'added', key: field.key, name: field.name, oldName: '', dataSource: field.dataSourceCaption, changes: [] });
+            return;
+        }
+
+        const changes = DIFF_FIELD_PROPERTIES
+            .filter(property => property.value(before) !== property.value(field))
+            .map(property => ({
+                property: property.id,
+                label: property.label,
+                before: property.id === 'formula' ? before.formula : property.value(before),
+                after: property.id === 'formula' ? field.formula : property.value(field)
+            }));
+        if (changes.length === 0) return;
+
+        const renamedOnly = changes.length === 1 && changes[0].property === 'name';
+        fields.push({
+            changeType: renamedOnly ? 'renamed' : 'modified',
+            key: field.key,
+            name: field.name,
+            oldName: before.name !== field.name ? before.name : '',
+            dataSource: field.dataSourceCaption,
+            changes
+        });
+    });
+
+    base.fields.forEach(field => {
+        if (!currentFields.has(field.key)) {
+            fields.push({ changeType: 'removed', key: field.key, name: field.name, oldName: '', dataSource: field.dataSourceCaption, changes: [] });
+        }
+    });
+
+    return {
+        baseName: base.workbookName,
+        currentName: current.workbookName,
+        fields,
+        worksheets: diffNames(base.worksheets, current.worksheets),
+        dashboards: diffNames(base.dashboards, current.dashboards),
+        dataSources: diffDataSources(base.dataSources, current.dataSources),
+        base
+    };
+}
+
+// Added and removed entries of two lists of named items
+function diffNames(baseItems, currentItems) {
+    const baseNames = new Set(baseItems.map(item => item.name));
+    const currentNames = new Set(currentItems.map(item => item.name));
+    return [
+        ...currentItems.filter(item => !baseNames.has(item.name)).map(item => ({ changeType: 'added', name: item.name })),
+        ...baseItems.filter(item => !currentNames.has(item.name)).map(item => ({ changeType: 'removed', name: item.name }))
+    ];
+}
+
+function diffDataSources(baseSources, currentSources) {
+    const baseByName = new Map(baseSources.map(ds => [ds.name, ds]));
+    const currentNames = new Set(currentSources.map(ds => ds.name));
+    const result = [];
+
+    currentSources.forEach(ds => {
+        const before = baseByName.get(ds.name);
+        if (!before) {
+            result.push({ changeType: 'added', name: ds.name, caption: ds.caption, changes: [] });
+            return;
+        }
+
+        const changes = [];
+        const compare = (label, beforeValue, afterValue) => {
+            if (String(beforeValue) !== String(afterValue)) changes.push({ label, before: beforeValue, after: afterValue });
+        };
+        compare('Caption', before.caption, ds.caption);
+        compare('Connection Type', before.connectionClass, ds.connectionClass);
+        compare('Extract', before.hasExtract ? 'Yes' : 'No', ds.hasExtract ? 'Yes' : 'No');
+        compare('Tables', before.tables.join(', '), ds.tables.join(', '));
+
+        // Named connections of federated datasources are matched by name, otherwise by position
+        const count = Math.max(before.connections.length, ds.connections.length);
+        for (let i = 0; i < count; i++) {
+            const after = ds.connections[i];
+            const match = after ? before.connections.find(conn => conn.name && conn.name === after.name) || before.connections[i] : before.connections[i];
+            const name = (after || match).caption || (after || match).name || `Connection ${i + 1}`;
+            if (!after || !match) {
+                compare(`Connection ${name}`, match ? 'present' : '', after ? 'present' : '');
+                continue;
+            }
+            DIFF_CONNECTION_PROPERTIES.forEach(([property, label]) => {
+                compare(count > 1 ? `${label} (${name})` : label, match[property] || '', after[property] || '');
+            });
+        }
+
+        if (changes.length > 0) result.push({ changeType: 'modified', name: ds.name, caption: ds.caption, changes });
+    });
+
+    baseSources.forEach(ds => {
+        if (!currentNames.has(ds.name)) result.push({ changeType: 'removed', name: ds.name, caption: ds.caption, changes: [] });
+    });
+    return result;
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence over words, spaces and symbols)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, text: string}>} Segments of type 'same', 'removed' or 'added'
+ */
+function diffFormulaText(before, after) {
+    const split = text => (text || '').match(/\s+|\w+|[^\s\w]/g) || [];
+    const a = split(before);
+    const b = split(after);
+
+    // Very long formulas are shown as a whole replacement rather than building a huge table
+    if (a.length * b.length > 250000) {
+        return [{ type: 'removed', text: before }, { type: 'added', text: after }].filter(segment => segment.text);
+    }
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            segments.push({ type, text });
+        }
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return segments;
+}
+
+function getDiffChangeCount(diff) {
+    if (!diff) return 0;
+    return diff.fields.length + diff.worksheets.length + diff.dashboards.length + diff.dataSources.length;
+}
+
+function getDiffChangeColor(changeType) {
+    switch (changeType) {
+        case 'added':
+            return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+        case 'removed':
+            return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
+        case 'renamed':
+            return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
+        default:
+            return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
+    }
+}
+
+function handleCompareFileSelect(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) compareWithFile(file);
+}
+
+/**
+ * Loads another version of the workbook and diffs the loaded workbook against it
+ * @param {File} file - The earlier version (.twb or .twbx)
+ */
+async function compareWithFile(file) {
+    if (parsedData.fields.length === 0) {
+        showToast('Load a workbook first, then choose the version to compare with', 'info');
+        return;
+    }
+    if (!/\.(twb|twbx)$/i.test(file.name)) {
+        showToast('Please upload a valid Tableau workbook file (.twb or .twbx)', 'error');
+        return;
+    }
+
+    showLoading();
+    try {
+        const base = buildWorkbookModel(await readWorkbookFile(file), file.name);
+        workbookDiff = diffWorkbooks(base, parsedData);
+        diffOverlayEnabled = true;
+        renderWorkbookDiff();
+        applyDiffOverlay();
+        switchTab('diff');
+        showToast(`Compared with ${file.name}: ${getDiffChangeCount(workbookDiff)} changes`, 'success');
+    } catch (error) {
+        console.error('Error comparing workbooks:', error);
+        showToast('Error comparing workbooks: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Called once per loaded workbook: a diff against the previous one no longer applies
+function resetWorkbookDiff() {
+    workbookDiff = null;
+    renderWorkbookDiff();
+}
+
+function clearWorkbookDiff() {
+    clearDiffOverlay();
+    resetWorkbookDiff();
+}
+
+function toggleDiffOverlay(enabled) {
+    diffOverlayEnabled = enabled;
+    if (enabled) {
+        applyDiffOverlay();
+    } else {
+        clearDiffOverlay();
+    }
+}
+
+function renderWorkbookDiff() {
+    const report = document.getElementById('diff-report');
+    const count = document.getElementById('diff-count');
+    if (!report) return;
+
+    const toggle = document.getElementById('diff-overlay-toggle');
+    if (toggle) toggle.checked = diffOverlayEnabled;
+
+    const total = getDiffChangeCount(workbookDiff);
+    if (count) {
+        count.textContent = total;
+        count.classList.toggle('hidden', !workbookDiff);
+    }
+
+    if (!workbookDiff) {
+        report.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-12 text-gray-400">
+        <span class="material-symbols-outlined text-4xl mb-2 opacity-50">difference</span>
+        <p>${parsedData.fields.length > 0 ? 'Choose an earlier version of this workbook to see what changed' : 'Upload a file, then choose a version to compare with'}</p>
+      </div>
+    `;
+        return;
+    }
+
+    const diff = workbookDiff;
+    const badge = (changeType) =>
+        `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getDiffChangeColor(changeType)}">${DIFF_CHANGE_LABELS[changeType]}</span>`;
+    const section = (title, items, renderItem) => `
+      <section class="px-4 py-3">
+        <h4 class="mb-2 text-xs font-bold uppercase tracking-wider text-gray-500 dark:text-gray-400">${title} (${items.length})</h4>
+        ${items.length === 0
+            ? '<p class="text-sm text-gray-400">No changes</p>'
+            : `<div class="divide-y divide-gray-100 dark:divide-gray-800">${items.map(renderItem).join('')}</div>`}
+      </section>
+    `;
+
+    const renderChange = (change) => {
+        if (change.property === 'formula') {
+            return `
+          <div class="mt-1 text-sm text-gray-600 dark:text-gray-300">${change.label}</div>
+          <pre class="mt-1 p-2 rounded-lg bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all font-mono">${renderFormulaDiff(change.before, change.after)}</pre>
+        `;
+        }
+        const show = value => value === '' || value === undefined ? '<span class="text-gray-400">(none)</span>' : escapeHtml(String(value));
+        return `<div class="mt-1 text-sm text-gray-600 dark:text-gray-300">${escapeHtml(change.label)}: <span class="line-through text-red-700 dark:text-red-300">${show(change.before)}</span> → <span class="text-green-700 dark:text-green-300">${show(change.after)}</span></div>`;
+    };
+
+    const counts = Object.keys(DIFF_CHANGE_LABELS)
+        .map(type => [type, diff.fields.filter(change => change.changeType === type).length])
+        .filter(([, n]) => n > 0)
+        .map(([type, n]) => `<span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getDiffChangeColor(type)}">${n} ${DIFF_CHANGE_LABELS[type].toLowerCase()}</span>`)
+        .join(' ');
+
+    report.innerHTML = `
+      <div class="px-4 py-3 flex items-center gap-2 flex-wrap text-sm text-gray-600 dark:text-gray-300">
+        <span class="font-bold text-gray-900 dark:text-white">${escapeHtml(diff.baseName)}</span>
+        <span class="material-symbols-outlined text-lg text-gray-400">arrow_forward</span>
+        <span class="font-bold text-gray-900 dark:text-white">${escapeHtml(diff.currentName)}</span>
+        <span class="ml-2">${total === 0 ? 'No differences' : `Fields: ${counts || 'unchanged'}`}</span>
+      </div>
+
+      ${section('Fields', diff.fields, change => `
+        <div data-diff-field="${escapeHtml(change.key)}" class="py-2 ${change.changeType === 'removed' ? '' : 'cursor-pointer'}">
+          <div class="flex items-center gap-2 flex-wrap">
+            ${badge(change.changeType)}
+            <span class="text-sm font-bold text-gray-900 dark:text-white">${escapeHtml(change.name)}</span>
+            ${change.oldName ? `<span class="text-xs text-gray-400">was ${escapeHtml(change.oldName)}</span>` : ''}
+            <span class="text-xs text-gray-400">${escapeHtml(change.dataSource)}</span>
+          </div>
+          ${change.changes.filter(c => c.property !== 'name').map(renderChange).join('')}
+        </div>
+      `)}
+
+      ${section('Worksheets', diff.worksheets, change => `
+        <div class="py-2 flex items-center gap-2">${badge(change.changeType)}<span class="text-sm text-gray-900 dark:text-white">${escapeHtml(change.name)}</span></div>
+      `)}
+
+      ${section('Dashboards', diff.dashboards, change => `
+        <div class="py-2 flex items-center gap-2">${badge(change.changeType)}<span class="text-sm text-gray-900 dark:text-white">${escapeHtml(change.name)}</span></div>
+      `)}
+
+      ${section('Data Sources & Connections', diff.dataSources, change => `
+        <div class="py-2">
+          <div class="flex items-center gap-2 flex-wrap">
+            ${badge(change.changeType)}
+            <span class="text-sm font-bold text-gray-900 dark:text-white">${escapeHtml(change.caption)}</span>
+            <span class="text-xs text-gray-400 font-mono">${escapeHtml(change.name)}</span>
+          </div>
+          ${change.changes.map(renderChange).join('')}
+        </div>
+      `)}
+    `;
+
+    report.querySelectorAll('[data-diff-field]').forEach(item => {
+        const key = item.getAttribute('data-diff-field');
+        if (parsedData.fields.some(field => field.key === key)) {
+            item.onclick = () => highlightFieldInGraph(key);
+        }
+    });
+}
+
+function renderFormulaDiff(before, after) {
+    return diffFormulaText(before, after).map(segment => {
+        if (segment.type === 'removed') return `<del class="rounded bg-red-100 text-red-800 dark:bg-red-900/60 dark:text-red-200">${escapeHtml(segment.text)}</del>`;
+        if (segment.type === 'added') return `<ins class="rounded bg-green-100 text-green-800 no-underline dark:bg-green-900/60 dark:text-green-200">${escapeHtml(segment.text)}</ins>`;
+        return escapeHtml(segment.text);
+    }).join('');
+}
+
+/**
+ * Colours changed nodes by change type and adds ghost nodes (with their former connections)
+ * for removed fields, worksheets and dashboards
+ */
+function applyDiffOverlay() {
+    if (!cy || !workbookDiff || !diffOverlayEnabled) return;
+    clearDiffOverlay();
+
+    const diff = workbookDiff;
+    const baseFields = new Map(diff.base.fields.map(field => [field.key, field]));
+    const ghosts = [];
+    const ghostEdges = [];
+
+    cy.batch(() => {
+        diff.fields.forEach(change => {
+            if (change.changeType !== 'removed') {
+                cy.getElementById(change.key).addClass(`diff-${change.changeType}`);
+                return;
+            }
+            const field = baseFields.get(change.key);
+            ghosts.push({
+                data: { id: change.key, label: `${field.name}\n(removed)`, fullName: field.name, fieldType: `Removed ${field.fieldType}`, dataSource: field.dataSourceCaption, formula: field.formula },
+                classes: `${getFieldNodeClass(field)} diff-removed diff-ghost`
+            });
+        });
+
+        [['worksheets', 'worksheet'], ['dashboards', 'dashboard']].forEach(([list, type]) => {
+            diff[list].forEach(change => {
+                const id = `${type}:${change.name}`;
+                if (change.changeType === 'added') {
+                    cy.getElementById(id).addClass('diff-added');
+                } else {
+                    ghosts.push({
+                        data: { id, label: `${change.name}\n(removed)`, fullName: change.name, fieldType: `Removed ${type}` },
+                        classes: `${type} diff-removed diff-ghost`
+                    });
+                }
+            });
+        });
+
+        // Former connections of removed items, where the other end is still on the graph or is another ghost
+        const ghostIds = new Set(ghosts.map(ghost => ghost.data.id));
+        const onGraph = id => ghostIds.has(id) || cy.getElementById(id).length > 0;
+        const connect = (source, target) => {
+            if ((ghostIds.has(source) || ghostIds.has(target)) && onGraph(source) && onGraph(target)) {
+                ghostEdges.push({ data: { id: `diff:${source}->${target}`, source, target }, classes: 'diff-removed diff-ghost' });
+            }
+        };
+        diff.base.dependencies.forEach(dep => connect(dep.from, dep.to));
+        diff.base.worksheets.forEach(sheet => sheet.fields.forEach(key => connect(key, `worksheet:${sheet.name}`)));
+        diff.base.dashboards.forEach(dashboard => dashboard.worksheets.forEach(name => connect(`worksheet:${name}`, `dashboard:${dashboard.name}`)));
+
+        cy.add(ghosts);
+        cy.add(ghostEdges);
+    });
+
+    placeDiffGhosts();
+}
+
+// Ghost nodes go next to the nodes they used to connect to, or in a row below the graph
+function placeDiffGhosts() {
+    const ghosts = cy.nodes('.diff-ghost');
+    if (ghosts.length === 0) return;
+
+    const others = cy.nodes().not('.diff-ghost');
+    const box = others.length > 0 ? others.boundingBox() : { x1: 0, y2: 0 };
+    let looseIndex = 0;
+    ghosts.forEach((ghost, i) => {
+        const anchors = ghost.neighborhood('node').not('.diff-ghost');
+        if (anchors.length > 0) {
+            const x = anchors.reduce((sum, node) => sum + node.position('x'), 0) / anchors.length;
+            const y = anchors.reduce((sum, node) => sum + node.position('y'), 0) / anchors.length;
+            ghost.position({ x: x + 80 + (i % 3) * 30, y: y - 80 });
+        } else {
+            ghost.position({ x: box.x1 + looseIndex * 180, y: box.y2 + 120 });
+            looseIndex++;
+        }
+    });
+}
+
+function clearDiffOverlay() {
+    if (!cy) return;
+    // Edges first: removing a node together with a pair of opposite edges in one call trips up Cytoscape
+    cy.edges('.diff-ghost').remove();
+    cy.nodes('.diff-ghost').remove();
+    cy.nodes().removeClass('diff-added diff-modified diff-renamed diff-removed');
+}
+
+// Markdown report for pasting into a code review
+function exportWorkbookDiff() {
+    if (!workbookDiff) {
+        showToast('Choose a version to compare with first', 'info');
+        return;
+    }
+
+    const diff = workbookDiff;
+    const cell = text => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    const lines = [`# Workbook diff: ${diff.baseName} → ${diff.currentName}`, ''];
+
+    lines.push('## Fields', '');
+    if (diff.fields.length === 0) {
+        lines.push('No changes', '');
+    } else {
+        lines.push('| Change | Field | Data Source | Details |', '| --- | --- | --- | --- |');
+        diff.fields.forEach(change => {
+            const details = change.changes
+                .filter(c => c.property !== 'formula')
+                .map(c => `${c.label}: ${c.before === '' ? '(none)' : c.before} → ${c.after === '' ? '(none)' : c.after}`);
+            if (change.changes.some(c => c.property === 'formula')) details.push('Formula changed');
+            lines.push(`| ${DIFF_CHANGE_LABELS[change.changeType]} | ${cell(change.name)} | ${cell(change.dataSource)} | ${cell(details.join('; '))} |`);
+        });
+        lines.push('');
+
+        diff.fields.forEach(change => {
+            const formula = change.changes.find(c => c.property === 'formula');
+            if (!formula) return;
+            lines.push(`### ${change.name}`, '', '```diff');
+            (formula.before || '').split('\n').forEach(line => lines.push(`- ${line}`));
+            (formula.after || '').split('\n').forEach(line => lines.push(`+ ${line}`));
+            lines.push('```', '');
+        });
+    }
+
+    [['Worksheets', diff.worksheets], ['Dashboards', diff.dashboards]].forEach(([title, items]) => {
+        lines.push(`## ${title}`, '');
+        if (items.length === 0) lines.push('No changes');
+        items.forEach(change => lines.push(`- ${DIFF_CHANGE_LABELS[change.changeType]}: ${change.name}`));
+        lines.push('');
+    });
+
+    lines.push('## Data Sources & Connections', '');
+    if (diff.dataSources.length === 0) lines.push('No changes');
+    diff.dataSources.forEach(change => {
+        lines.push(`- ${DIFF_CHANGE_LABELS[change.changeType]}: ${change.caption} (${change.name})`);
+        change.changes.forEach(c => lines.push(`  - ${c.label}: ${c.before || '(none)'} → ${c.after || '(none)'}`));
+    });
+    lines.push('');
+
+    const fileName = diff.currentName.replace(/\.(twb|twbx)$/, '_diff.md');
+    downloadTextFile(lines.join('\n'), fileName, 'text/markdown');
+    showToast(`Exported diff report to ${fileName}`, 'success');
+}
@@ -0,0 +1,54 @@
+/**
+ * Workbook Worker
+ * Unzips, parses and analyzes a workbook off the main thread. Receives
+ * { source: File|string, workbookName, disabledLintRules } and posts:
+ *   { type: 'stage', stage, progress } - stage is 'unzip', 'parse', 'fields' or 'dependencies', progress 0-1
+ *   { type: 'result', model }          - the analysis in the shape of parsedData
+ *   { type: 'error', message }
+ */
+
+const WORKER_JSZIP_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+
+importScripts(
+    '../shared/calc_parser.js',
+    '../shared/xml_parser.js',
+    'workbook_analysis.js',
+    'calc_classes.js',
+    'parameters.js',
+    'diagnostics.js',
+    'lint.js',
+    'duplicates.js'
+);
+
+let parsedData = createEmptyParsedData();
+
+self.onmessage = async (event) => {
+    const { source, workbookName, disabledLintRules } = event.data;
+    const reportStage = (stage, progress = 0) => {
+        self.postMessage({ type: 'stage', stage, progress });
+    };
+
+    try {
+        let xmlContent = source;
+        if (typeof source !== 'string') {
+            if (/\.twbx$/i.test(source.name)) {
+                reportStage('unzip');
+                // Only packaged workbooks need JSZip
+                if (typeof JSZip === 'undefined') importScripts(WORKER_JSZIP_URL);
+            } else {
+                reportStage('parse');
+            }
+            xmlContent = await readWorkbookFile(source, progress => reportStage('unzip', progress));
+        }
+
+        reportStage('parse');
+        const xmlDoc = parseXml(xmlContent, progress => reportStage('parse', progress));
+
+        parsedData = createEmptyParsedData(workbookName);
+        lintState.disabledRules = new Set(disabledLintRules);
+        analyzeWorkbook(xmlDoc, reportStage);
+        self.postMessage({ type: 'result', model: parsedData });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
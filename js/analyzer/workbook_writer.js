@@ -0,0 +1,429 @@
+/**
+ * Workbook Write-Back
+ * Edits the loaded workbook and downloads the result. Changes are patched into the original XML
+ * text at the offsets parseXml() records, so everything that is not edited stays exactly as Tableau
+ * wrote it; packaged workbooks are repackaged with every other entry of the .twbx left as it was.
+ * Edits are previewed in the edit dialog before anything is downloaded.
+ */
+
+let editDialogAction = null; // Runs when the dialog's download button is pressed
+
+// [name] or [datasource].[name]; ]] escapes a bracket inside a name
+const XML_FIELD_REF_PATTERN = /\[((?:[^\]]|\]\])*)\](?:\.\[((?:[^\]]|\]\])*)\])?/g;
+
+/**
+ * Reads the loaded workbook for editing
+ * @returns {Promise<{name: string, xml: string, doc: XmlElement, zip: JSZip|null, twbPath: string|null, compression: Map<string, string>|null}>}
+ *   `zip`, `twbPath` and `compression` (the method of each entry, from readZipCompressionMethods()) are set for packaged workbooks
+ * @throws {Error} When no workbook is loaded
+ */
+async function readWorkbookForEditing() {
+    if (!workbookSource) throw new Error('Load a workbook first');
+
+    const workbook = { name: parsedData.workbookName, xml: '', doc: null, zip: null, twbPath: null, compression: null };
+    if (typeof workbookSource === 'string') {
+        // Opened from a portfolio, where only the XML was kept
+        workbook.xml = workbookSource;
+        workbook.name = workbook.name.replace(/\.twbx$/i, '.twb');
+    } else if (/\.twbx$/i.test(workbookSource.name)) {
+        Object.assign(workbook, await openWorkbookPackage(workbookSource));
+        workbook.compression = readZipCompressionMethods(new Uint8Array(await workbookSource.arrayBuffer()));
+        workbook.xml = await workbook.zip.file(workbook.twbPath).async('text');
+    } else {
+        workbook.xml = await workbookSource.text();
+    }
+    workbook.doc = parseXml(workbook.xml);
+    return workbook;
+}
+
+/**
+ * The compression method of each entry of a zip archive, read from its central directory. JSZip
+ * does not report it, and only copies an entry's compressed bytes as they are when the entry is
+ * written with the method it was read with.
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Map<string, string>} Entry path -> 'STORE' or 'DEFLATE'
+ * @throws {Error} When the central directory cannot be read, or an entry uses another method
+ */
+function readZipCompressionMethods(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end of central directory record is the last 22 bytes, plus a comment of up to 64 KB
+    let end = bytes.length - 22;
+    const stop = Math.max(0, end - 0xFFFF);
+    while (end >= stop && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < stop) throw new Error('The .twbx is not a valid zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xFFFFFFFF) throw new Error('ZIP64 packaged workbooks cannot be edited');
+
+    const utf8 = new TextDecoder('utf-8');
+    const methods = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('The .twbx central directory is damaged');
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+        // Bit 11 marks UTF-8 names; JSZip reads the others byte by byte, and so must the lookup
+        const name = flags & 0x0800 ? utf8.decode(nameBytes) : String.fromCharCode(...nameBytes);
+        if (method !== 0 && method !== 8) throw new Error(`${name} uses a compression method that cannot be kept`);
+        methods.set(name, method === 8 ? 'DEFLATE' : 'STORE');
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return methods;
+}
+
+/**
+ * The <column> elements of a field: its definition in the datasource, and the copies worksheets and
+ * dashboards keep in their <datasource-dependencies>
+ * @param {XmlElement} doc - Result of parseXml()
+ * @param {object} field - A parsed field
+ * @returns {Array<XmlElement>}
+ */
+function findFieldColumns(doc, field) {
+    return doc.getElementsByTagName('column').filter(column => {
+        if (column.getAttribute('name') !== field.fieldId) return false;
+        const parent = column.parentNode;
+        if (parent.tagName === 'datasource') {
+            return (parent.getAttribute('name') || parent.getAttribute('caption')) === field.dataSource;
+        }
+        return parent.tagName === 'datasource-dependencies' && parent.getAttribute('datasource') === field.dataSource;
+    });
+}
+
+/**
+ * Fields named in text taken from the workbook XML. Worksheet-style names (sum:Sales:qk) resolve to
+ * their column; unqualified names outside of a datasource match in every datasource, so a field is
+ * rather found once too often than missed.
+ * @param {string} text - Attribute value or text content
+ * @param {string|null} contextDataSource - Datasource of unqualified names, null for any
+ * @param {object} fieldIndex - Result of buildFieldIndex()
+ * @returns {Array<object>}
+ */
+function findFieldsInXmlText(text, contextDataSource, fieldIndex) {
+    const fields = [];
+    const resolve = (dsName, name) => resolveColumnInstance(dsName, name, new Map(), fieldIndex) ||
+        fieldIndex.byCaption.get(makeFieldKey(dsName, name));
+
+    for (const match of text.matchAll(XML_FIELD_REF_PATTERN)) {
+        const first = match[1].replace(/\]\]/g, ']');
+        const second = match[2] !== undefined ? match[2].replace(/\]\]/g, ']') : null;
+        if (second !== null) {
+            const field = resolve(first, second);
+            if (field) fields.push(field);
+            continue;
+        }
+        const scopes = contextDataSource ? [contextDataSource, 'Parameters'] : parsedData.dataSources.map(ds => ds.name);
+        scopes.forEach(dsName => {
+            const field = resolve(dsName, first);
+            if (field) fields.push(field);
+        });
+    }
+    return fields;
+}
+
+// The <datasource> definition itself, not the references worksheets keep
+function findDataSourceElement(doc, dataSource) {
+    return doc.getElementsByTagName('datasource').find(ds => ds.parentNode.tagName === 'datasources' &&
+        ds.parentNode.parentNode.tagName === 'workbook' && (ds.getAttribute('name') || ds.getAttribute('caption')) === dataSource);
+}
+
+/**
+ * The worksheet or dashboard an element belongs to
+ * @param {XmlElement} element
+ * @returns {{type: string, name: string}|null} type is 'worksheet' or 'dashboard'; null outside of sheets
+ */
+function getXmlOwnerSheet(element) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+        if (node.tagName === 'worksheet' || node.tagName === 'dashboard') {
+            return { type: node.tagName, name: node.getAttribute('name') || 'Untitled' };
+        }
+    }
+    return null;
+}
+
+// Sheets hidden in Tableau: <window class='worksheet' hidden='true' name='...'>
+function getHiddenSheetNames(doc) {
+    return new Set(doc.getElementsByTagName('window')
+        .filter(window => window.getAttribute('hidden') === 'true')
+        .map(window => window.getAttribute('name')));
+}
+
+// Tableau escapes both quote characters and line breaks in attribute values
+function encodeXmlAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\r/g, '&#13;')
+        .replace(/\t/g, '&#9;');
+}
+
+// Text content keeps line breaks as character references, as Tableau writes them in descriptions
+function encodeXmlText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+// Whitespace an element is indented with, or '' when it does not start its line
+function getXmlIndent(element) {
+    const source = element.ownerDocument.source;
+    const lineStart = source.lastIndexOf('\n', element.start - 1) + 1;
+    const indent = source.slice(lineStart, element.start);
+    return /^[ \t]*$/.test(indent) ? indent : '';
+}
+
+/**
+ * An edit that sets an attribute of an element. An existing value is replaced in place; a new
+ * attribute goes in alphabetical position, the order Tableau writes attributes in.
+ * @param {XmlElement} element - Element from parseXml()
+ * @param {string} name - Attribute name
+ * @param {string} value - New value (not encoded)
+ * @returns {{start: number, end: number, text: string}}
+ */
+function setXmlAttribute(element, name, value) {
+    const source = element.ownerDocument.source;
+    // Same pattern as parseXml(), so values that contain "name=" are never mistaken for attributes
+    const attributePattern = /\s+([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+    attributePattern.lastIndex = element.start + 1 + element.tagName.length;
+
+    let insertAt = attributePattern.lastIndex; // Right after the tag name when every attribute sorts after it
+    let passed = false;
+    let match;
+    while ((match = attributePattern.exec(source)) !== null) {
+        if (match[1] === name) {
+            const valueEnd = attributePattern.lastIndex - 1;
+            const valueStart = valueEnd - (match[2] !== undefined ? match[2] : match[3]).length;
+            return { start: valueStart, end: valueEnd, text: encodeXmlAttribute(value) };
+        }
+        if (match[1] > name) {
+            passed = true;
+        } else if (!passed) {
+            insertAt = attributePattern.lastIndex;
+        }
+    }
+    return { start: insertAt, end: insertAt, text: ` ${name}='${encodeXmlAttribute(value)}'` };
+}
+
+/**
+ * An edit that removes an element; when it has a line of its own, the whole line goes
+ * @param {XmlElement} element - Element from parseXml()
+ * @returns {{start: number, end: number, text: string}}
+ */
+function removeXmlElement(element) {
+    const source = element.ownerDocument.source;
+    const lineStart = source.lastIndexOf('\n', element.start - 1) + 1;
+    const lineEnd = source.indexOf('\n', element.end);
+    const ownLine = /^[ \t]*$/.test(source.slice(lineStart, element.start)) &&
+        lineEnd !== -1 && /^[ \t]*\r?$/.test(source.slice(element.end, lineEnd));
+    return ownLine
+        ? { start: lineStart, end: lineEnd + 1, text: '' }
+        : { start: element.start, end: element.end, text: '' };
+}
+
+/**
+ * Edits that take fields out of the data pane folders under an element; folders left empty go too
+ * @param {XmlElement} element - A <datasource> element
+ * @param {Set<string>} fieldIds - Internal names of the fields, with brackets
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function removeFolderItems(element, fieldIds) {
+    const edits = [];
+    element.getElementsByTagName('folder').forEach(folder => {
+        const items = folder.children.filter(child => child.tagName === 'folder-item');
+        const gone = items.filter(item => fieldIds.has(item.getAttribute('name')));
+        if (gone.length === 0) return;
+        if (gone.length === folder.children.length) {
+            edits.push(removeXmlElement(folder));
+        } else {
+            gone.forEach(item => edits.push(removeXmlElement(item)));
+        }
+    });
+    return edits;
+}
+
+/**
+ * Edits that take fields out of the hierarchies (<drill-path>) under an element; hierarchies left
+ * empty go too, and <drill-paths> when none is left
+ * @param {XmlElement} element - A <datasource> element
+ * @param {Set<string>} fieldIds - Internal names of the fields, with brackets
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function removeDrillPathFields(element, fieldIds) {
+    const edits = [];
+    element.getElementsByTagName('drill-paths').forEach(drillPaths => {
+        const emptied = [];
+        drillPaths.children.filter(child => child.tagName === 'drill-path').forEach(drillPath => {
+            const gone = drillPath.children.filter(child => child.tagName === 'field' && fieldIds.has(child.textContent.trim()));
+            if (gone.length === 0) return;
+            if (gone.length === drillPath.children.length) {
+                emptied.push(drillPath);
+            } else {
+                gone.forEach(field => edits.push(removeXmlElement(field)));
+            }
+        });
+        if (emptied.length > 0 && emptied.length === drillPaths.children.length) {
+            edits.push(removeXmlElement(drillPaths));
+        } else {
+            emptied.forEach(drillPath => edits.push(removeXmlElement(drillPath)));
+        }
+    });
+    return edits;
+}
+
+/**
+ * Applies edits to XML text
+ * @param {string} source - The original XML
+ * @param {Array<{start: number, end: number, text: string}>} edits - Replacements of source ranges
+ * @returns {string}
+ * @throws {Error} When two edits overlap
+ */
+function applyXmlEdits(source, edits) {
+    const sorted = edits.slice().sort((a, b) => a.start - b.start || a.end - b.end);
+    let result = '';
+    let cursor = 0;
+    sorted.forEach(edit => {
+        if (edit.start < cursor) throw new Error('Conflicting edits to the same part of the workbook');
+        result += source.slice(cursor, edit.start) + edit.text;
+        cursor = edit.end;
+    });
+    return result + source.slice(cursor);
+}
+
+/**
+ * Downloads the edited workbook under its original name, then opens it in the analyzer so
+ * further edits build on this one
+ * @param {object} workbook - Result of readWorkbookForEditing()
+ * @param {string} xml - The edited workbook XML
+ * @returns {Promise<File>} The downloaded file
+ */
+async function saveEditedWorkbook(workbook, xml) {
+    let file;
+    if (workbook.zip) {
+        // Every other entry keeps its method, so JSZip copies its compressed bytes as they are
+        workbook.zip.forEach((path, entry) => {
+            if (entry.dir) return;
+            const method = workbook.compression.get(entry.unsafeOriginalName || path);
+            if (!method) throw new Error(`${path} was not found in the .twbx central directory`);
+            entry.options.compression = method;
+        });
+        const entry = workbook.zip.file(workbook.twbPath);
+        workbook.zip.file(workbook.twbPath, xml, {
+            compression: 'DEFLATE',
+            date: entry.date,
+            unixPermissions: entry.unixPermissions,
+            dosPermissions: entry.dosPermissions
+        });
+        const blob = await workbook.zip.generateAsync({ type: 'blob', mimeType: 'application/octet-stream' });
+        file = new File([blob], workbook.name, { type: 'application/octet-stream' });
+    } else {
+        file = new File([xml], workbook.name, { type: 'application/xml' });
+    }
+
+    downloadFile(file);
+    try {
+        await loadWorkbook(file, file.name);
+    } finally {
+        hideLoading();
+    }
+    return file;
+}
+
+function downloadTextFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function downloadFile(file) {
+    const url = URL.createObjectURL(file);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.name;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Opens the edit dialog with an empty body and the download button disabled
+ * @param {string} title - Dialog title
+ * @param {string} subtitle - Shown below the title
+ * @param {string} confirmLabel - Label of the download button
+ */
+function openEditDialog(title, subtitle, confirmLabel) {
+    document.getElementById('edit-dialog-title').textContent = title;
+    document.getElementById('edit-dialog-subtitle').textContent = subtitle;
+    document.getElementById('edit-dialog-confirm-label').textContent = confirmLabel;
+    document.getElementById('edit-dialog-body').innerHTML = `
+      <p class="flex items-center gap-2 text-sm text-gray-400">
+        <span class="material-symbols-outlined animate-spin text-lg">progress_activity</span>
+        Reading workbook...
+      </p>
+    `;
+    setEditDialogAction(null, '');
+    document.getElementById('edit-dialog').classList.remove('hidden');
+}
+
+function isEditDialogOpen() {
+    const dialog = document.getElementById('edit-dialog');
+    return !!dialog && !dialog.classList.contains('hidden');
+}
+
+/**
+ * Sets what the download button does
+ * @param {function(): Promise<void>|null} action - null disables the button
+ * @param {string} status - Shown next to the button, e.g. a summary of the edit or why it cannot be made
+ */
+function setEditDialogAction(action, status) {
+    editDialogAction = action;
+    document.getElementById('edit-dialog-confirm').disabled = !action;
+    document.getElementById('edit-dialog-status').textContent = status;
+}
+
+async function confirmEditDialog() {
+    if (!editDialogAction) return;
+    const action = editDialogAction;
+    setEditDialogAction(null, 'Writing workbook...');
+    try {
+        await action();
+        closeEditDialog();
+    } catch (error) {
+        console.error('Error writing workbook:', error);
+        showToast('Error writing workbook: ' + error.message, 'error');
+        setEditDialogAction(action, '');
+    }
+}
+
+function closeEditDialog() {
+    const dialog = document.getElementById('edit-dialog');
+    if (dialog) dialog.classList.add('hidden');
+    editDialogAction = null;
+}
+
+function toggleEditWorkbookMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('edit-workbook-menu');
+    if (menu) menu.classList.toggle('hidden');
+}
+
+function closeEditWorkbookMenu() {
+    const menu = document.getElementById('edit-workbook-menu');
+    if (menu) menu.classList.add('hidden');
+}
+
+document.addEventListener('click', closeEditWorkbookMenu);
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeEditDialog();
+});
@@ -0,0 +1,577 @@
+/**
+ * Tableau Calculation Language Parser
+ * Tokenizes and parses calculated field formulas into an AST
+ * (functions, operators, IF/CASE blocks, LOD expressions, literals, comments and field references)
+ *
+ * This file has no DOM dependencies so it can also be loaded inside a Web Worker.
+ */
+
+const CALC_KEYWORDS = new Set([
+    'IF', 'THEN', 'ELSEIF', 'ELSE', 'END', 'CASE', 'WHEN',
+    'AND', 'OR', 'NOT', 'IN', 'TRUE', 'FALSE', 'NULL',
+    'FIXED', 'INCLUDE', 'EXCLUDE'
+]);
+
+const CALC_LOD_KEYWORDS = new Set(['FIXED', 'INCLUDE', 'EXCLUDE']);
+
+const CALC_COMPARISON_OPERATORS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+/**
+ * Splits a formula into tokens. Never throws: problems are reported in `errors`.
+ * Qualified references such as [Parameters].[Parameter 1] become a single field token.
+ * @param {string} source - The formula text
+ * @returns {{tokens: Array<object>, errors: Array<object>}}
+ */
+function tokenizeCalc(source) {
+    const tokens = [];
+    const errors = [];
+    const text = source || '';
+    let pos = 0;
+
+    const readBracketed = (start) => {
+        // Reads [name] where "]]" is an escaped "]"; returns null if unterminated
+        let i = start + 1;
+        let name = '';
+        while (i < text.length) {
+            if (text[i] === ']') {
+                if (text[i + 1] === ']') {
+                    name += ']';
+                    i += 2;
+                    continue;
+                }
+                return { name, end: i + 1 };
+            }
+            name += text[i];
+            i++;
+        }
+        return null;
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const next = text[pos + 1];
+
+        // Whitespace
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        // Line comment
+        if (ch === '/' && next === '/') {
+            let end = text.indexOf('\n', pos);
+            if (end === -1) end = text.length;
+            tokens.push({ type: 'comment', value: text.slice(pos + 2, end), start: pos, end });
+            pos = end;
+            continue;
+        }
+
+        // Block comment
+        if (ch === '/' && next === '*') {
+            let end = text.indexOf('*/', pos + 2);
+            if (end === -1) {
+                errors.push({ message: 'Unterminated block comment', start: pos, end: text.length });
+                end = text.length;
+            } else {
+                end += 2;
+            }
+            tokens.push({ type: 'comment', value: text.slice(pos + 2, Math.max(pos + 2, end - 2)), start: pos, end });
+            pos = end;
+            continue;
+        }
+
+        // Field reference, optionally qualified with a datasource: [ds].[field]
+        if (ch === '[') {
+            const first = readBracketed(pos);
+            if (!first) {
+                errors.push({ message: 'Unterminated field reference', start: pos, end: text.length });
+                tokens.push({ type: 'field', name: text.slice(pos + 1), datasource: null, start: pos, end: text.length });
+                pos = text.length;
+                continue;
+            }
+
+            let token = { type: 'field', name: first.name, datasource: null, start: pos, end: first.end };
+            if (text[first.end] === '.' && text[first.end + 1] === '[') {
+                const second = readBracketed(first.end + 1);
+                if (second) {
+                    token = { type: 'field', name: second.name, datasource: first.name, start: pos, end: second.end };
+                }
+            }
+            tokens.push(token);
+            pos = token.end;
+            continue;
+        }
+
+        // String literal: '...' or "..." with the quote doubled to escape it
+        if (ch === '"' || ch === "'") {
+            let i = pos + 1;
+            let value = '';
+            let closed = false;
+            while (i < text.length) {
+                if (text[i] === ch) {
+                    if (text[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                        continue;
+                    }
+                    closed = true;
+                    i++;
+                    break;
+                }
+                value += text[i];
+                i++;
+            }
+            if (!closed) {
+                errors.push({ message: 'Unterminated string literal', start: pos, end: text.length });
+            }
+            tokens.push({ type: 'string', value, start: pos, end: i });
+            pos = i;
+            continue;
+        }
+
+        // Date literal: #2024-01-31#
+        if (ch === '#') {
+            const end = text.indexOf('#', pos + 1);
+            if (end === -1) {
+                errors.push({ message: 'Unterminated date literal', start: pos, end: text.length });
+                tokens.push({ type: 'date', value: text.slice(pos + 1), start: pos, end: text.length });
+                pos = text.length;
+            } else {
+                tokens.push({ type: 'date', value: text.slice(pos + 1, end), start: pos, end: end + 1 });
+                pos = end + 1;
+            }
+            continue;
+        }
+
+        // Number
+        const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(pos, pos + 64));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: Number(numberMatch[0]), start: pos, end: pos + numberMatch[0].length });
+            pos += numberMatch[0].length;
+            continue;
+        }
+
+        // Identifier or keyword
+        const identMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos, pos + 256));
+        if (identMatch) {
+            const word = identMatch[0];
+            const upper = word.toUpperCase();
+            tokens.push({
+                type: CALC_KEYWORDS.has(upper) ? 'keyword' : 'identifier',
+                value: upper,
+                text: word,
+                start: pos,
+                end: pos + word.length
+            });
+            pos += word.length;
+            continue;
+        }
+
+        // Operators and punctuation
+        const two = text.slice(pos, pos + 2);
+        if (['==', '!=', '<>', '<=', '>='].includes(two)) {
+            tokens.push({ type: 'operator', value: two, start: pos, end: pos + 2 });
+            pos += 2;
+            continue;
+        }
+        // && || ! are Tableau's other spellings of AND OR NOT
+        const logical = { '&&': 'AND', '||': 'OR' }[two] || (ch === '!' ? 'NOT' : null);
+        if (logical) {
+            const length = ch === '!' ? 1 : 2;
+            tokens.push({ type: 'keyword', value: logical, text: text.slice(pos, pos + length), start: pos, end: pos + length });
+            pos += length;
+            continue;
+        }
+        if ('+-*/%^=<>'.includes(ch)) {
+            tokens.push({ type: 'operator', value: ch, start: pos, end: pos + 1 });
+            pos++;
+            continue;
+        }
+
+        const punctuation = { '(': 'lparen', ')': 'rparen', '{': 'lbrace', '}': 'rbrace', ',': 'comma', ':': 'colon' };
+        if (punctuation[ch]) {
+            tokens.push({ type: punctuation[ch], value: ch, start: pos, end: pos + 1 });
+            pos++;
+            continue;
+        }
+
+        errors.push({ message: `Unexpected character "${ch}"`, start: pos, end: pos + 1 });
+        pos++;
+    }
+
+    return { tokens, errors };
+}
+
+/**
+ * Parses a formula into an AST.
+ * The result always contains the tokens; `ast` is null when the formula cannot be parsed.
+ * @param {string} source - The formula text
+ * @returns {{source: string, tokens: Array<object>, comments: Array<object>, ast: object|null, errors: Array<object>}}
+ */
+function parseCalc(source) {
+    const text = source || '';
+    const { tokens, errors } = tokenizeCalc(text);
+    const comments = tokens.filter(t => t.type === 'comment');
+    const code = tokens.filter(t => t.type !== 'comment');
+    let index = 0;
+
+    class CalcSyntaxError extends Error {
+        constructor(message, token) {
+            super(message);
+            this.start = token ? token.start : text.length;
+            this.end = token ? token.end : text.length;
+        }
+    }
+
+    const peek = () => code[index];
+    const advance = () => code[index++];
+    const isKeyword = (token, ...words) => token && token.type === 'keyword' && words.includes(token.value);
+    const isOperator = (token, ...ops) => token && token.type === 'operator' && ops.includes(token.value);
+    const describe = (token) => token ? `"${text.slice(token.start, token.end)}"` : 'end of formula';
+
+    const expect = (type, value) => {
+        const token = peek();
+        if (!token || token.type !== type || (value && token.value !== value)) {
+            const symbols = { rparen: ')', rbrace: '}', lparen: '(', colon: ':' };
+            throw new CalcSyntaxError(`Expected "${value || symbols[type] || type}" but found ${describe(token)}`, token);
+        }
+        return advance();
+    };
+
+    const parseExpression = () => parseOr();
+
+    const parseBinary = (next, matches) => {
+        let left = next();
+        while (matches(peek())) {
+            const op = advance();
+            const right = next();
+            left = { type: 'BinaryExpr', operator: op.value, left, right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+
+    const parseOr = () => parseBinary(parseAnd, t => isKeyword(t, 'OR'));
+    const parseAnd = () => parseBinary(parseNot, t => isKeyword(t, 'AND'));
+
+    const parseNot = () => {
+        if (isKeyword(peek(), 'NOT')) {
+            const op = advance();
+            const argument = parseNot();
+            return { type: 'UnaryExpr', operator: 'NOT', argument, start: op.start, end: argument.end };
+        }
+        return parseComparison();
+    };
+
+    const parseComparison = () => {
+        let left = parseAdditive();
+        for (;;) {
+            const token = peek();
+            if (token && token.type === 'operator' && CALC_COMPARISON_OPERATORS.has(token.value)) {
+                advance();
+                const right = parseAdditive();
+                left = { type: 'BinaryExpr', operator: token.value, left, right, start: left.start, end: right.end };
+            } else if (isKeyword(token, 'IN')) {
+                advance();
+                expect('lparen');
+                const values = parseList('rparen');
+                const close = expect('rparen');
+                left = { type: 'InExpr', subject: left, values, start: left.start, end: close.end };
+            } else {
+                return left;
+            }
+        }
+    };
+
+    const parseAdditive = () => parseBinary(parseMultiplicative, t => isOperator(t, '+', '-'));
+    const parseMultiplicative = () => parseBinary(parseUnary, t => isOperator(t, '*', '/', '%'));
+
+    const parseUnary = () => {
+        if (isOperator(peek(), '-', '+')) {
+            const op = advance();
+            const argument = parseUnary();
+            return { type: 'UnaryExpr', operator: op.value, argument, start: op.start, end: argument.end };
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOperator(peek(), '^')) {
+            advance();
+            const exponent = parseUnary();
+            return { type: 'BinaryExpr', operator: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+        }
+        return base;
+    };
+
+    const parseList = (closingType) => {
+        const items = [];
+        if (peek() && peek().type === closingType) return items;
+        items.push(parseExpression());
+        while (peek() && peek().type === 'comma') {
+            advance();
+            items.push(parseExpression());
+        }
+        return items;
+    };
+
+    const parseIf = () => {
+        const start = advance();
+        const branches = [];
+        let alternate = null;
+
+        const test = parseExpression();
+        expect('keyword', 'THEN');
+        branches.push({ test, consequent: parseExpression() });
+
+        while (isKeyword(peek(), 'ELSEIF')) {
+            advance();
+            const elseIfTest = parseExpression();
+            expect('keyword', 'THEN');
+            branches.push({ test: elseIfTest, consequent: parseExpression() });
+        }
+        if (isKeyword(peek(), 'ELSE')) {
+            advance();
+            alternate = parseExpression();
+        }
+        const end = expect('keyword', 'END');
+        return { type: 'IfExpr', branches, alternate, start: start.start, end: end.end };
+    };
+
+    const parseCase = () => {
+        const start = advance();
+        const subject = parseExpression();
+        const cases = [];
+        let alternate = null;
+
+        while (isKeyword(peek(), 'WHEN')) {
+            advance();
+            const tests = [parseExpression()];
+            while (peek() && peek().type === 'comma') {
+                advance();
+                tests.push(parseExpression());
+            }
+            expect('keyword', 'THEN');
+            cases.push({ tests, consequent: parseExpression() });
+        }
+        if (cases.length === 0) {
+            throw new CalcSyntaxError('CASE requires at least one WHEN clause', peek());
+        }
+        if (isKeyword(peek(), 'ELSE')) {
+            advance();
+            alternate = parseExpression();
+        }
+        const end = expect('keyword', 'END');
+        return { type: 'CaseExpr', subject, cases, alternate, start: start.start, end: end.end };
+    };
+
+    const parseLod = () => {
+        const open = advance();
+        let lodType = null;
+        let dimensions = [];
+
+        if (isKeyword(peek(), ...CALC_LOD_KEYWORDS)) {
+            lodType = advance().value;
+            if (!(peek() && peek().type === 'colon')) {
+                dimensions = parseList('colon');
+            }
+            expect('colon');
+        }
+        const expression = parseExpression();
+        const close = expect('rbrace');
+        return { type: 'LodExpr', lodType, dimensions, expression, start: open.start, end: close.end };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) {
+            throw new CalcSyntaxError('Unexpected end of formula', null);
+        }
+
+        switch (token.type) {
+            case 'field':
+                advance();
+                return {
+                    type: 'FieldRef',
+                    name: token.name,
+                    datasource: token.datasource,
+                    raw: text.slice(token.start, token.end),
+                    start: token.start,
+                    end: token.end
+                };
+            case 'string':
+            case 'number':
+            case 'date':
+                advance();
+                return {
+                    type: 'Literal',
+                    valueType: token.type,
+                    value: token.value,
+                    raw: text.slice(token.start, token.end),
+                    start: token.start,
+                    end: token.end
+                };
+            case 'lparen': {
+                advance();
+                const inner = parseExpression();
+                expect('rparen');
+                return inner;
+            }
+            case 'lbrace':
+                return parseLod();
+            case 'identifier': {
+                advance();
+                expect('lparen');
+                const args = parseList('rparen');
+                const close = expect('rparen');
+                return { type: 'FunctionCall', name: token.value, args, start: token.start, end: close.end };
+            }
+            case 'keyword':
+                if (token.value === 'IF') return parseIf();
+                if (token.value === 'CASE') return parseCase();
+                if (token.value === 'TRUE' || token.value === 'FALSE' || token.value === 'NULL') {
+                    advance();
+                    return {
+                        type: 'Literal',
+                        valueType: token.value === 'NULL' ? 'null' : 'boolean',
+                        value: token.value === 'NULL' ? null : token.value === 'TRUE',
+                        raw: token.text,
+                        start: token.start,
+                        end: token.end
+                    };
+                }
+                break;
+            default:
+                break;
+        }
+        throw new CalcSyntaxError(`Unexpected ${describe(token)}`, token);
+    };
+
+    let ast = null;
+    if (code.length > 0 && errors.length === 0) {
+        try {
+            ast = parseExpression();
+            if (index < code.length) {
+                throw new CalcSyntaxError(`Unexpected ${describe(peek())}`, peek());
+            }
+        } catch (error) {
+            if (!(error instanceof CalcSyntaxError)) throw error;
+            ast = null;
+            errors.push({ message: error.message, start: error.start, end: error.end });
+        }
+    }
+
+    return { source: text, tokens, comments, ast, errors };
+}
+
+/**
+ * Returns the direct child nodes of an AST node
+ * @param {object} node - AST node
+ * @returns {Array<object>}
+ */
+function calcAstChildren(node) {
+    if (!node) return [];
+    switch (node.type) {
+        case 'BinaryExpr':
+            return [node.left, node.right];
+        case 'UnaryExpr':
+            return [node.argument];
+        case 'InExpr':
+            return [node.subject, ...node.values];
+        case 'FunctionCall':
+            return node.args;
+        case 'IfExpr':
+            return [
+                ...node.branches.flatMap(b => [b.test, b.consequent]),
+                ...(node.alternate ? [node.alternate] : [])
+            ];
+        case 'CaseExpr':
+            return [
+                node.subject,
+                ...node.cases.flatMap(c => [...c.tests, c.consequent]),
+                ...(node.alternate ? [node.alternate] : [])
+            ];
+        case 'LodExpr':
+            return [...node.dimensions, node.expression];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Depth-first walk over an AST. Returning false from the visitor skips the node's children.
+ * @param {object} node - Root AST node
+ * @param {function(object, object|null, number): (boolean|void)} visitor - Called with (node, parent, depth)
+ */
+function walkCalcAst(node, visitor, parent = null, depth = 0) {
+    if (!node) return;
+    if (visitor(node, parent, depth) === false) return;
+    calcAstChildren(node).forEach(child => walkCalcAst(child, visitor, node, depth + 1));
+}
+
+/**
+ * Lists the field references of a parsed formula.
+ * Uses the AST when available and falls back to the token stream for formulas that failed to parse,
+ * so comments and string literals are never mistaken for references.
+ * @param {object} parsed - Result of parseCalc()
+ * @returns {Array<{name: string, datasource: string|null, raw: string, start: number, end: number}>}
+ */
+function getCalcFieldRefs(parsed) {
+    if (!parsed) return [];
+    const refs = [];
+
+    if (parsed.ast) {
+        walkCalcAst(parsed.ast, node => {
+            if (node.type === 'FieldRef') {
+                refs.push({ name: node.name, datasource: node.datasource, raw: node.raw, start: node.start, end: node.end });
+            }
+        });
+        return refs;
+    }
+
+    parsed.tokens.forEach(token => {
+        if (token.type === 'field') {
+            refs.push({
+                name: token.name,
+                datasource: token.datasource,
+                raw: parsed.source.slice(token.start, token.end),
+                start: token.start,
+                end: token.end
+            });
+        }
+    });
+    return refs;
+}
+
+/**
+ * Formats a field reference, escaping "]" as "]]"
+ * @param {string} name - Field name (without brackets)
+ * @param {string|null} datasource - Optional datasource qualifier (without brackets)
+ * @returns {string}
+ */
+function formatCalcFieldRef(name, datasource) {
+    const bracket = value => `[${String(value).replace(/\]/g, ']]')}]`;
+    return datasource ? `${bracket(datasource)}.${bracket(name)}` : bracket(name);
+}
+
+/**
+ * Rewrites the field references of a formula, keeping everything else (comments, whitespace, literals) untouched
+ * @param {object} parsed - Result of parseCalc()
+ * @param {function(object): (string|null|undefined)} replacer - Returns the new reference text, or nothing to keep it
+ * @returns {string}
+ */
+function rewriteCalcFieldRefs(parsed, replacer) {
+    if (!parsed) return '';
+    const refs = getCalcFieldRefs(parsed).sort((a, b) => a.start - b.start);
+    let result = '';
+    let cursor = 0;
+
+    refs.forEach(ref => {
+        const replacement = replacer(ref);
+        if (replacement === null || replacement === undefined) return;
+        result += parsed.source.slice(cursor, ref.start) + replacement;
+        cursor = ref.end;
+    });
+
+    return result + parsed.source.slice(cursor);
+}
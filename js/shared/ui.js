@@ -142,18 +142,54 @@ function showToast(message, type = 'info') {
 
 /**
  * Loading Overlay Logic
+ * @param {string} [message] - Text under the spinner
+ * @param {function} [onCancel] - Shows a Cancel button that calls it
  */
-function showLoading() {
+function showLoading(message = '', onCancel = null) {
   let overlay = document.getElementById('loading-overlay');
   if (!overlay) {
     overlay = document.createElement('div');
     overlay.id = 'loading-overlay';
-    overlay.innerHTML = '<div class="spinner"></div>';
+    overlay.innerHTML = `
+      <div class="flex w-64 flex-col items-center gap-4">
+        <div class="spinner"></div>
+        <p id="loading-message" class="hidden text-sm font-medium text-gray-700"></p>
+        <div id="loading-progress" class="hidden h-1.5 w-full overflow-hidden rounded-full bg-gray-200">
+          <div class="h-full rounded-full bg-primary-500 transition-all"></div>
+        </div>
+        <button id="loading-cancel" class="hidden rounded-lg border border-gray-200 bg-white px-3 py-1.5 text-sm font-bold text-gray-700 shadow-sm hover:text-primary-600">
+          Cancel
+        </button>
+      </div>
+    `;
     document.body.appendChild(overlay);
   }
+
+  updateLoading(message);
+  const cancel = overlay.querySelector('#loading-cancel');
+  cancel.classList.toggle('hidden', typeof onCancel !== 'function');
+  cancel.onclick = typeof onCancel === 'function' ? onCancel : null;
   overlay.classList.add('active');
 }
 
+/**
+ * Updates the text and progress bar of the loading overlay
+ * @param {string} message - Text under the spinner
+ * @param {number} [progress] - 0-1; the bar is hidden when omitted
+ */
+function updateLoading(message, progress) {
+  const text = document.getElementById('loading-message');
+  const bar = document.getElementById('loading-progress');
+  if (text) {
+    text.textContent = message || '';
+    text.classList.toggle('hidden', !message);
+  }
+  if (bar) {
+    bar.classList.toggle('hidden', progress === undefined);
+    bar.firstElementChild.style.width = `${Math.round(Math.min(Math.max(progress || 0, 0), 1) * 100)}%`;
+  }
+}
+
 function hideLoading() {
   const overlay = document.getElementById('loading-overlay');
   if (overlay) {
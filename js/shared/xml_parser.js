@@ -0,0 +1,192 @@
+/**
+ * Lightweight XML Parser
+ * Parses workbook XML into elements that offer the subset of the DOM the analysis uses
+ * (getElementsByTagName, getAttribute, children, textContent, tagName, parentNode).
+ * Every element remembers where it sits in the source text, so the XML can later be patched in place.
+ *
+ * This file has no DOM dependencies so it can also be loaded inside a Web Worker, where DOMParser is not available.
+ */
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Content between the tags of an element: CDATA, comments, processing instructions, tags and text
+const XML_CONTENT_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(?:"[^"]*"|'[^']*'|[^'">])*>|[^<]+/g;
+
+class XmlElement {
+    constructor(tagName, attributes, parentNode, ownerDocument) {
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.parentNode = parentNode;
+        this.ownerDocument = ownerDocument;
+        this.children = [];
+        // Offsets in the source: the whole element, and what lies between its tags (null when self-closing)
+        this.start = 0;
+        this.end = 0;
+        this.contentStart = null;
+        this.contentEnd = null;
+    }
+
+    getAttribute(name) {
+        const value = this.attributes[name];
+        return value === undefined ? null : value;
+    }
+
+    hasAttribute(name) {
+        return this.attributes[name] !== undefined;
+    }
+
+    /**
+     * Descendant elements with the given tag name ("*" for all), in document order
+     * @param {string} tagName - Tag name
+     * @returns {Array<XmlElement>}
+     */
+    getElementsByTagName(tagName) {
+        const matches = [];
+        const stack = this.children.slice().reverse();
+        while (stack.length > 0) {
+            const element = stack.pop();
+            if (tagName === '*' || element.tagName === tagName) matches.push(element);
+            for (let i = element.children.length - 1; i >= 0; i--) {
+                stack.push(element.children[i]);
+            }
+        }
+        return matches;
+    }
+
+    // Read from the source on demand rather than keeping text nodes for the whole document
+    get textContent() {
+        if (this.contentStart === null) return '';
+        const content = this.ownerDocument.source.slice(this.contentStart, this.contentEnd);
+        let text = '';
+        let match;
+        XML_CONTENT_PATTERN.lastIndex = 0;
+        while ((match = XML_CONTENT_PATTERN.exec(content)) !== null) {
+            if (match[1] !== undefined) {
+                text += match[1];
+            } else if (match[0][0] !== '<') {
+                text += decodeXmlEntities(match[0].replace(/\r\n?/g, '\n'));
+            }
+        }
+        return text;
+    }
+}
+
+/**
+ * Parses an XML document
+ * @param {string} source - The XML text
+ * @param {function(number): void} [onProgress] - Called now and then with the fraction parsed so far (0-1)
+ * @returns {XmlElement} The document node (tagName "#document"); its root element is `documentElement`
+ * @throws {Error} When the XML is not well formed
+ */
+function parseXml(source, onProgress) {
+    const text = source || '';
+    const doc = new XmlElement('#document', Object.create(null), null, null);
+    doc.ownerDocument = doc;
+    doc.source = text;
+    doc.end = text.length;
+    doc.contentStart = 0;
+    doc.contentEnd = text.length;
+
+    const namePattern = /[^\s/>]+/y;
+    const attributePattern = /\s+([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+    const tagEndPattern = /\s*(\/?)>/y;
+    const progressStep = 1 << 20;
+    let nextProgress = progressStep;
+
+    const fail = (message, offset) => {
+        const before = text.slice(0, offset);
+        const line = before.split('\n').length;
+        const column = offset - before.lastIndexOf('\n');
+        throw new Error(`XML parse error at line ${line}, column ${column}: ${message}`);
+    };
+    const skipPast = (terminator, from, description) => {
+        const end = text.indexOf(terminator, from);
+        if (end === -1) fail(`Unterminated ${description}`, from);
+        return end + terminator.length;
+    };
+
+    const stack = [doc];
+    let pos = 0;
+    while (true) {
+        const lt = text.indexOf('<', pos);
+        if (lt === -1) break;
+
+        if (typeof onProgress === 'function' && lt >= nextProgress) {
+            onProgress(lt / text.length);
+            nextProgress = lt + progressStep;
+        }
+
+        if (text.startsWith('<!--', lt)) {
+            pos = skipPast('-->', lt + 4, 'comment');
+        } else if (text.startsWith('<![CDATA[', lt)) {
+            pos = skipPast(']]>', lt + 9, 'CDATA section');
+        } else if (text.startsWith('<?', lt)) {
+            pos = skipPast('?>', lt + 2, 'processing instruction');
+        } else if (text.startsWith('<!', lt)) {
+            pos = skipPast('>', lt + 2, 'declaration');
+        } else if (text[lt + 1] === '/') {
+            const end = skipPast('>', lt + 2, 'end tag');
+            const name = text.slice(lt + 2, end - 1).trim();
+            const element = stack[stack.length - 1];
+            if (element === doc) fail(`Unexpected end tag </${name}>`, lt);
+            if (element.tagName !== name) fail(`Expected </${element.tagName}> but found </${name}>`, lt);
+            stack.pop();
+            element.contentEnd = lt;
+            element.end = end;
+            pos = end;
+        } else {
+            namePattern.lastIndex = lt + 1;
+            const nameMatch = namePattern.exec(text);
+            if (!nameMatch) fail('Missing tag name', lt);
+
+            const attributes = Object.create(null);
+            let cursor = namePattern.lastIndex;
+            let attributeMatch;
+            attributePattern.lastIndex = cursor;
+            while ((attributeMatch = attributePattern.exec(text)) !== null) {
+                const raw = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+                attributes[attributeMatch[1]] = decodeXmlAttribute(raw);
+                cursor = attributePattern.lastIndex;
+            }
+
+            tagEndPattern.lastIndex = cursor;
+            const tagEnd = tagEndPattern.exec(text);
+            if (!tagEnd) fail(`Malformed start tag <${nameMatch[0]}>`, lt);
+
+            const parent = stack[stack.length - 1];
+            const element = new XmlElement(nameMatch[0], attributes, parent, doc);
+            element.start = lt;
+            parent.children.push(element);
+
+            pos = tagEndPattern.lastIndex;
+            if (tagEnd[1]) {
+                element.end = pos;
+            } else {
+                element.contentStart = pos;
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) fail(`Unclosed tag <${stack[stack.length - 1].tagName}>`, stack[stack.length - 1].start);
+    if (doc.children.length === 0) fail('No root element', 0);
+    doc.documentElement = doc.children[0];
+    return doc;
+}
+
+// &lt; &#10; &#x27; ... ; unknown entities are left as written
+function decodeXmlEntities(text) {
+    if (!text.includes('&')) return text;
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+    });
+}
+
+// Literal line breaks and tabs in attribute values read as spaces, as in the DOM; encoded ones (&#10;) are kept
+function decodeXmlAttribute(raw) {
+    return decodeXmlEntities(raw.replace(/\r\n|[\r\n\t]/g, ' '));
+}